@@ -6,8 +6,8 @@
 
 .DESCRIPTION
   Displays useful information in 2 lines:
-  - Line 1: Path | Branch + Git Status | Model
-  - Line 2: Cost USD | Session Duration | Lines +/- (Net: N)
+  - Line 1: Path | Branch + Git Status | Model (· think:effort (level) from the Z.ai transformer)
+  - Line 2: Cost USD | Session Duration | Lines +/- (Net: N) | Last request tokens
 
 .NOTES
   Author: Bedolla
@@ -24,6 +24,9 @@
 [bool]$SHOW_DETAILED_GIT = $true      # Show detailed git indicators (staged, modified, etc.)
 [bool]$SHOW_API_DURATION = $false     # Show API call duration in addition to total session duration
 [int]$MAX_PATH_LENGTH = 50            # Maximum characters for path before truncation
+[bool]$SHOW_TRANSFORMER_STATE = $true # Show upstream model, reasoning and tokens written by zai.js / zai-debug.js (writeState: true)
+[string]$ZAI_STATE_DIR = Join-Path $(if ($env:USERPROFILE) { $env:USERPROFILE } else { $env:HOME }) '.claude-code-router' 'zai-state'  # Must match the transformer's stateDirectory option
+[int]$ZAI_STATE_MAX_AGE = 3600        # Seconds before latest.json (used when this session has no state file) is ignored
 
 # ============================================================================
 # CLASS: GitStatus
@@ -315,6 +318,88 @@ class PathFormatter {
   }
 }
 
+# ============================================================================
+# CLASS: TokenFormatter
+# ============================================================================
+
+class TokenFormatter {
+  # Static method: Format a token count in compact form (850, 12.3k, 1.2M)
+  static [string] FormatTokens([long]$tokens) {
+    if ($tokens -ge 1000000) {
+      return ($tokens / 1000000.0).ToString('F1', [System.Globalization.CultureInfo]::InvariantCulture) + "M"
+    }
+    if ($tokens -ge 1000) {
+      return ($tokens / 1000.0).ToString('F1', [System.Globalization.CultureInfo]::InvariantCulture) + "k"
+    }
+    return "$tokens"
+  }
+}
+
+# ============================================================================
+# CLASS: TransformerState
+# ============================================================================
+
+class TransformerState {
+  [string]$Model
+  [bool]$ReasoningEnabled
+  [string]$Effort
+  [string]$Level
+  [System.Nullable[long]]$TotalTokens
+
+  # Static method: Read the state file written by the Z.ai transformer for this session
+  # ([stateDir]/[sessionId].json), falling back to latest.json when it was updated
+  # less than maxAgeSeconds ago. Returns $null when no state is available
+  static [TransformerState] Read([string]$sessionId, [string]$stateDir, [int]$maxAgeSeconds) {
+    [string]$stateFile = Join-Path $stateDir "$sessionId.json"
+    [bool]$isFallback = $false
+
+    if ([string]::IsNullOrWhiteSpace($sessionId) -or -not (Test-Path -LiteralPath $stateFile)) {
+      $stateFile = Join-Path $stateDir 'latest.json'
+      $isFallback = $true
+    }
+    if (-not (Test-Path -LiteralPath $stateFile)) {
+      return $null
+    }
+
+    try {
+      [PSCustomObject]$data = Get-Content -LiteralPath $stateFile -Raw | ConvertFrom-Json
+
+      # latest.json may belong to another session: ignore it when stale
+      # (ConvertFrom-Json may already return updatedAt as a DateTime)
+      if ($isFallback) {
+        [datetime]$updatedAt = ([datetime]$data.updatedAt).ToUniversalTime()
+        if (([datetime]::UtcNow - $updatedAt).TotalSeconds -gt $maxAgeSeconds) {
+          return $null
+        }
+      }
+
+      [TransformerState]$state = [TransformerState]::new()
+      $state.Model = [string]$data.model
+      $state.ReasoningEnabled = $data.reasoning.enabled -eq $true
+      $state.Effort = [string]$data.reasoning.effort
+      $state.Level = [string]$data.level.name
+      if ($null -ne $data.usage.totalTokens) {
+        $state.TotalTokens = [long]$data.usage.totalTokens
+      }
+      return $state
+    }
+    catch {
+      return $null  # Partial or invalid file: show Claude Code's data only
+    }
+  }
+
+  # Method: Reasoning label ("high", "medium", "low", "on" or "off")
+  [string] GetThinkLabel() {
+    if (-not $this.ReasoningEnabled) {
+      return "off"
+    }
+    if ([string]::IsNullOrWhiteSpace($this.Effort)) {
+      return "on"
+    }
+    return $this.Effort
+  }
+}
+
 # ============================================================================
 # CLASS: StatusLineRenderer
 # ============================================================================
@@ -324,12 +409,18 @@ class StatusLineRenderer {
   [bool]$ShowDetailedGit
   [bool]$ShowApiDuration
   [int]$MaxPathLength
+  [bool]$ShowTransformerState
+  [string]$ZaiStateDir
+  [int]$ZaiStateMaxAge
 
-  StatusLineRenderer([PSCustomObject]$data, [bool]$showGit, [bool]$showApi, [int]$maxLength) {
+  StatusLineRenderer([PSCustomObject]$data, [bool]$showGit, [bool]$showApi, [int]$maxLength, [bool]$showState, [string]$stateDir, [int]$stateMaxAge) {
     $this.InputData = $data
     $this.ShowDetailedGit = $showGit
     $this.ShowApiDuration = $showApi
     $this.MaxPathLength = $maxLength
+    $this.ShowTransformerState = $showState
+    $this.ZaiStateDir = $stateDir
+    $this.ZaiStateMaxAge = $stateMaxAge
   }
 
   # Method: Get formatted directory path
@@ -361,8 +452,11 @@ class StatusLineRenderer {
   # Method: Get current model name
   # Formats model names for consistent display with title case and corrections
   [string] GetModelName() {
-    [string]$modelName = $this.InputData.model.display_name
-    
+    return $this.FormatModelName($this.InputData.model.display_name)
+  }
+
+  # Method: Format a model name (title case and known model corrections)
+  [string] FormatModelName([string]$modelName) {
     # Return "unknown" for empty names
     if ([string]::IsNullOrWhiteSpace($modelName)) {
       return "unknown"
@@ -448,6 +542,8 @@ class StatusLineRenderer {
     [string]$emojiMoney = [char]::ConvertFromUtf32(0x1F4B5)       # 💵
     [string]$emojiClock = [char]::ConvertFromUtf32(0x23F1)        # ⏱️
     [string]$emojiPencil = [char]::ConvertFromUtf32(0x270F)       # ✏️
+    [string]$emojiNumbers = [char]::ConvertFromUtf32(0x1F522)     # 🔢
+    [string]$middleDot = [char]0x00B7                              # ·
 
     # Gather all components for display
     [string]$directoryPath = $this.GetDirectoryPath()
@@ -457,6 +553,15 @@ class StatusLineRenderer {
     [string]$sessionDuration = $this.GetSessionDuration()
     [string]$linesInfo = $this.GetLinesInfo()
 
+    # Replace with what the Z.ai transformer actually sent: "GLM 4.6 · think:high (ultrathink)"
+    [TransformerState]$zaiState = $null
+    if ($this.ShowTransformerState) {
+      $zaiState = [TransformerState]::Read([string]$this.InputData.session_id, $this.ZaiStateDir, $this.ZaiStateMaxAge)
+    }
+    if ($null -ne $zaiState) {
+      $modelName = "$($this.FormatModelName($zaiState.Model)) $middleDot think:$($zaiState.GetThinkLabel()) ($($zaiState.Level))"
+    }
+
     # LINE 1: Directory | Git | Model
     # Choose Git emoji based on repository status
     [string]$gitEmoji = if ($gitInfo -eq "No Git") { $emojiPackage } else { $emojiLeaf }  # 📦 or 🍃
@@ -477,6 +582,11 @@ class StatusLineRenderer {
     # Append lines info
     $line2 += " | $emojiPencil  $linesInfo"
 
+    # Append last request tokens (transformer state)
+    if ($null -ne $zaiState -and $null -ne $zaiState.TotalTokens) {
+      $line2 += " | $emojiNumbers $([TokenFormatter]::FormatTokens($zaiState.TotalTokens)) tokens"
+    }
+
     # Return 2 lines separated by newline
     return "$line1`n$line2"
   }
@@ -507,7 +617,10 @@ function Main {
       $data,
       $SHOW_DETAILED_GIT,
       $SHOW_API_DURATION,
-      $MAX_PATH_LENGTH
+      $MAX_PATH_LENGTH,
+      $SHOW_TRANSFORMER_STATE,
+      $ZAI_STATE_DIR,
+      $ZAI_STATE_MAX_AGE
     )
 
     # Render and display 2-line output
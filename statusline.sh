@@ -9,8 +9,8 @@
 #
 # Description:
 #   Displays useful information in 2 lines:
-#   - Line 1: Path | Branch + Git Status | Model
-#   - Line 2: Cost USD | Session Duration | Lines +/- (Net: N)
+#   - Line 1: Path | Branch + Git Status | Model (· think:effort (level) from the Z.ai transformer)
+#   - Line 2: Cost USD | Session Duration | Lines +/- (Net: N) | Last request tokens
 
 # ============================================================================
 # CONFIGURATION
@@ -19,6 +19,9 @@
 SHOW_DETAILED_GIT=true      # Show detailed git indicators (staged, modified, etc.)
 SHOW_API_DURATION=false     # Show API call duration in addition to total session duration
 MAX_PATH_LENGTH=50          # Maximum characters for path before truncation
+SHOW_TRANSFORMER_STATE=true # Show upstream model, reasoning and tokens written by zai.js / zai-debug.js (writeState: true)
+ZAI_STATE_DIR="${HOME}/.claude-code-router/zai-state"  # Must match the transformer's stateDirectory option
+ZAI_STATE_MAX_AGE=3600      # Seconds before latest.json (used when this session has no state file) is ignored
 
 # ============================================================================
 # FUNCTIONS: GitStatus
@@ -312,6 +315,51 @@ get_model_name() {
   echo "$name"
 }
 
+# Function: format_tokens
+# Description: Formats a token count in compact form.
+# Parameters:
+#   $1 - tokens: Token count
+# Returns:
+#   String like "850", "12.3k" or "1.2M"
+format_tokens() {
+  awk -v tokens="$1" 'BEGIN {
+    if (tokens >= 1000000) printf "%.1fM", tokens / 1000000
+    else if (tokens >= 1000) printf "%.1fk", tokens / 1000
+    else printf "%d", tokens
+  }'
+}
+
+# ============================================================================
+# FUNCTIONS: Transformer State
+# ============================================================================
+
+# Function: get_transformer_state
+# Description: Reads the state file written by the Z.ai transformer for this session
+#              ([ZAI_STATE_DIR]/[session_id].json), falling back to latest.json
+#              when it was updated less than ZAI_STATE_MAX_AGE seconds ago.
+# Parameters:
+#   $1 - session_id: Claude Code session id
+# Returns:
+#   Pipe-separated string: model|reasoning_enabled|effort|level|total_tokens
+#   Example: "glm-4.6|true|high|ultrathink|15320" (empty if no state available)
+get_transformer_state() {
+  local session_id="$1"
+  local state_file="${ZAI_STATE_DIR}/${session_id}.json"
+  local max_age=-1                      # No age limit for this session's own file
+
+  if [[ -z "$session_id" || ! -f "$state_file" ]]; then
+    state_file="${ZAI_STATE_DIR}/latest.json"
+    max_age=$ZAI_STATE_MAX_AGE
+  fi
+  [[ -f "$state_file" ]] || return
+
+  jq -r --argjson max_age "$max_age" '
+    select($max_age < 0 or ((.updatedAt | sub("\\.[0-9]+Z$"; "Z") | fromdateiso8601) > (now - $max_age)))
+    | [.model // "", .reasoning.enabled // false, .reasoning.effort // "", .level.name // "", .usage.totalTokens // ""]
+    | map(tostring) | join("|")
+  ' "$state_file" 2>/dev/null
+}
+
 # ============================================================================
 # MAIN FUNCTION
 # ============================================================================
@@ -340,6 +388,7 @@ main() {
   local api_duration_ms=$(echo "$json_input" | jq -r '.cost.total_api_duration_ms // 0')
   local lines_added=$(echo "$json_input" | jq -r '.cost.total_lines_added // 0')
   local lines_removed=$(echo "$json_input" | jq -r '.cost.total_lines_removed // 0')
+  local session_id=$(echo "$json_input" | jq -r '.session_id // ""')
   
   # Format directory path with truncation
   local directory_path=$(format_path "$full_directory" $MAX_PATH_LENGTH)
@@ -358,6 +407,19 @@ main() {
   
   # Format model name
   local model=$(get_model_name "$model_name")
+
+  # Replace with what the Z.ai transformer actually sent: "GLM 4.6 · think:high (ultrathink)"
+  local last_tokens=""
+  if [[ "$SHOW_TRANSFORMER_STATE" == true ]]; then
+    local zai_state=$(get_transformer_state "$session_id")
+    if [[ -n "$zai_state" ]]; then
+      IFS='|' read -r zai_model zai_enabled zai_effort zai_level zai_tokens <<< "$zai_state"
+      local think="off"
+      [[ "$zai_enabled" == "true" ]] && think="${zai_effort:-on}"
+      model="$(get_model_name "$zai_model") · think:${think} (${zai_level})"
+      [[ -n "$zai_tokens" ]] && last_tokens=$(format_tokens "$zai_tokens")
+    fi
+  fi
   
   # Format cost with 2 decimal places
   local formatted_cost=$(printf "\$%.2f USD" "$cost_usd")
@@ -391,6 +453,9 @@ main() {
   
   # Append lines info
   line2+=" | ✏️  ${lines_info}"
+
+  # Append last request tokens (transformer state)
+  [[ -n "$last_tokens" ]] && line2+=" | 🔢 ${last_tokens} tokens"
   
   # Output both lines
   echo "$line1"
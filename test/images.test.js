@@ -0,0 +1,39 @@
+// Image validation (_processImages): vision capability, MIME type, size and maxImages.
+// Run: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ZaiTransformer = require('../zai.js');
+
+const png = 'data:image/png;base64,' + 'A'.repeat(40);
+const gif = 'data:image/gif;base64,AAAA';
+const image = (url) => ({ type: 'image_url', image_url: { url } });
+
+test('maxImages counts only images that pass the MIME type and size checks', () => {
+  const transformer = new ZaiTransformer({ watchModelConfig: false });
+  const body = {
+    messages: [
+      { role: 'user', content: [image(png), image(png)] },
+      { role: 'user', content: [image(png), image(gif), image(gif)] }
+    ]
+  };
+
+  const decisions = transformer._processImages(body, { vision: true, maxImages: 2 }, 'glm-4.6v');
+
+  assert.deepStrictEqual(decisions.map(decision => decision.action), ['removed', 'kept', 'kept', 'removed', 'removed']);
+  assert.match(decisions[0].reason, /image limit/);
+  assert.match(decisions[3].reason, /unsupported MIME type/);
+  assert.deepStrictEqual(body.messages[0].content[1], image(png));
+  assert.deepStrictEqual(body.messages[1].content[0], image(png));
+});
+
+test('a text-only model gets a placeholder for every image', () => {
+  const transformer = new ZaiTransformer({ watchModelConfig: false });
+  const body = { messages: [{ role: 'user', content: [image(png)] }] };
+
+  const decisions = transformer._processImages(body, { vision: false }, 'glm-4.6');
+
+  assert.strictEqual(decisions[0].action, 'removed');
+  assert.strictEqual(body.messages[0].content[0].type, 'text');
+  assert.match(body.messages[0].content[0].text, /does not accept images/);
+});
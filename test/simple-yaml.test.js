@@ -0,0 +1,56 @@
+// Built-in YAML subset parser (_parseSimpleYaml) used for modelConfigPath without a YAML package.
+// Run: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ZaiTransformer = require('../zai.js');
+
+const transformer = new ZaiTransformer({ watchModelConfig: false });
+const parse = (text) => transformer._parseSimpleYaml(text);
+
+test('nested mappings and scalars', () => {
+  assert.deepStrictEqual(parse([
+    '---',
+    'glm-4.6:',
+    '  maxTokens: 131072',
+    '  temperature: 0.6',
+    '  reasoning: true',
+    '  vision: null',
+    '  provider: Z.AI',
+    '"glm-custom":',
+    '  limits:',
+    '    maxImages: 5',
+    '  keywordDetection: false'
+  ].join('\n')), {
+    'glm-4.6': { maxTokens: 131072, temperature: 0.6, reasoning: true, vision: null, provider: 'Z.AI' },
+    'glm-custom': { limits: { maxImages: 5 }, keywordDetection: false }
+  });
+});
+
+test('comments are stripped, except "#" inside quoted scalars or words', () => {
+  assert.deepStrictEqual(parse([
+    '# Model table',
+    'glm-4.6:   # main model',
+    '  description: "GLM #1 model"  # trailing comment',
+    "  tag: 'a # b'",
+    '  channel: c#sharp',
+    '',
+    '  maxTokens: 1000 # tokens'
+  ].join('\r\n')), {
+    'glm-4.6': { description: 'GLM #1 model', tag: 'a # b', channel: 'c#sharp', maxTokens: 1000 }
+  });
+});
+
+test('inline lists', () => {
+  assert.deepStrictEqual(parse([
+    'glm-4.6:',
+    '  aliases: [glm, "glm-latest", 4.6]',
+    '  empty: []'
+  ].join('\n')), {
+    'glm-4.6': { aliases: ['glm', 'glm-latest', 4.6], empty: [] }
+  });
+});
+
+test('lines that are not "key: value" are rejected with their line number', () => {
+  assert.throws(() => parse('glm-4.6:\n  - item'), /YAML line 2: expected "key: value"/);
+});
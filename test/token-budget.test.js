@@ -0,0 +1,99 @@
+// Token budget (_checkTokenBudget, _downgradeReasoning) and the budget options.
+// Run: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ZaiTransformer = require('../zai.js');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'zai-budget-test-'));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+const createTransformer = (tokenBudget, options = {}) => new ZaiTransformer({
+  watchModelConfig: false,
+  usageFile: path.join(directory, 'zai-usage.json'),
+  tokenBudget,
+  ...options
+});
+
+// Writes a usage file with today's and this session's total tokens
+const writeUsage = (transformer, dailyTokens, sessionTokens) => {
+  fs.writeFileSync(transformer.usageFile, JSON.stringify({
+    version: 1,
+    days: { [transformer._usageDay()]: { totals: { totalTokens: dailyTokens } } },
+    sessions: { [transformer.sessionId]: { totals: { totalTokens: sessionTokens } } }
+  }));
+};
+
+test('a configured tokenBudget turns trackUsage on', () => {
+  assert.strictEqual(createTransformer(undefined).trackUsage, false);
+  assert.strictEqual(createTransformer({ dailyTokens: 1000 }).trackUsage, true);
+
+  const transformer = createTransformer({ dailyTokens: 1000 }, { trackUsage: false });
+  assert.strictEqual(transformer.trackUsage, true);
+  assert.ok(transformer.optionValidation.warnings.some(warning => warning.startsWith('trackUsage: false is ignored')));
+});
+
+test('no budget without dailyTokens or sessionTokens', () => {
+  const transformer = createTransformer({ softThreshold: 0.5 });
+  assert.strictEqual(transformer.tokenBudget, null);
+  assert.strictEqual(transformer._checkTokenBudget(), null);
+});
+
+test('budget state follows the soft and hard thresholds', () => {
+  const transformer = createTransformer({ dailyTokens: 1000 });
+
+  writeUsage(transformer, 500, 0);
+  assert.strictEqual(transformer._checkTokenBudget().state, 'ok');
+
+  writeUsage(transformer, 800, 0);
+  assert.strictEqual(transformer._checkTokenBudget().state, 'soft');
+
+  writeUsage(transformer, 1200, 0);
+  assert.deepStrictEqual(transformer._checkTokenBudget(), {
+    state: 'hard', scope: 'daily', used: 1200, limit: 1000, ratio: 1.2, downgrades: []
+  });
+});
+
+test('the scope closest to its limit decides', () => {
+  const transformer = createTransformer({ dailyTokens: 10000, sessionTokens: 1000 });
+  writeUsage(transformer, 5000, 900);
+
+  const budget = transformer._checkTokenBudget();
+  assert.strictEqual(budget.scope, 'session');
+  assert.strictEqual(budget.state, 'soft');
+});
+
+test('softAction defaults to disable-reasoning', () => {
+  const transformer = createTransformer({ dailyTokens: 1000 });
+  assert.strictEqual(transformer.tokenBudget.softAction, 'disable-reasoning');
+});
+
+test('disable-reasoning turns reasoning off and removes the Z.AI thinking field', () => {
+  const transformer = createTransformer({ dailyTokens: 1000 });
+  const body = { reasoning: { enabled: true, effort: 'high' }, thinking: { type: 'enabled' } };
+
+  assert.deepStrictEqual(transformer._downgradeReasoning(body), { from: 'on/high', to: 'off' });
+  assert.deepStrictEqual(body.reasoning, { enabled: false });
+  assert.strictEqual(body.thinking, undefined);
+});
+
+test('lower-effort lowers effort one step and stops at low', () => {
+  const transformer = createTransformer({ dailyTokens: 1000, softAction: 'lower-effort' });
+  const body = { reasoning: { enabled: true, effort: 'high' }, thinking: { type: 'enabled' } };
+
+  assert.deepStrictEqual(transformer._downgradeReasoning(body), { from: 'on/high', to: 'on/medium' });
+  assert.deepStrictEqual(transformer._downgradeReasoning(body), { from: 'on/medium', to: 'on/low' });
+  assert.strictEqual(transformer._downgradeReasoning(body), null);
+  assert.deepStrictEqual(body.thinking, { type: 'enabled' });
+});
+
+test('reasoning already off is left unchanged', () => {
+  const transformer = createTransformer({ dailyTokens: 1000 });
+  const body = { reasoning: { enabled: false } };
+
+  assert.strictEqual(transformer._downgradeReasoning(body), null);
+  assert.deepStrictEqual(body.reasoning, { enabled: false });
+});
@@ -0,0 +1,116 @@
+// Tool-call repair filter (_createToolCallRepairFilter): buffering, repair and emission order.
+// Run: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ZaiTransformer = require('../zai.js');
+
+const createFilter = (options = {}, toolSchemas = new Map()) => {
+  const transformer = new ZaiTransformer({ watchModelConfig: false, ...options });
+  const stats = transformer._createStreamStats();
+  return { filter: transformer._createToolCallRepairFilter(stats, toolSchemas), stats };
+};
+
+const chunk = (delta, finishReason = null) => ({
+  id: 'chatcmpl-1',
+  model: 'glm-4.6',
+  choices: [{ index: 0, delta, finish_reason: finishReason }]
+});
+
+const header = (index, name) => chunk({ tool_calls: [{ index, id: `call_${index}`, type: 'function', function: { name, arguments: '' } }] });
+const fragment = (index, text) => chunk({ tool_calls: [{ index, function: { arguments: text } }] });
+
+// Runs chunks through the filter and lists what reaches Claude Code:
+// "header:N", "args:N=<arguments>" or "finish:<reason>"
+const run = (filter, chunks) => {
+  const events = [];
+  const describe = (output) => {
+    for (const item of output) {
+      const choice = item.choices[0];
+      for (const toolCall of choice.delta?.tool_calls || []) {
+        if (toolCall.id) events.push(`header:${toolCall.index}`);
+        if (typeof toolCall.function?.arguments === 'string') {
+          events.push(`args:${toolCall.index}=${toolCall.function.arguments}`);
+        }
+      }
+      if (choice.finish_reason) events.push(`finish:${choice.finish_reason}`);
+    }
+  };
+  for (const item of chunks) describe(filter.onChunk(item));
+  describe(filter.onEnd());
+  return events;
+};
+
+test('parallel calls: each call\'s arguments are emitted before the next call starts', () => {
+  const { filter, stats } = createFilter();
+  const events = run(filter, [
+    header(0, 'Read'),
+    fragment(0, '{"file_path":'),
+    fragment(0, '"/a.js"}'),
+    header(1, 'Glob'),
+    fragment(1, '{"pattern":"*.js"}'),
+    chunk({}, 'tool_calls')
+  ]);
+
+  assert.deepStrictEqual(events, [
+    'header:0',
+    'args:0={"file_path":"/a.js"}',
+    'header:1',
+    'args:1={"pattern":"*.js"}',
+    'finish:tool_calls'
+  ]);
+  assert.strictEqual(stats.toolCalls, 2);
+  assert.deepStrictEqual(stats.toolCallDetails.map(detail => detail.name), ['Read', 'Glob']);
+});
+
+test('last call is flushed at end of stream when no finish_reason arrives', () => {
+  const { filter } = createFilter();
+  const events = run(filter, [
+    header(0, 'Read'),
+    fragment(0, '{"file_path":"/a.js"}'),
+    header(1, 'Glob'),
+    fragment(1, '{"pattern":"*.js"')
+  ]);
+
+  assert.deepStrictEqual(events, [
+    'header:0',
+    'args:0={"file_path":"/a.js"}',
+    'header:1',
+    'args:1={"pattern":"*.js"}'
+  ]);
+});
+
+test('malformed arguments are repaired and coerced to the tool schema', () => {
+  const schemas = new Map([['Read', { type: 'object', properties: { limit: { type: 'number' } } }]]);
+  const { filter, stats } = createFilter({}, schemas);
+  const events = run(filter, [
+    header(0, 'Read'),
+    fragment(0, "{'limit': '5',}"),
+    chunk({}, 'tool_calls')
+  ]);
+
+  assert.deepStrictEqual(events, ['header:0', 'args:0={"limit":5}', 'finish:tool_calls']);
+  assert.strictEqual(stats.toolCallsRepaired, 1);
+  assert.strictEqual(stats.toolCallsCoerced, 1);
+  assert.strictEqual(stats.toolCallDetails[0].status, 'coerced');
+});
+
+test('call headers carried by the finish_reason chunk are emitted before the repaired arguments', () => {
+  const { filter } = createFilter();
+  const events = run(filter, [
+    header(0, 'Read'),
+    fragment(0, '{"file_path":'),
+    chunk({ tool_calls: [
+      { index: 0, function: { arguments: '"/a.js"}' } },
+      { index: 1, id: 'call_1', type: 'function', function: { name: 'Glob', arguments: '{"pattern":"*"}' } }
+    ] }, 'tool_calls')
+  ]);
+
+  assert.deepStrictEqual(events, [
+    'header:0',
+    'header:1',
+    'args:0={"file_path":"/a.js"}',
+    'args:1={"pattern":"*"}',
+    'finish:tool_calls'
+  ]);
+});
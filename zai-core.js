@@ -0,0 +1,3587 @@
+// ============================================================================
+// Z.AI TRANSFORMER CORE (SHARED BY zai.js AND zai-debug.js)
+// ============================================================================
+//
+// PURPOSE: Logic shared by the production transformer (zai.js) and the debug
+//          transformer (zai-debug.js), so both always behave the same way.
+//          Each transformer extends ZaiTransformerCore and adds its constructor,
+//          transformRequestIn/transformResponseOut and its own diagnostics
+//          (zai.js: options.debug lines, zai-debug.js: log file).
+//
+// INSTALLATION: copy this file next to zai.js / zai-debug.js (CCR plugins
+//               directory). It is not a transformer: do not add it to "transformers".
+//
+// CONTENTS:
+//   - Shared types (CCR request/response, model configuration, stream filters)
+//   - GlmTokenEstimator (token estimation)
+//   - Option validation, model table (modelConfigPath, aliases, overrides)
+//   - Reasoning hierarchy, keyword detection, context clamp, history compaction
+//   - Latency metrics, usage accounting, token budget, statusline state file
+//   - Vision routing, image validation, tool schema sanitization
+//   - Stream filters (whitespace reasoning, tool-call repair, thinking conversion)
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+/**
+ * Model configuration file watchers: one polling watcher per file, shared by every
+ * instance that watches it (CCR creates a new instance on each configuration reload).
+ * Instances are held weakly so replaced transformers can be garbage-collected.
+ * @type {Map<string, {listener: Function, instances: Set<WeakRef<Object>>}>}
+ */
+const modelConfigWatchers = new Map();
+
+/**
+ * Cache control settings for messages and content blocks
+ * @typedef {Object} CacheControl
+ * @property {string} type - Cache control type (e.g., "ephemeral")
+ */
+
+/**
+ * Image URL container
+ * @typedef {Object} ImageUrl
+ * @property {string} url - The actual image URL (can be data URL or http/https)
+ */
+
+/**
+ * Function call details
+ * @typedef {Object} FunctionCallDetails
+ * @property {string} name - Name of the function to call
+ * @property {string} arguments - JSON string of function arguments
+ */
+
+/**
+ * Thinking/reasoning content block from model
+ * @typedef {Object} ThinkingBlock
+ * @property {string} content - The thinking/reasoning text
+ * @property {string} [signature] - Optional signature for thinking verification
+ */
+
+/**
+ * Function parameters JSON Schema
+ * @typedef {Object} FunctionParameters
+ * @property {"object"} type - Always "object" for parameters root
+ * @property {Object.<string, any>} properties - Parameter definitions
+ * @property {string[]} [required] - List of required parameter names
+ * @property {boolean} [additionalProperties] - Allow additional properties
+ * @property {string} [$schema] - JSON Schema version
+ */
+
+/**
+ * Function definition
+ * @typedef {Object} FunctionDefinition
+ * @property {string} name - Function name (must be unique)
+ * @property {string} description - Description of what the function does
+ * @property {FunctionParameters} parameters - JSON Schema for function parameters
+ */
+
+/**
+ * Reasoning configuration
+ * @typedef {Object} ReasoningConfig
+ * @property {ThinkLevel} [effort] - Reasoning effort level (OpenAI-style)
+ * @property {number} [max_tokens] - Maximum tokens for reasoning (Anthropic-style)
+ * @property {boolean} [enabled] - Whether reasoning is enabled
+ */
+
+/**
+ * Transformer configuration item (object form)
+ * @typedef {Object} TransformerConfigItem
+ * @property {string} name - Transformer name
+ * @property {Object} [options] - Transformer options
+ */
+
+/**
+ * Transformer configuration
+ * @typedef {Object} TransformerConfig
+ * @property {string|string[]|TransformerConfigItem[]} use - Transformer name(s) or configuration(s)
+ */
+
+/**
+ * Global overrides configuration
+ * @typedef {Object} GlobalOverrides
+ * @property {number|null} maxTokens - Override max_tokens for all models (takes precedence over model config)
+ * @property {number|null} temperature - Override temperature for all models
+ * @property {number|null} topP - Override top_p for all models
+ * @property {boolean|null} reasoning - Override reasoning on/off for all models
+ * @property {boolean|null} keywordDetection - Override automatic prompt enhancement on/off for all models
+ */
+
+/**
+ * Text content block in a message
+ * @typedef {Object} TextContent
+ * @property {"text"} type - Content type identifier
+ * @property {string} text - The actual text content
+ * @property {CacheControl} [cache_control] - Optional cache control settings
+ */
+
+/**
+ * Image content block in a message
+ * @typedef {Object} ImageContent
+ * @property {"image_url"} type - Content type identifier for images
+ * @property {ImageUrl} image_url - Image URL container
+ * @property {string} media_type - MIME type of the image (e.g., "image/png", "image/jpeg")
+ */
+
+/**
+ * Union type for message content blocks
+ * @typedef {TextContent | ImageContent} MessageContent
+ */
+
+/**
+ * Tool/function call representation
+ * @typedef {Object} ToolCall
+ * @property {string} id - Unique identifier for this tool call
+ * @property {"function"} type - Always "function" for function calls
+ * @property {FunctionCallDetails} function - Function call details
+ */
+
+/**
+ * Unified message format compatible with multiple LLM providers
+ * @typedef {Object} UnifiedMessage
+ * @property {"user"|"assistant"|"system"|"tool"} role - Message role in conversation
+ * @property {string|null|MessageContent[]} content - Message content (string, null, or structured blocks)
+ * @property {ToolCall[]} [tool_calls] - Tool/function calls made by assistant (OpenAI format - reserved for future compatibility)
+ * @property {string} [tool_call_id] - ID of tool call this message is responding to for role="tool" (OpenAI format - reserved for future compatibility)
+ * @property {CacheControl} [cache_control] - Cache control settings for this message
+ * @property {ThinkingBlock} [thinking] - Reasoning/thinking content from model
+ */
+
+/**
+ * Tool/function definition for LLM
+ * @typedef {Object} UnifiedTool
+ * @property {"function"} type - Always "function" for function tools
+ * @property {FunctionDefinition} function - Function definition
+ */
+
+/**
+ * Reasoning effort level (OpenAI o1-style)
+ * @typedef {"low"|"medium"|"high"} ThinkLevel
+ */
+
+/**
+ * @typedef {Object} UnifiedChatRequest
+ * @property {UnifiedMessage[]} messages - Array of conversation messages
+ * @property {string} model - LLM model name
+ * @property {number} [max_tokens] - Maximum tokens in response
+ * @property {number} [temperature] - Temperature for generation (0.0 - 2.0)
+ * @property {number} [top_p] - Top-P nucleus sampling (0.0 - 1.0)
+ * @property {boolean} [stream] - Whether response should be streamed
+ * @property {UnifiedTool[]} [tools] - Available tools for the model
+ * @property {"auto"|"none"|"required"|string|UnifiedTool} [tool_choice] - Tool selection strategy
+ * @property {ReasoningConfig} [reasoning] - Reasoning configuration
+ * @property {ThinkingConfiguration} [thinking] - Thinking configuration (provider-specific)
+ */
+
+/**
+ * @typedef {Object} LLMProvider
+ * @property {string} name - Provider name
+ * @property {string} baseUrl - API base URL
+ * @property {string} apiKey - API key
+ * @property {string[]} models - Available models
+ * @property {TransformerConfig} [transformer] - Transformer configuration
+ */
+
+/**
+ * @typedef {Object} TransformerContext
+ * @property {Object} [req] - CCR's HTTP request (the same object is passed to transformRequestIn and transformResponseOut)
+ * @property {*} [key] - Additional context for transformer
+ */
+
+/**
+ * State of a transformed request, read back when its response arrives
+ * @typedef {Object} RequestRecord
+ * @property {number} requestId - Request number
+ * @property {Map<string, Object>} toolSchemas - Tool parameter schemas by tool name (response validation)
+ * @property {ReasoningDecision} [reasoning] - Reasoning hierarchy decision (set once the hierarchy is resolved)
+ * @property {string} [model] - Upstream model of the final body
+ * @property {string} [level] - Winning hierarchy level, e.g. "model config (4)" (usage accounting)
+ * @property {string|null} [claudeSessionId] - Claude Code session (state file)
+ * @property {TokenBudgetStatus|null} [budget] - Token budget state of the request
+ * @property {number} [sentAt] - Date.now() when transformRequestIn() returned (latency metrics)
+ */
+
+/**
+ * Standard Fetch API Response (also available in Node.js 18+)
+ * @typedef {Object} Response
+ * @property {boolean} ok - Indicates if response was successful (status 200-299)
+ * @property {number} status - HTTP status code
+ * @property {string} statusText - HTTP status message
+ * @property {Headers} headers - Response headers
+ * @property {boolean} redirected - Indicates if response is result of redirect
+ * @property {string} type - Response type (basic, cors, etc.)
+ * @property {string} url - Response URL
+ * @property {function(): Promise<ArrayBuffer>} arrayBuffer - Read body as ArrayBuffer
+ * @property {function(): Promise<Blob>} blob - Read body as Blob
+ * @property {function(): Promise<FormData>} formData - Read body as FormData
+ * @property {function(): Promise<any>} json - Read body as JSON
+ * @property {function(): Promise<string>} text - Read body as text
+ * @property {ReadableStream} [body] - Body stream
+ * @property {boolean} bodyUsed - Indicates if body has been read
+ */
+
+/**
+ * Model-specific configuration
+ * @typedef {Object} ModelConfig
+ * @property {number} maxTokens - Maximum output tokens
+ * @property {number|null} contextWindow - Maximum input tokens (context)
+ * @property {number|null} temperature - Randomness control (0.0-2.0)
+ * @property {number|null} topP - Nucleus sampling (0.0-1.0)
+ * @property {boolean} reasoning - Whether model supports native reasoning (model decides when to use it)
+ * @property {boolean} keywordDetection - Enable automatic prompt enhancement when analytical keywords are detected
+ * @property {boolean|null} [vision] - Whether the model accepts images (null = unknown, images left untouched)
+ * @property {number|null} [maxImages] - Maximum images per request (most recent kept)
+ * @property {number|null} [maxImageBytes] - Maximum decoded size per data-URL image
+ * @property {boolean} [sanitizeToolSchemas] - Rewrite tool schemas into the subset Z.AI function calling handles reliably
+ * @property {number|null} [maxToolDescriptionLength] - Cap tool and parameter description lengths (null = no cap)
+ * @property {string} provider - Model provider (Z.AI only)
+ */
+
+/**
+ * Request body to be modified by reasoning formatter
+ * @typedef {Object} RequestBody
+ * @property {*} [key] - Dynamic properties for the request body
+ */
+
+/**
+ * Function that applies provider-specific reasoning format
+ * @typedef {function(RequestBody, string): void} ReasoningFormatter
+ * @param {RequestBody} body - Request body to modify
+ * @param {string} modelName - Model name
+ */
+
+/**
+ * Dictionary of model configurations indexed by model name
+ * @typedef {Record<string, ModelConfig>} ModelConfigurationMap
+ */
+
+/**
+ * Dictionary of reasoning formatters indexed by provider
+ * @typedef {Record<string, ReasoningFormatter>} ReasoningFormatterMap
+ */
+
+/**
+ * Thinking/reasoning configuration for provider
+ * @typedef {Object} ThinkingConfiguration
+ * @property {string} type - Thinking type (e.g., "enabled")
+ * @property {*} [key] - Additional provider-specific properties
+ */
+
+/**
+ * Result of clamping max_tokens against the model's context window
+ * @typedef {Object} ContextClampResult
+ * @property {boolean} clamped - Whether max_tokens was lowered
+ * @property {number|null} contextWindow - Model context window (null = no check)
+ * @property {number} promptTokens - Estimated prompt tokens
+ * @property {number|null} availableTokens - Context window minus prompt tokens
+ * @property {number} originalMaxTokens - max_tokens before clamping
+ * @property {number} finalMaxTokens - max_tokens after clamping
+ */
+
+/**
+ * Result of model name resolution
+ * @typedef {Object} ModelResolution
+ * @property {string} requested - Model name as requested
+ * @property {string|null} resolved - Model table key (null = Unknown defaults)
+ * @property {"exact"|"case-insensitive"|"alias"|"normalized"|"family"|"default"} match - How the name was resolved
+ * @property {string[]} steps - Resolution path, e.g. ['strip provider prefix "zai/"', 'exact']
+ */
+
+/**
+ * Validation rule for one transformer option
+ * @typedef {Object} OptionRule
+ * @property {"boolean"|"number"|"integer"|"string"|"enum"|"logger"|"array"|"object"} type - Expected type
+ * @property {Array} [allowed] - Allowed values (enum)
+ * @property {number} [min] - Minimum value (numbers)
+ * @property {number} [max] - Maximum value (numbers)
+ * @property {OptionRule} [items] - Rule for array items
+ * @property {Object.<string, OptionRule>} [fields] - Rules for known object keys (other keys are unknown)
+ * @property {OptionRule} [values] - Rule for every object value (free-form keys, e.g. model names)
+ */
+
+/**
+ * Result of option validation
+ * @typedef {Object} OptionValidationResult
+ * @property {TransformerOptions} options - Options without unknown keys and invalid values
+ * @property {string[]} errors - Invalid values (ignored); refuse to start with strictOptions
+ * @property {string[]} warnings - Unknown keys and suspicious values
+ * @property {boolean} strict - strictOptions was enabled
+ */
+
+/**
+ * Per-model option overrides (options.models entry)
+ * @typedef {Object} ModelOverrides
+ * @property {number} [maxTokens] - max_tokens for this model
+ * @property {number} [temperature] - Temperature for this model
+ * @property {number} [topP] - top_p for this model
+ * @property {boolean} [reasoning] - Reasoning on/off for this model
+ * @property {boolean} [keywordDetection] - Keyword detection on/off for this model
+ */
+
+/**
+ * Setting resolved through the configuration layers
+ * @typedef {Object} ResolvedSetting
+ * @property {*} value - Final value (null if no layer supplies one)
+ * @property {"global override"|"model override"|"model config"} source - Layer that supplied the value
+ */
+
+/**
+ * Result of vision model routing
+ * @typedef {Object} VisionRouteResult
+ * @property {string} model - Model used for the request
+ * @property {boolean} rerouted - Whether the model was switched to visionModel
+ * @property {string} from - Model requested by Claude Code
+ * @property {number} imageCount - Images found in recent messages
+ */
+
+/**
+ * Reasoning tag found in a user message
+ * @typedef {Object} ReasoningTag
+ * @property {"ultrathink"|"thinking"|"effort"} type - Tag kind
+ * @property {string|null} value - "On"/"Off" or "Low"/"Medium"/"High" as written (null for ultrathink)
+ * @property {number} messageIndex - Index of the message containing the tag
+ * @property {boolean} applied - Whether the tag decided the reasoning (winning level and most recent tag)
+ */
+
+/**
+ * Active level of the reasoning hierarchy
+ * @typedef {Object} ReasoningLevel
+ * @property {number} priority - 0, 1, 2, 3, 3.5, 4 or 5 (lower wins)
+ * @property {"force permanent thinking"|"ultrathink"|"user tags"|"global override"|"model override"|"model config"|"claude code"} name - Level name
+ * @property {boolean|null} reasoning - Reasoning this level asks for (null: Claude Code sent none)
+ * @property {string|null} effort - Effort this level asks for (null when reasoning is off)
+ */
+
+/**
+ * Reasoning hierarchy decision made by transformRequestIn (read by explain() and the state file)
+ * @typedef {Object} ReasoningDecision
+ * @property {ReasoningTag[]} tags - Every detected tag, applied ones marked
+ * @property {ReasoningLevel} level - Winning hierarchy level
+ * @property {ReasoningLevel[]} overridden - Lower levels that were also active
+ */
+
+/**
+ * Decision trace returned by explain()
+ * @typedef {Object} DecisionTrace
+ * @property {{requested: string, resolved: string|null, match: string, final: string, visionReroute: {from: string, to: string, imageCount: number}|null}} model - Model selection
+ * @property {ReasoningTag[]} tags - Every detected tag with its message index
+ * @property {ReasoningLevel} level - Winning hierarchy level
+ * @property {ReasoningLevel[]} overridden - Lower levels that were also active
+ * @property {Object|null} reasoning - Final reasoning field
+ * @property {Object|null} thinking - Final Z.AI thinking field
+ * @property {{maxTokens: {value: number|null, source: string, requested: number|null}, temperature: {value: number|null, source: string}, topP: {value: number|null, source: string}}} sampling - Final values and the layer that supplied them
+ * @property {{detected: boolean, messageIndex: number|null, detection: ResolvedSetting, enhanced: boolean, enhancedMessageIndex: number|null}} keywords - Keyword detection and prompt enhancement
+ * @property {TokenBudgetStatus|null} budget - Token budget state and downgrades (null if no budget is configured)
+ * @property {ModifiedRequestBody} body - Body that would be sent to the provider
+ */
+
+/**
+ * Timing of one streamed response (milliseconds since transformRequestIn() returned)
+ * @typedef {Object} LatencyMetrics
+ * @property {number} requestId - Request number
+ * @property {string} model - Model of the request
+ * @property {number} timeToHeaders - Until transformResponseOut() received the Response
+ * @property {number|null} timeToFirstByte - Until the first stream bytes
+ * @property {number|null} timeToFirstReasoning - Until the first non-blank reasoning_content
+ * @property {number|null} timeToFirstContent - Until the first content
+ * @property {number|null} timeToFirstToolCall - Until the first tool_calls delta
+ * @property {number|null} reasoningDuration - First to last reasoning_content delta
+ * @property {number|null} toolCallDuration - First to last tool_calls delta (tool-call emission time)
+ * @property {number} totalDuration - Until the stream ended
+ * @property {number} chunks - SSE data chunks
+ * @property {number} bytes - Bytes received
+ * @property {number|null} chunksPerSecond - Chunks per second (first byte to end)
+ * @property {number|null} bytesPerSecond - Bytes per second (first byte to end)
+ */
+
+/**
+ * Session aggregate of one latency field
+ * @typedef {Object} LatencyFieldAggregate
+ * @property {number|null} avg - Average (null if never measured)
+ * @property {number|null} max - Maximum
+ * @property {number} count - Requests where the field was measured
+ */
+
+/**
+ * Per-model latency aggregates for the session (getLatencyStats)
+ * @typedef {Object} LatencyAggregate
+ * @property {number} requests - Streamed requests timed for the model
+ * @property {LatencyFieldAggregate} timeToFirstByte - Time to first byte (ms)
+ * @property {LatencyFieldAggregate} timeToFirstReasoning - Time to first reasoning_content (ms)
+ * @property {LatencyFieldAggregate} timeToFirstContent - Time to first content (ms)
+ * @property {LatencyFieldAggregate} timeToFirstToolCall - Time to first tool call (ms)
+ * @property {LatencyFieldAggregate} reasoningDuration - Reasoning duration (ms)
+ * @property {LatencyFieldAggregate} toolCallDuration - Tool-call emission time (ms)
+ * @property {LatencyFieldAggregate} totalDuration - Total duration (ms)
+ * @property {LatencyFieldAggregate} bytesPerSecond - Throughput (bytes/s)
+ */
+
+/**
+ * Token usage totals
+ * @typedef {Object} UsageBucket
+ * @property {number} requests - Responses that reported usage
+ * @property {number} promptTokens - prompt_tokens
+ * @property {number} completionTokens - completion_tokens (includes reasoning)
+ * @property {number} cachedTokens - prompt_tokens_details.cached_tokens
+ * @property {number} reasoningTokens - completion_tokens_details.reasoning_tokens (when reported)
+ * @property {number} totalTokens - total_tokens
+ */
+
+/**
+ * Usage of one session or one day
+ * @typedef {Object} UsageScope
+ * @property {UsageBucket} totals - All models
+ * @property {Object<string, UsageBucket>} models - By upstream model
+ * @property {Object<string, UsageBucket>} levels - By winning hierarchy level (e.g. "ultrathink (1)")
+ * @property {string} [startedAt] - Session start (sessions only)
+ * @property {string} [updatedAt] - Last update (sessions only)
+ * @property {number} [pid] - CCR process id (sessions only)
+ */
+
+/**
+ * Content of the usage state file (usageFile)
+ * @typedef {Object} UsageState
+ * @property {number} version - File format version (1)
+ * @property {string} updatedAt - Last write
+ * @property {Object<string, UsageScope>} sessions - By session id
+ * @property {Object<string, UsageScope>} days - By local day (YYYY-MM-DD)
+ */
+
+/**
+ * Token budget (options.tokenBudget with defaults applied)
+ * @typedef {Object} TokenBudget
+ * @property {number|null} dailyTokens - Limit on today's total tokens (all sessions sharing usageFile)
+ * @property {number|null} sessionTokens - Limit on this session's total tokens
+ * @property {number} softThreshold - Fraction of the limit that lowers reasoning (default: 0.8)
+ * @property {number} hardThreshold - Fraction of the limit that reroutes to fallbackModel (default: 1)
+ * @property {"disable-reasoning"|"lower-effort"} softAction - Reasoning downgrade (default: "disable-reasoning").
+ *   "lower-effort" only changes reasoning.effort, which the Z.AI endpoint ignores (thinking is on/off)
+ * @property {string} fallbackModel - Model used past the hard threshold (default: "glm-4.5-air")
+ */
+
+/**
+ * Downgrade applied to a request by the token budget
+ * @typedef {Object} BudgetDowngrade
+ * @property {"reroute"|"lower-effort"|"disable-reasoning"} action - What was changed
+ * @property {"soft"|"hard"} threshold - Threshold that caused it
+ * @property {string} from - Model, or reasoning as "on/<effort>"
+ * @property {string} to - Model, or reasoning as "on/<effort>" / "off"
+ */
+
+/**
+ * Token budget state for one request
+ * @typedef {Object} TokenBudgetStatus
+ * @property {"ok"|"soft"|"hard"} state - Highest threshold reached
+ * @property {"daily"|"session"} scope - Limit closest to being exhausted
+ * @property {number} used - Tokens used in that scope
+ * @property {number} limit - Limit of that scope
+ * @property {number} ratio - used / limit
+ * @property {BudgetDowngrade[]} downgrades - Downgrades applied to the request
+ */
+
+/**
+ * Decision taken for one image block
+ * @typedef {Object} ImageDecision
+ * @property {number} message - Message index
+ * @property {"kept"|"removed"} action - Whether the image was kept or replaced with a placeholder
+ * @property {string|null} reason - Why the image was removed
+ * @property {string|null} mime - MIME type (null if unknown)
+ * @property {number|null} bytes - Decoded size of data-URL images (null if unknown)
+ */
+
+/**
+ * Result of sanitizing request tools
+ * @typedef {Object} ToolSanitizationResult
+ * @property {UnifiedTool[]} tools - Tools to send (unchanged tools keep their original object)
+ * @property {{name: string, changes: string[]}[]} changes - Per-tool diff lines ("- removed", "~ rewritten", "✂ truncated")
+ */
+
+/**
+ * Result of automatic history compaction
+ * @typedef {Object} CompactionResult
+ * @property {boolean} applied - Whether any message was compacted
+ * @property {boolean} fits - Whether the request fits the target after compaction
+ * @property {number} beforeTokens - Estimated prompt tokens before compaction
+ * @property {number} afterTokens - Estimated prompt tokens after compaction
+ * @property {number|null} targetTokens - contextWindow - minOutputTokens (null = no check)
+ * @property {number} toolResultsShrunk - Tool result shrink operations
+ * @property {number} charsElided - Characters removed from tool results and system-reminders
+ * @property {number} thinkingDropped - Assistant messages whose thinking was dropped
+ * @property {number} remindersCollapsed - Messages whose system-reminders were collapsed
+ */
+
+/**
+ * Stream filter applied to each parsed SSE chunk of a streaming response
+ * @typedef {Object} StreamFilter
+ * @property {function(Object): Object[]} onChunk - Receives a parsed chunk, returns chunks to emit (0..n)
+ * @property {function(): Object[]} onEnd - Called once at end of stream, returns chunks to flush
+ */
+
+/**
+ * Result of repairing a JSON string
+ * @typedef {Object} JsonRepairResult
+ * @property {string} value - Valid (possibly repaired) JSON, or the original text if repair failed
+ * @property {boolean} valid - Whether value is valid JSON
+ * @property {boolean} repaired - Whether value differs from the original because of a repair
+ */
+
+/**
+ * Per-call result of streamed tool-call validation
+ * @typedef {Object} ToolCallRepairDetail
+ * @property {number} index - Tool call index in the stream
+ * @property {string} name - Function name
+ * @property {"valid"|"repaired"|"coerced"|"invalid"|"failed"} status - Validation result
+ * @property {string} arguments - Final arguments emitted
+ * @property {string[]} changes - Schema coercions applied (e.g. "$.limit: \"5\" → 5")
+ * @property {string[]} errors - Schema violations that could not be fixed
+ */
+
+/**
+ * Result of validating tool-call arguments against a tool schema
+ * @typedef {Object} ToolArgumentValidation
+ * @property {string} value - Arguments JSON (re-serialized only if coerced)
+ * @property {string[]} changes - Coercions applied
+ * @property {string[]} errors - Violations that could not be fixed
+ */
+
+/**
+ * Counters updated by stream filters
+ * @typedef {Object} StreamFilterStats
+ * @property {number} whitespaceDropped - Whitespace-only reasoning_content deltas removed
+ * @property {number} whitespaceCoalesced - Held whitespace merged into the next reasoning chunk
+ * @property {number} chunksRemoved - Chunks dropped entirely (empty after filtering)
+ * @property {number} thinkingChunks - reasoning_content deltas converted to thinking deltas
+ * @property {number} thinkingSignatures - Signed closing chunks emitted (0 or 1 per response)
+ * @property {number} thinkingLate - reasoning_content chunks received after the thinking block was closed (dropped)
+ * @property {number} toolCalls - Tool calls whose arguments were buffered and validated
+ * @property {number} toolCallsRepaired - Tool calls whose arguments JSON was repaired
+ * @property {number} toolCallsFailed - Tool calls whose arguments JSON could not be repaired
+ * @property {number} toolCallsCoerced - Tool calls whose arguments were coerced to match the tool schema
+ * @property {number} toolCallsInvalid - Tool calls that still violate the tool schema (flagged)
+ * @property {ToolCallRepairDetail[]} toolCallDetails - Per-call validation result
+ */
+
+/**
+ * Delta content in streaming response
+ * @typedef {Object} StreamDelta
+ * @property {string} [role] - Message role
+ * @property {string} [content] - Content chunk
+ * @property {string} [reasoning_content] - Reasoning/thinking content chunk
+ * @property {string} [finish_reason] - Reason for completion
+ */
+
+/**
+ * Choice in streaming response
+ * @typedef {Object} StreamChoice
+ * @property {StreamDelta} delta - Delta content
+ * @property {number} index - Choice index
+ */
+
+/**
+ * Modified request body to send to provider
+ * @typedef {Object} ModifiedRequestBody
+ * @property {string} model - Model name
+ * @property {number} max_tokens - Maximum tokens
+ * @property {number} [temperature] - Temperature setting
+ * @property {number} [top_p] - Top-P setting
+ * @property {boolean} [do_sample] - Sampling control
+ * @property {UnifiedMessage[]} messages - Messages array
+ * @property {ThinkingConfiguration} [thinking] - Thinking configuration
+ * @property {StreamChoice[]} [choices] - Choices in response (for streaming)
+ * @property {*} [key] - Additional dynamic properties
+ */
+
+/**
+ * Transformer constructor with static name
+ * @typedef {Object} TransformerConstructor
+ * @property {string} [TransformerName] - Static transformer name (alternative to name property)
+ */
+
+/**
+ * Token estimate breakdown for a request
+ * @typedef {Object} TokenEstimate
+ * @property {number} total - Estimated total prompt tokens
+ * @property {number} messages - Tokens from message text, thinking and tool calls
+ * @property {number} system - Tokens from the system prompt
+ * @property {number} tools - Tokens from tool definitions (schemas)
+ * @property {number} images - Tokens from image blocks
+ * @property {number} imageCount - Number of image blocks found
+ * @property {number[]} perMessage - Estimated tokens per message (same order as request.messages)
+ */
+
+/**
+ * Token estimator options
+ * @typedef {Object} TokenEstimatorOptions
+ * @property {number} [imageTokens] - Fixed cost per image block (default: 1200)
+ * @property {number} [messageOverhead] - Role/format markers per message (default: 4)
+ * @property {number} [toolOverhead] - Wrapper cost per tool definition (default: 12)
+ * @property {number} [charsPerWordToken] - Latin letters per token inside a word (default: 6)
+ */
+
+/**
+ * Token estimator tuned for GLM tokenization.
+ *
+ * GLM tokenizers (~150K vocabulary) encode common English words as one token,
+ * split long words every ~6 letters, group digits in runs of up to 3,
+ * encode CJK text at ~0.6 tokens per character and treat most punctuation
+ * as individual tokens. Whitespace runs collapse into a single token.
+ *
+ * Not exact: intended for context window checks, logging and budget accounting.
+ *
+ * @class
+ */
+class GlmTokenEstimator {
+  /**
+   * Constructor
+   * @param {TokenEstimatorOptions} [options] - Per-block cost overrides
+   */
+  constructor (options) {
+    const opts = options || {};
+
+    /**
+     * Fixed cost per image block
+     * @type {number}
+     */
+    this.imageTokens = opts.imageTokens ?? 1200;
+
+    /**
+     * Role/format markers added per message
+     * @type {number}
+     */
+    this.messageOverhead = opts.messageOverhead ?? 4;
+
+    /**
+     * Wrapper cost per tool definition
+     * @type {number}
+     */
+    this.toolOverhead = opts.toolOverhead ?? 12;
+
+    /**
+     * Latin letters per token inside a word
+     * @type {number}
+     */
+    this.charsPerWordToken = opts.charsPerWordToken ?? 6;
+  }
+
+  /**
+   * Estimates tokens of plain text
+   * @param {string} text - Text to measure
+   * @returns {number} Estimated tokens
+   */
+  estimateText (text) {
+    if (!text) return 0;
+
+    let tokens = 0;
+    const pattern = /[A-Za-z]+|\d+|\s+|[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff]+|[^\sA-Za-z\d]/gu;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      const piece = match[0];
+      const first = piece.charCodeAt(0);
+
+      if ((first >= 65 && first <= 90) || (first >= 97 && first <= 122)) {
+        // Latin word: one token, plus one per extra chunk of letters
+        tokens += Math.ceil(piece.length / this.charsPerWordToken);
+      } else if (first >= 48 && first <= 57) {
+        // Digits: groups of up to 3
+        tokens += Math.ceil(piece.length / 3);
+      } else if (/^\s/.test(piece)) {
+        // Whitespace runs collapse (single spaces merge into the next word)
+        if (piece !== ' ') tokens += 1;
+      } else if (piece.length > 1 || first > 0x2fff) {
+        // CJK run
+        tokens += Math.ceil(piece.length * 0.6);
+      } else {
+        // Punctuation, symbols and other single characters
+        tokens += 1;
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Estimates tokens of a message content value (string, blocks or null)
+   * @param {string|null|MessageContent[]|*} content - Message content
+   * @returns {{text: number, images: number, imageCount: number}} Estimated tokens
+   */
+  estimateContent (content) {
+    const result = { text: 0, images: 0, imageCount: 0 };
+
+    if (typeof content === 'string') {
+      result.text = this.estimateText(content);
+    } else if (Array.isArray(content)) {
+      for (const block of content) {
+        if (!block) continue;
+        if (block.type === 'text') {
+          result.text += this.estimateText(block.text);
+        } else if (block.type === 'image_url' || block.type === 'image') {
+          result.images += this.imageTokens;
+          result.imageCount++;
+        } else if (block.type === 'tool_result') {
+          const nested = this.estimateContent(block.content ?? '');
+          result.text += nested.text;
+          result.images += nested.images;
+          result.imageCount += nested.imageCount;
+        } else if (block.type === 'tool_use') {
+          // Arguments are sent as JSON text: counted once
+          result.text += block.input ? this.estimateText(JSON.stringify(block.input)) : 0;
+        } else {
+          result.text += this.estimateText(JSON.stringify(block));
+        }
+      }
+    } else if (content != null) {
+      result.text = this.estimateText(JSON.stringify(content));
+    }
+
+    return result;
+  }
+
+  /**
+   * Estimates tokens of a single message (content, thinking, tool calls)
+   * @param {UnifiedMessage} message - Message to measure (null/undefined counts as 0)
+   * @returns {{text: number, images: number, imageCount: number}} Estimated tokens
+   */
+  estimateMessage (message) {
+    if (!message) return { text: 0, images: 0, imageCount: 0 };
+
+    const result = this.estimateContent(message.content);
+    result.text += this.messageOverhead;
+
+    if (message.thinking && message.thinking.content) {
+      result.text += this.estimateText(message.thinking.content);
+    }
+
+    if (Array.isArray(message.tool_calls)) {
+      for (const call of message.tool_calls) {
+        result.text += this.estimateText(call.function?.name) + this.estimateText(call.function?.arguments);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Estimates tokens of a tool definition (name, description, JSON Schema)
+   * @param {UnifiedTool} tool - Tool definition
+   * @returns {number} Estimated tokens
+   */
+  estimateTool (tool) {
+    const definition = tool.function || tool;
+    const schema = definition.parameters || definition.input_schema;
+
+    return this.toolOverhead +
+      this.estimateText(definition.name) +
+      this.estimateText(definition.description) +
+      (schema ? this.estimateText(JSON.stringify(schema)) : 0);
+  }
+
+  /**
+   * Estimates prompt tokens of a full request (messages, system, tools)
+   * @param {UnifiedChatRequest} request - Request to measure
+   * @returns {TokenEstimate} Token breakdown
+   */
+  estimateRequest (request) {
+    const estimate = { total: 0, messages: 0, system: 0, tools: 0, images: 0, imageCount: 0, perMessage: [] };
+
+    if (Array.isArray(request.messages)) {
+      for (const message of request.messages) {
+        const messageEstimate = this.estimateMessage(message);
+        estimate.messages += messageEstimate.text;
+        estimate.images += messageEstimate.images;
+        estimate.imageCount += messageEstimate.imageCount;
+        estimate.perMessage.push(messageEstimate.text + messageEstimate.images);
+      }
+    }
+
+    if (request.system) {
+      estimate.system = this.estimateContent(request.system).text;
+    }
+
+    if (Array.isArray(request.tools)) {
+      estimate.tools = request.tools.reduce((sum, tool) => sum + this.estimateTool(tool), 0);
+    }
+
+    estimate.total = estimate.messages + estimate.system + estimate.tools + estimate.images;
+    return estimate;
+  }
+}
+
+/**
+ * Logic shared by the Z.ai transformers. Subclasses set the instance state in their
+ * constructor (after calling super()) and implement the hooks used here:
+ * _getOptionSchema, _reportOptionValidation, loadModelConfigurations, _reportLatency,
+ * _reportUsage, _reportBudgetDowngrade.
+ *
+ * @class
+ */
+class ZaiTransformerCore {
+  /**
+   * Estimates tokens of plain text
+   * @param {string} text - Text to measure
+   * @returns {number} Estimated tokens
+   */
+  estimateText (text) {
+    if (!text) return 0;
+
+    let tokens = 0;
+    const pattern = /[A-Za-z]+|\d+|\s+|[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff]+|[^\sA-Za-z\d]/gu;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      const piece = match[0];
+      const first = piece.charCodeAt(0);
+
+      if ((first >= 65 && first <= 90) || (first >= 97 && first <= 122)) {
+        // Latin word: one token, plus one per extra chunk of letters
+        tokens += Math.ceil(piece.length / this.charsPerWordToken);
+      } else if (first >= 48 && first <= 57) {
+        // Digits: groups of up to 3
+        tokens += Math.ceil(piece.length / 3);
+      } else if (/^\s/.test(piece)) {
+        // Whitespace runs collapse (single spaces merge into the next word)
+        if (piece !== ' ') tokens += 1;
+      } else if (piece.length > 1 || first > 0x2fff) {
+        // CJK run
+        tokens += Math.ceil(piece.length * 0.6);
+      } else {
+        // Punctuation, symbols and other single characters
+        tokens += 1;
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Estimates tokens of a message content value (string, blocks or null)
+   * @param {string|null|MessageContent[]|*} content - Message content
+   * @returns {{text: number, images: number, imageCount: number}} Estimated tokens
+   */
+  estimateContent (content) {
+    const result = { text: 0, images: 0, imageCount: 0 };
+
+    if (typeof content === 'string') {
+      result.text = this.estimateText(content);
+    } else if (Array.isArray(content)) {
+      for (const block of content) {
+        if (!block) continue;
+        if (block.type === 'text') {
+          result.text += this.estimateText(block.text);
+        } else if (block.type === 'image_url' || block.type === 'image') {
+          result.images += this.imageTokens;
+          result.imageCount++;
+        } else if (block.type === 'tool_result') {
+          const nested = this.estimateContent(block.content ?? '');
+          result.text += nested.text;
+          result.images += nested.images;
+          result.imageCount += nested.imageCount;
+        } else if (block.type === 'tool_use') {
+          // Arguments are sent as JSON text: counted once
+          result.text += block.input ? this.estimateText(JSON.stringify(block.input)) : 0;
+        } else {
+          result.text += this.estimateText(JSON.stringify(block));
+        }
+      }
+    } else if (content != null) {
+      result.text = this.estimateText(JSON.stringify(content));
+    }
+
+    return result;
+  }
+
+  /**
+   * Estimates tokens of a single message (content, thinking, tool calls)
+   * @param {UnifiedMessage} message - Message to measure (null/undefined counts as 0)
+   * @returns {{text: number, images: number, imageCount: number}} Estimated tokens
+   */
+  estimateMessage (message) {
+    if (!message) return { text: 0, images: 0, imageCount: 0 };
+
+    const result = this.estimateContent(message.content);
+    result.text += this.messageOverhead;
+
+    if (message.thinking && message.thinking.content) {
+      result.text += this.estimateText(message.thinking.content);
+    }
+
+    if (Array.isArray(message.tool_calls)) {
+      for (const call of message.tool_calls) {
+        result.text += this.estimateText(call.function?.name) + this.estimateText(call.function?.arguments);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Estimates tokens of a tool definition (name, description, JSON Schema)
+   * @param {UnifiedTool} tool - Tool definition
+   * @returns {number} Estimated tokens
+   */
+  estimateTool (tool) {
+    const definition = tool.function || tool;
+    const schema = definition.parameters || definition.input_schema;
+
+    return this.toolOverhead +
+      this.estimateText(definition.name) +
+      this.estimateText(definition.description) +
+      (schema ? this.estimateText(JSON.stringify(schema)) : 0);
+  }
+
+  /**
+   * Estimates prompt tokens of a full request (messages, system, tools)
+   * @param {UnifiedChatRequest} request - Request to measure
+   * @returns {TokenEstimate} Token breakdown
+   */
+  estimateRequest (request) {
+    const estimate = { total: 0, messages: 0, system: 0, tools: 0, images: 0, imageCount: 0, perMessage: [] };
+
+    if (Array.isArray(request.messages)) {
+      for (const message of request.messages) {
+        const messageEstimate = this.estimateMessage(message);
+        estimate.messages += messageEstimate.text;
+        estimate.images += messageEstimate.images;
+        estimate.imageCount += messageEstimate.imageCount;
+        estimate.perMessage.push(messageEstimate.text + messageEstimate.images);
+      }
+    }
+
+    if (request.system) {
+      estimate.system = this.estimateContent(request.system).text;
+    }
+
+    if (Array.isArray(request.tools)) {
+      estimate.tools = request.tools.reduce((sum, tool) => sum + this.estimateTool(tool), 0);
+    }
+
+    estimate.total = estimate.messages + estimate.system + estimate.tools + estimate.images;
+    return estimate;
+  }
+
+  /**
+   * Finds the closest known name for a misspelled option (Levenshtein distance)
+   * @param {string} name - Unknown name
+   * @param {string[]} candidates - Known names
+   * @returns {string|null} Closest candidate, or null if none is close enough
+   * @private
+   */
+  _suggestOptionName (name, candidates) {
+    const distance = (a, b) => {
+      const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+      for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+          const current = row[j];
+          row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+          previous = current;
+        }
+      }
+      return row[b.length];
+    };
+
+    const lower = name.toLowerCase();
+    const threshold = Math.max(2, Math.floor(name.length / 3));
+    let best = null;
+    let bestDistance = Infinity;
+    for (const candidate of candidates) {
+      const d = distance(lower, candidate.toLowerCase());
+      if (d < bestDistance) {
+        best = candidate;
+        bestDistance = d;
+      }
+    }
+    return bestDistance <= threshold ? best : null;
+  }
+
+  /**
+   * Validates one option value against its rule. Invalid values (and invalid
+   * nested entries) are reported and left out of the returned value.
+   * @param {string} name - Option path for messages (e.g. "models.glm-4.6.topP")
+   * @param {*} value - Option value
+   * @param {OptionRule} rule - Rule from _getOptionSchema()
+   * @param {OptionValidationResult} result - Collects errors and warnings
+   * @returns {*} Validated value, or undefined if it must be ignored
+   * @private
+   */
+  _validateOptionValue (name, value, rule, result) {
+    // null/undefined mean "not set" (e.g. overrideReasoning: null)
+    if (value === null || value === undefined) return value;
+
+    const got = `got ${JSON.stringify(value)} (${Array.isArray(value) ? 'array' : typeof value})`;
+    const range = rule.min !== undefined && rule.max !== undefined
+      ? ` from ${rule.min} to ${rule.max}`
+      : rule.min !== undefined ? ` >= ${rule.min}` : '';
+    const fail = (expected) => {
+      result.errors.push(`${name}: expected ${expected}, ${got} - ignored`);
+      return undefined;
+    };
+
+    switch (rule.type) {
+      case 'boolean':
+      case 'string':
+        return typeof value === rule.type ? value : fail(`a ${rule.type}`);
+      case 'number':
+      case 'integer': {
+        const isNumber = typeof value === 'number' && Number.isFinite(value);
+        if (!isNumber || (rule.type === 'integer' && !Number.isInteger(value))) {
+          return fail(`${rule.type === 'integer' ? 'an integer' : 'a number'}${range}`);
+        }
+        if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+          return fail(`a number${range}`);
+        }
+        return value;
+      }
+      case 'enum':
+        return rule.allowed.includes(value) ? value : fail(`one of ${rule.allowed.map(item => JSON.stringify(item)).join(', ')}`);
+      case 'logger': {
+        // Function, or object with info/log/debug (console, winston, pino, ...)
+        const isLogger = typeof value === 'function' ||
+          (typeof value === 'object' && ['info', 'log', 'debug'].some(name => typeof value[name] === 'function'));
+        return isLogger ? value : fail('a function or an object with info/log/debug methods');
+      }
+      case 'array': {
+        if (!Array.isArray(value)) return fail(`an array of ${rule.items.type}s`);
+        return value.filter((item, index) => this._validateOptionValue(`${name}[${index}]`, item, rule.items, result) !== undefined);
+      }
+      case 'object': {
+        if (typeof value !== 'object' || Array.isArray(value)) return fail('an object');
+        const validated = {};
+        for (const [key, entry] of Object.entries(value)) {
+          const entryRule = rule.fields ? rule.fields[key] : rule.values;
+          if (!entryRule) {
+            this._reportUnknownOption(`${name}.${key}`, key, Object.keys(rule.fields), result);
+            continue;
+          }
+          const checked = this._validateOptionValue(`${name}.${key}`, entry, entryRule, result);
+          if (checked !== undefined) validated[key] = checked;
+        }
+        return validated;
+      }
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Reports an unknown option key with a "did you mean" suggestion.
+   * Warning by default, error with strictOptions.
+   * @param {string} label - Option path for the message
+   * @param {string} key - Unknown key
+   * @param {string[]} known - Known keys at this level
+   * @param {OptionValidationResult} result - Collects errors and warnings
+   * @private
+   */
+  _reportUnknownOption (label, key, known, result) {
+    const suggestion = this._suggestOptionName(key, known);
+    const message = `${label}: unknown option${suggestion ? ` (did you mean "${suggestion}"?)` : ''} - ignored`;
+    (result.strict ? result.errors : result.warnings).push(message);
+  }
+
+  /**
+   * Validates constructor options against _getOptionSchema().
+   * Unknown keys and invalid values are reported and left out of the returned options.
+   * @param {TransformerOptions} options - Raw options from config.json
+   * @returns {OptionValidationResult} Validated options, errors and warnings
+   * @private
+   */
+  _validateOptions (options) {
+    const schema = this._getOptionSchema();
+    const result = { options: {}, errors: [], warnings: [], strict: options.strictOptions === true };
+
+    for (const [key, value] of Object.entries(options)) {
+      if (!schema[key]) {
+        this._reportUnknownOption(key, key, Object.keys(schema), result);
+        continue;
+      }
+      const checked = this._validateOptionValue(key, value, schema[key], result);
+      if (checked !== undefined) result.options[key] = checked;
+    }
+
+    return result;
+  }
+
+  /**
+   * Checks options that depend on the model table (after external configurations are loaded):
+   * max_tokens against each model's limit, per-model override and alias targets, visionModel, tokenBudget.
+   * max_tokens values above every applicable limit are reported as errors and ignored.
+   * @param {OptionValidationResult} result - Validation result to complete
+   * @private
+   */
+  _checkOptionLimits (result) {
+    const names = Object.keys(this.modelConfigurations);
+    const unknownModel = (label, modelName) => {
+      const suggestion = this._suggestOptionName(modelName, names);
+      result.warnings.push(`${label}: unknown model "${modelName}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''} - Unknown defaults apply`);
+    };
+
+    const maxTokens = this.globalOverrides.maxTokens;
+    if (maxTokens !== null && maxTokens !== undefined) {
+      const limits = names.map(name => [name, this.modelConfigurations[name].maxTokens]).filter(([, limit]) => typeof limit === 'number');
+      const exceeded = limits.filter(([, limit]) => maxTokens > limit);
+      if (limits.length > 0 && exceeded.length === limits.length) {
+        result.errors.push(`overrideMaxTokens: ${maxTokens} exceeds the limit of every model (largest: ${Math.max(...limits.map(([, limit]) => limit))}) - ignored`);
+        this.globalOverrides.maxTokens = null;
+        delete this.options.overrideMaxTokens;
+      } else if (exceeded.length > 0) {
+        result.warnings.push(`overrideMaxTokens: ${maxTokens} exceeds the limit of ${exceeded.map(([name, limit]) => `${name} (${limit})`).join(', ')}`);
+      }
+    }
+
+    for (const [modelName, overrides] of Object.entries(this.modelOverrides)) {
+      const resolution = this.resolveModelName(modelName);
+      if (!resolution.resolved) {
+        unknownModel(`models.${modelName}`, modelName);
+        continue;
+      }
+      const limit = this.modelConfigurations[resolution.resolved].maxTokens;
+      if (typeof overrides.maxTokens === 'number' && typeof limit === 'number' && overrides.maxTokens > limit) {
+        result.errors.push(`models.${modelName}.maxTokens: ${overrides.maxTokens} exceeds the ${resolution.resolved} limit (${limit}) - ignored`);
+        delete overrides.maxTokens;
+      }
+    }
+
+    for (const [alias, target] of Object.entries(this.options.modelAliases || {})) {
+      if (!this.resolveModelName(target).resolved) unknownModel(`modelAliases.${alias}`, target);
+    }
+
+    if (this.options.visionModel && !this.resolveModelName(this.options.visionModel).resolved) {
+      unknownModel('visionModel', this.options.visionModel);
+    }
+
+    if (this.tokenBudget) {
+      if (!this.resolveModelName(this.tokenBudget.fallbackModel).resolved) {
+        unknownModel('tokenBudget.fallbackModel', this.tokenBudget.fallbackModel);
+      }
+      if (this.tokenBudget.softThreshold > this.tokenBudget.hardThreshold) {
+        result.warnings.push(`tokenBudget: softThreshold ${this.tokenBudget.softThreshold} is above hardThreshold ${this.tokenBudget.hardThreshold} - the soft threshold is only reached with the hard one`);
+      }
+      if (this.options.trackUsage === false) {
+        result.warnings.push('trackUsage: false is ignored - tokenBudget needs usage accounting');
+      }
+    } else if (this.options.tokenBudget) {
+      result.warnings.push('tokenBudget: neither dailyTokens nor sessionTokens is set - no budget applies');
+    }
+  }
+
+  /**
+   * Default configuration for models not in the table
+   * @returns {ModelConfig} Default values (no reasoning, no keyword detection)
+   * @private
+   */
+  _getDefaultModelConfiguration () {
+    return {
+      maxTokens: this.defaultMaxTokens,
+      contextWindow: null,
+      temperature: null,
+      topP: null,
+      reasoning: false,          // Default: does NOT support reasoning
+      keywordDetection: false,   // Default: keyword detection disabled
+      vision: null,              // Default: unknown, images left untouched
+      maxImages: null,
+      maxImageBytes: null,
+      sanitizeToolSchemas: false, // Default: tool schemas sent unchanged
+      maxToolDescriptionLength: null,
+      provider: 'Unknown'
+    };
+  }
+
+  /**
+   * Parses a small YAML subset: nested mappings (indentation), scalars
+   * (numbers, booleans, null, quoted strings) and inline lists ([a, b]).
+   * Enough for a model configuration table without external dependencies.
+   * @param {string} text - YAML text
+   * @returns {Object} Parsed object
+   * @private
+   */
+  _parseSimpleYaml (text) {
+    const parseScalar = (raw) => {
+      const value = raw.trim();
+      if (value === '' || value === '~' || value === 'null') return null;
+      if (value === 'true') return true;
+      if (value === 'false') return false;
+      if (/^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(value)) return Number(value);
+      if (/^(["']).*\1$/.test(value)) return value.slice(1, -1);
+      if (value.startsWith('[') && value.endsWith(']')) {
+        const inner = value.slice(1, -1).trim();
+        return inner === '' ? [] : inner.split(',').map(parseScalar);
+      }
+      return value;
+    };
+
+    // Removes a comment: "#" at line start or after whitespace, outside quoted scalars
+    const stripComment = (line) => {
+      let quote = null;
+      for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quote) {
+          if (char === '\\' && quote === '"') i++;
+          else if (char === quote) quote = null;
+        } else if ((char === '"' || char === "'") && (i === 0 || /[\s:[,]/.test(line[i - 1]))) {
+          quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+          return line.substring(0, i);
+        }
+      }
+      return line;
+    };
+
+    const root = {};
+    const stack = [{ indent: -1, node: root }];
+
+    text.split(/\r?\n/).forEach((rawLine, lineIndex) => {
+      // Strip comments (outside quotes) and blank lines
+      const line = stripComment(rawLine).trimEnd();
+      if (line.trim() === '' || line.trim() === '---') return;
+
+      const indent = line.length - line.trimStart().length;
+      const match = /^([^:]+?|"[^"]+"|'[^']+'):(?:\s+(.*))?$/.exec(line.trim());
+      if (!match) {
+        throw new Error(`YAML line ${lineIndex + 1}: expected "key: value"`);
+      }
+
+      while (stack.length > 1 && indent <= stack[stack.length - 1].indent) {
+        stack.pop();
+      }
+
+      const key = match[1].replace(/^(["'])(.*)\1$/, '$2');
+      const parent = stack[stack.length - 1].node;
+
+      if (match[2] === undefined || match[2].trim() === '') {
+        parent[key] = {};
+        stack.push({ indent, node: parent[key] });
+      } else {
+        parent[key] = parseScalar(match[2]);
+      }
+    });
+
+    return root;
+  }
+
+  /**
+   * Parses a model configuration file (JSON, or YAML by extension)
+   * YAML uses the `yaml` or `js-yaml` package when installed, else the built-in subset parser.
+   * @param {string} text - File contents
+   * @param {string} filePath - File path (extension decides the format)
+   * @returns {Object} Parsed table
+   * @private
+   */
+  _parseModelConfigFile (text, filePath) {
+    if (!/\.ya?ml$/i.test(filePath)) {
+      return JSON.parse(text);
+    }
+
+    for (const packageName of ['yaml', 'js-yaml']) {
+      try {
+        const yaml = require(packageName);
+        return packageName === 'yaml' ? yaml.parse(text) : yaml.load(text);
+      } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') throw error;
+      }
+    }
+
+    return this._parseSimpleYaml(text);
+  }
+
+  /**
+   * Validates a model table from file and merges it over the built-in configurations.
+   * Known models are merged field by field; new models start from the default configuration.
+   * @param {Object} table - Parsed file contents (model name → partial ModelConfig)
+   * @returns {ModelConfigurationMap} Merged table
+   * @throws {Error} If the table or a field has an invalid type
+   * @private
+   */
+  _mergeModelConfigurations (table) {
+    if (!table || typeof table !== 'object' || Array.isArray(table)) {
+      throw new Error('root must be an object of model name → configuration');
+    }
+
+    const fieldTypes = {
+      maxTokens: 'number',
+      contextWindow: 'number|null',
+      temperature: 'number|null',
+      topP: 'number|null',
+      reasoning: 'boolean',
+      keywordDetection: 'boolean',
+      vision: 'boolean|null',
+      maxImages: 'number|null',
+      maxImageBytes: 'number|null',
+      sanitizeToolSchemas: 'boolean',
+      maxToolDescriptionLength: 'number|null',
+      provider: 'string'
+    };
+
+    const merged = {};
+    for (const [name, config] of Object.entries(this.builtinModelConfigurations)) {
+      merged[name] = { ...config };
+    }
+
+    for (const [name, overrides] of Object.entries(table)) {
+      if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error(`"${name}" must be an object`);
+      }
+
+      for (const [field, value] of Object.entries(overrides)) {
+        const expected = fieldTypes[field];
+        if (!expected) continue; // Extra fields are kept as-is
+
+        const actual = value === null ? 'null' : typeof value;
+        if (!expected.split('|').includes(actual) || (actual === 'number' && !Number.isFinite(value))) {
+          throw new Error(`"${name}.${field}" must be ${expected.replace('|', ' or ')} (got ${JSON.stringify(value)})`);
+        }
+      }
+
+      merged[name] = { ...(merged[name] || this._getDefaultModelConfiguration()), ...overrides };
+    }
+
+    return merged;
+  }
+
+  /**
+   * Watches options.modelConfigPath and reloads it on change (no CCR restart needed)
+   * @private
+   */
+  _watchModelConfigurations () {
+    if (!this.modelConfigPath || this.options.watchModelConfig === false) return;
+
+    const filePath = this.modelConfigPath;
+    let watcher = modelConfigWatchers.get(filePath);
+    if (!watcher) {
+      watcher = { listener: null, instances: new Set() };
+      watcher.listener = (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs) return;
+        for (const ref of watcher.instances) {
+          const instance = ref.deref();
+          if (instance) {
+            instance.loadModelConfigurations();
+          } else {
+            watcher.instances.delete(ref);
+          }
+        }
+      };
+      // watchFile (polling) survives editors that save by rename
+      fs.watchFile(filePath, { interval: this.options.modelConfigWatchInterval || 2000 }, watcher.listener).unref();
+      modelConfigWatchers.set(filePath, watcher);
+    }
+
+    this.modelConfigWatchRef = new WeakRef(this);
+    watcher.instances.add(this.modelConfigWatchRef);
+  }
+
+  /**
+   * Stops watching modelConfigPath for this instance (scripts, tests, replaced instances).
+   * The file watcher itself stops once no instance uses it.
+   */
+  close () {
+    const watcher = this.modelConfigWatchRef ? modelConfigWatchers.get(this.modelConfigPath) : null;
+    if (watcher) {
+      watcher.instances.delete(this.modelConfigWatchRef);
+      if (watcher.instances.size === 0) {
+        fs.unwatchFile(this.modelConfigPath, watcher.listener);
+        modelConfigWatchers.delete(this.modelConfigPath);
+      }
+    }
+    this.modelConfigWatchRef = null;
+
+    // Last attempt to write usage still waiting for the lock
+    if (this.usageRetryTimer) {
+      clearTimeout(this.usageRetryTimer);
+      this.usageRetryTimer = null;
+      this._flushUsage();
+    }
+  }
+
+  /**
+   * Resolves a requested model name to an entry of the model table.
+   * Order: exact → case-insensitive → alias (options.modelAliases) →
+   * suffix stripping (provider prefix "zai/", variant ":thinking", date "-20251001",
+   * "-latest"/"-preview") → family fallback (longest configured prefix, e.g.
+   * "glm-4.5-flash" → "glm-4.5") → Unknown defaults.
+   * @param {string} modelName - Requested model name
+   * @returns {ModelResolution} Resolved table key and the steps taken
+   */
+  resolveModelName (modelName) {
+    const requested = typeof modelName === 'string' ? modelName : '';
+    const names = Object.keys(this.modelConfigurations);
+    const steps = [];
+
+    // Exact or case-insensitive table key, then alias (aliases do not chain)
+    const findKey = (name) => {
+      if (this.modelConfigurations[name]) return name;
+      const lower = name.toLowerCase();
+      return names.find(key => key.toLowerCase() === lower) || null;
+    };
+    const lookup = (name) => {
+      const key = findKey(name);
+      if (key) return { key, match: key === name ? 'exact' : 'case-insensitive', step: key === name ? 'exact' : `case-insensitive "${key}"` };
+      const target = this.modelAliases[name.toLowerCase()];
+      const aliasKey = target ? findKey(target) : null;
+      if (aliasKey) return { key: aliasKey, match: 'alias', step: `alias "${name}" → "${target}"` };
+      return null;
+    };
+
+    let candidate = requested.trim();
+    let found = lookup(candidate);
+
+    // Strip router/provider decorations one at a time until a table entry matches
+    const strippers = [
+      { label: 'provider prefix', pattern: /^.*\//, prefix: true },
+      { label: 'variant', pattern: /:[^:]*$/ },
+      { label: 'date suffix', pattern: /-\d{4,8}$/ },
+      { label: 'release suffix', pattern: /-(latest|preview)$/i }
+    ];
+    for (const stripper of strippers) {
+      if (found) break;
+      const stripped = candidate.replace(stripper.pattern, '');
+      if (!stripped || stripped === candidate) continue;
+      const removed = stripper.prefix
+        ? candidate.slice(0, candidate.length - stripped.length)
+        : candidate.slice(stripped.length);
+      steps.push(`strip ${stripper.label} "${removed}"`);
+      candidate = stripped;
+      found = lookup(candidate);
+    }
+
+    if (found) {
+      steps.push(found.step);
+      return { requested, resolved: found.key, match: steps.length > 1 ? 'normalized' : found.match, steps };
+    }
+
+    // Family fallback: longest configured name that prefixes the candidate
+    // ("glm-4.5-flash" → "glm-4.5", but "glm-4.55" does not match "glm-4.5")
+    const lower = candidate.toLowerCase();
+    const family = names
+      .filter(key => {
+        const prefix = key.toLowerCase();
+        return lower.length > prefix.length && lower.startsWith(prefix) && !/^[\d.]/.test(lower.slice(prefix.length));
+      })
+      .sort((a, b) => b.length - a.length)[0];
+    if (family) {
+      steps.push(`family "${family}"`);
+      return { requested, resolved: family, match: 'family', steps };
+    }
+
+    steps.push('no match, Unknown defaults');
+    return { requested, resolved: null, match: 'default', steps };
+  }
+
+  /**
+   * Gets model-specific configuration
+   * Names are resolved with resolveModelName() (case, aliases, suffixes, family)
+   * @param {string} modelName - Model name
+   * @returns {ModelConfig} Model configuration or default values
+   */
+  getModelConfiguration (modelName) {
+    const { resolved } = this.resolveModelName(modelName);
+
+    if (!resolved) {
+      // If model not configured, use default values
+      return this._getDefaultModelConfiguration();
+    }
+
+    return this.modelConfigurations[resolved];
+  }
+
+  /**
+   * Gets per-model option overrides (options.models[modelName], or the resolved table name)
+   * @param {string} modelName - Model name
+   * @returns {ModelOverrides} Overrides for the model (empty object if none)
+   * @private
+   */
+  _getModelOverrides (modelName) {
+    const overrides = this.modelOverrides[modelName] || this.modelOverrides[this.resolveModelName(modelName).resolved];
+    return overrides && typeof overrides === 'object' ? overrides : {};
+  }
+
+  /**
+   * Resolves a setting through the configuration layers:
+   * Global Override (3) > Model Override (3.5, options.models) > Model Config (4)
+   * @param {"maxTokens"|"temperature"|"topP"|"reasoning"|"keywordDetection"} field - Setting name
+   * @param {ModelOverrides} modelOverrides - Per-model overrides
+   * @param {ModelConfig} config - Model configuration
+   * @returns {ResolvedSetting} Final value and the layer that supplied it
+   * @private
+   */
+  _resolveSetting (field, modelOverrides, config) {
+    if (this.globalOverrides[field] !== null && this.globalOverrides[field] !== undefined) {
+      return { value: this.globalOverrides[field], source: 'global override' };
+    }
+    if (modelOverrides[field] !== null && modelOverrides[field] !== undefined) {
+      return { value: modelOverrides[field], source: 'model override' };
+    }
+    return { value: config[field] ?? null, source: 'model config' };
+  }
+
+  /**
+   * Detects if text contains keywords requiring reasoning
+   * @param {string} text - Text to analyze
+   * @returns {boolean} true if keywords detected
+   */
+  detectReasoningNeeded (text) {
+    if (!text) return false;
+
+    const lowerText = text.toLowerCase();
+    return this.keywords.some(keyword => lowerText.includes(keyword));
+  }
+
+  /**
+   * Short hash of a text, used to identify messages in diagnostics
+   * @param {string} text - Text to hash
+   * @returns {string} 8-digit hexadecimal hash
+   * @private
+   */
+  _hashText (text) {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) - hash) + text.charCodeAt(i);
+      hash = hash & hash; // Convert to 32bit integer
+    }
+    return (hash >>> 0).toString(16).toUpperCase().padStart(8, '0');
+  }
+
+  /**
+   * Extracts text content from a message (handles both string and array formats)
+   * @param {UnifiedMessage} message - Message to extract text from
+   * @returns {string} Extracted text or empty string
+   * @private
+   */
+  _extractMessageText (message) {
+    if (typeof message.content === 'string') {
+      return message.content;
+    } else if (Array.isArray(message.content)) {
+      return message.content
+        .filter(c => c.type === 'text' && c.text)
+        .map(c => c.text)
+        .join(' ');
+    }
+    return '';
+  }
+
+  /**
+   * Enhances prompt by adding reasoning instructions
+   * @param {string} content - Original prompt content
+   * @param {boolean} isUltrathink - If Ultrathink mode is active
+   * @returns {string} Enhanced content with reasoning instructions
+   */
+  modifyPromptForReasoning (content, isUltrathink = false) {
+    let reasoningInstruction;
+
+    if (isUltrathink) {
+      // Ultrathink active: intensive instructions with explanation and memory warning
+      reasoningInstruction = "\n\n[IMPORTANT: ULTRATHINK mode activated. (ULTRATHINK is the user's keyword requesting exceptionally thorough analysis from you as an AI model.) This means: DO NOT rely on your memory or assumptions - read and analyze everything carefully as if seeing it for the first time. Break down the problem step by step showing your complete reasoning, analyze each aspect meticulously by reading the actual current content (things may have changed since you last saw them), consider multiple perspectives and alternative approaches, verify logic coherence at each stage, and present well-founded conclusions with maximum level of detail based on what you actually read, not what you remember.]\n\n";
+    } else {
+      // Normal mode: standard instructions
+      reasoningInstruction = "\n\n[IMPORTANT: This question requires careful analysis. Think step by step and show your detailed reasoning before answering.]\n\n";
+    }
+
+    return reasoningInstruction + content;
+  }
+
+  /**
+   * Estimates prompt tokens of a request with the GLM token estimator.
+   * Used for logging, context window checks and budget accounting.
+   * @param {UnifiedChatRequest} request - Request to measure
+   * @returns {TokenEstimate} Token breakdown (total, messages, system, tools, images)
+   */
+  estimateTokens (request) {
+    return this.tokenEstimator.estimateRequest(request || {});
+  }
+
+  /**
+   * Shrinks old history until the request fits the model's context window (opt-in: autoCompact).
+   * Stages, applied oldest-first and only as far as needed:
+   *   1. Shrink tool_result payloads (progressively smaller limits)
+   *   2. Drop old thinking blocks
+   *   3. Collapse stale system-reminders
+   * The last compactProtectedMessages messages and system messages are never touched.
+   * @param {ModifiedRequestBody} body - Request body to modify
+   * @param {ModelConfig} config - Model configuration
+   * @returns {CompactionResult} Summary of what was elided
+   * @private
+   */
+  _compactHistory (body, config) {
+    const result = {
+      applied: false,
+      fits: true,
+      beforeTokens: 0,
+      afterTokens: 0,
+      targetTokens: null,
+      toolResultsShrunk: 0,
+      charsElided: 0,
+      thinkingDropped: 0,
+      remindersCollapsed: 0
+    };
+
+    if (!this.autoCompact || !config.contextWindow || !Array.isArray(body.messages)) {
+      return result;
+    }
+
+    const estimate = this.estimateTokens(body);
+    const perMessage = [...estimate.perMessage];
+    let total = estimate.total;
+
+    result.beforeTokens = total;
+    result.afterTokens = total;
+    result.targetTokens = config.contextWindow - this.minOutputTokens;
+
+    if (total <= result.targetTokens) {
+      return result;
+    }
+
+    const messages = [...body.messages];
+    const lastCompactable = messages.length - this.compactProtectedMessages;
+
+    // Replaces message i and updates the running total
+    const replaceMessage = (i, newMessage) => {
+      messages[i] = newMessage;
+      const tokens = this.tokenEstimator.estimateMessage(newMessage);
+      const newTokens = tokens.text + tokens.images;
+      total += newTokens - perMessage[i];
+      perMessage[i] = newTokens;
+    };
+
+    // Truncates text to limit characters, keeping the head and an elision marker
+    // Text already shrunk by an earlier pass is counted from its original length
+    const elisionMarker = /\n\[\.\.\. (\d+) chars elided by zai transformer \(context compaction\) \.\.\.\]$/;
+    const shrinkText = (text, limit) => {
+      if (typeof text !== 'string') return text;
+      const marker = text.match(elisionMarker);
+      const head = marker ? text.substring(0, marker.index) : text;
+      if (head.length <= limit) return text;
+      const originalLength = head.length + (marker ? Number(marker[1]) : 0);
+      result.charsElided += head.length - limit;
+      return `${head.substring(0, limit)}\n[... ${originalLength - limit} chars elided by zai transformer (context compaction) ...]`;
+    };
+
+    // Shrinks text blocks inside a tool_result content value
+    const shrinkToolContent = (content, limit) => {
+      if (typeof content === 'string') return shrinkText(content, limit);
+      if (Array.isArray(content)) {
+        return content.map(block => block && block.type === 'text' ? { ...block, text: shrinkText(block.text, limit) } : block);
+      }
+      return content;
+    };
+
+    // Stage 1: tool_result payloads (role "tool" or tool_result blocks), progressively smaller
+    const limits = [this.compactToolResultChars, Math.floor(this.compactToolResultChars / 4), 0];
+    for (const limit of limits) {
+      for (let i = 0; i < lastCompactable && total > result.targetTokens; i++) {
+        const message = messages[i];
+        const elidedBefore = result.charsElided;
+
+        if (message.role === 'tool') {
+          const content = shrinkToolContent(message.content, limit);
+          if (result.charsElided !== elidedBefore) {
+            replaceMessage(i, { ...message, content });
+            result.toolResultsShrunk++;
+          }
+        } else if (message.role === 'user' && Array.isArray(message.content)) {
+          const content = message.content.map(block => block && block.type === 'tool_result'
+            ? { ...block, content: shrinkToolContent(block.content, limit) }
+            : block);
+          if (result.charsElided !== elidedBefore) {
+            replaceMessage(i, { ...message, content });
+            result.toolResultsShrunk++;
+          }
+        }
+      }
+    }
+
+    // Stage 2: old thinking blocks
+    for (let i = 0; i < lastCompactable && total > result.targetTokens; i++) {
+      const message = messages[i];
+      if (message.role !== 'assistant') continue;
+
+      const hasThinkingField = !!message.thinking;
+      const hasThinkingBlocks = Array.isArray(message.content) && message.content.some(block => block && block.type === 'thinking');
+      if (!hasThinkingField && !hasThinkingBlocks) continue;
+
+      const newMessage = { ...message };
+      delete newMessage.thinking;
+      if (hasThinkingBlocks) {
+        newMessage.content = message.content.filter(block => !block || block.type !== 'thinking');
+      }
+      replaceMessage(i, newMessage);
+      result.thinkingDropped++;
+    }
+
+    // Stage 3: stale system-reminders
+    const reminderPattern = /<system-reminder>[\s\S]*?<\/system-reminder>/g;
+    const collapseReminders = (text) => {
+      if (typeof text !== 'string' || !text.includes('<system-reminder>')) return text;
+      const collapsed = text.replace(reminderPattern, '').trim();
+      result.charsElided += text.length - collapsed.length;
+      return collapsed || '[system-reminder elided by zai transformer (context compaction)]';
+    };
+    for (let i = 0; i < lastCompactable && total > result.targetTokens; i++) {
+      const message = messages[i];
+      if (message.role !== 'user') continue;
+
+      const elidedBefore = result.charsElided;
+      let content = message.content;
+      if (typeof content === 'string') {
+        content = collapseReminders(content);
+      } else if (Array.isArray(content)) {
+        content = content.map(block => block && block.type === 'text' ? { ...block, text: collapseReminders(block.text) } : block);
+      }
+
+      if (result.charsElided !== elidedBefore) {
+        replaceMessage(i, { ...message, content });
+        result.remindersCollapsed++;
+      }
+    }
+
+    result.applied = result.toolResultsShrunk + result.thinkingDropped + result.remindersCollapsed > 0;
+    result.afterTokens = total;
+    result.fits = total <= result.targetTokens;
+
+    if (result.applied) {
+      body.messages = messages;
+    }
+
+    return result;
+  }
+
+  /**
+   * Lowers max_tokens so estimated prompt + output fits the model's context window.
+   * Never goes below minOutputTokens (and never raises the original value).
+   * @param {ModifiedRequestBody} body - Request body to modify
+   * @param {ModelConfig} config - Model configuration
+   * @returns {ContextClampResult} Clamp details
+   * @private
+   */
+  _clampMaxTokensToContext (body, config) {
+    const originalMaxTokens = body.max_tokens;
+    const result = {
+      clamped: false,
+      contextWindow: config.contextWindow,
+      promptTokens: 0,
+      availableTokens: null,
+      originalMaxTokens,
+      finalMaxTokens: originalMaxTokens
+    };
+
+    if (!config.contextWindow || typeof originalMaxTokens !== 'number') {
+      return result;
+    }
+
+    result.promptTokens = this.estimateTokens(body).total;
+    result.availableTokens = config.contextWindow - result.promptTokens;
+
+    if (originalMaxTokens > result.availableTokens) {
+      const floor = Math.min(this.minOutputTokens, originalMaxTokens);
+      result.finalMaxTokens = Math.max(result.availableTokens, floor);
+      result.clamped = result.finalMaxTokens !== originalMaxTokens;
+      body.max_tokens = result.finalMaxTokens;
+    }
+
+    return result;
+  }
+
+  /**
+   * Explains how a request would be transformed, without sending anything.
+   * Runs transformRequestIn() on a copy of the request with diagnostics silenced
+   * (request counter and request records are restored) and returns the decisions behind
+   * the resulting body: detected tags, winning and overridden hierarchy levels,
+   * final reasoning/thinking, sampling values with their sources, keyword enhancement, token budget downgrades.
+   * @param {UnifiedChatRequest} request - Claude Code request
+   * @returns {Promise<DecisionTrace>} Structured decision trace
+   */
+  async explain (request) {
+    const savedState = { requestCounter: this.requestCounter, lastRequestRecord: this.lastRequestRecord };
+    const context = { req: {} };
+    let body;
+    this.explaining = true;
+    try {
+      body = await this.transformRequestIn(JSON.parse(JSON.stringify(request)), null, context);
+    } finally {
+      this.explaining = false;
+      Object.assign(this, savedState);
+    }
+    const { budget, reasoning } = this.requestRecords.get(context.req);
+
+    const visionRoute = this._resolveVisionRoute(request);
+    const budgetReroute = budget ? budget.downgrades.find(downgrade => downgrade.action === 'reroute') : null;
+    const modelName = budgetReroute ? budgetReroute.to : visionRoute.model;
+    const resolution = this.resolveModelName(modelName);
+    const config = this.getModelConfiguration(modelName);
+    const modelOverrides = this._getModelOverrides(modelName);
+    const { tags, level: winner, overridden } = reasoning;
+
+    // Keyword enhancement: keywords in any user message, applied to the last one
+    // Only when the transformer itself enabled reasoning (levels 0-4), the token budget kept it and keywordDetection is on
+    const userIndexes = (request.messages || [])
+      .map((message, index) => ({ message, index }))
+      .filter(({ message }) => message.role === 'user' && !this._extractMessageText(message).trim().startsWith('<system-reminder>'))
+      .map(({ index }) => index);
+    const keywordIndex = userIndexes.find(index => this.detectReasoningNeeded(this._extractMessageText(request.messages[index])));
+    const keywordDetection = this._resolveSetting('keywordDetection', modelOverrides, config);
+    const enhanced = keywordIndex !== undefined && winner.priority < 5 && winner.reasoning === true && body.reasoning?.enabled === true && !!keywordDetection.value;
+
+    const maxTokensSetting = this._resolveSetting('maxTokens', modelOverrides, config);
+    const temperatureSetting = this._resolveSetting('temperature', modelOverrides, config);
+    const topPSetting = this._resolveSetting('topP', modelOverrides, config);
+
+    return {
+      model: {
+        requested: request.model,
+        resolved: resolution.resolved,
+        match: resolution.match,
+        final: body.model,
+        visionReroute: visionRoute.rerouted ? { from: visionRoute.from, to: visionRoute.model, imageCount: visionRoute.imageCount } : null
+      },
+      tags,
+      level: winner,
+      overridden,
+      reasoning: body.reasoning ?? null,
+      thinking: body.thinking ?? null,
+      sampling: {
+        maxTokens: {
+          value: body.max_tokens ?? null,
+          source: body.max_tokens !== maxTokensSetting.value ? 'context clamp' : maxTokensSetting.source,
+          requested: request.max_tokens ?? null
+        },
+        temperature: { value: body.temperature ?? null, source: temperatureSetting.source },
+        topP: { value: body.top_p ?? null, source: topPSetting.source }
+      },
+      keywords: {
+        detected: keywordIndex !== undefined,
+        messageIndex: keywordIndex ?? null,
+        detection: keywordDetection,
+        enhanced,
+        enhancedMessageIndex: enhanced ? userIndexes[userIndexes.length - 1] : null
+      },
+      budget,
+      body
+    };
+  }
+
+  /**
+   * Resolves the reasoning hierarchy of a request: first active level wins, the rest are overridden.
+   * Tags that decided the reasoning (Ultrathink, or the most recent <Thinking>/<Effort>) are marked applied.
+   * @param {UnifiedChatRequest} request - Claude Code request
+   * @param {ModelOverrides} modelOverrides - options.models entry for the model
+   * @param {ModelConfig} config - Model configuration
+   * @returns {ReasoningDecision} Tags, winning level and overridden levels
+   * @private
+   */
+  _resolveReasoning (request, modelOverrides, config) {
+    const tags = this._collectReasoningTags(request.messages);
+    const [level, ...overridden] = this._listReasoningLevels(request, tags, modelOverrides, config);
+    const lastTag = type => tags.filter(tag => tag.type === type).pop();
+    const appliedTags = level.priority === 1
+      ? tags.filter(tag => tag.type === 'ultrathink')
+      : level.priority === 2 ? [lastTag('thinking'), lastTag('effort')] : [];
+    tags.forEach(tag => { tag.applied = appliedTags.includes(tag); });
+    return { tags, level, overridden };
+  }
+
+  /**
+   * Lists Ultrathink, <Thinking> and <Effort> tags in user messages (system-reminders skipped).
+   * First tag of each kind per message; the most recent message wins.
+   * @param {Array<Object>} [messages] - Request messages
+   * @returns {ReasoningTag[]} Tags in message order
+   * @private
+   */
+  _collectReasoningTags (messages) {
+    const tags = [];
+    (Array.isArray(messages) ? messages : []).forEach((message, messageIndex) => {
+      if (message.role !== 'user') return;
+      const messageText = this._extractMessageText(message);
+      if (messageText.trim().startsWith('<system-reminder>')) return;
+
+      if (/\bultrathink\b/i.test(messageText)) {
+        tags.push({ type: 'ultrathink', value: null, messageIndex, applied: false });
+      }
+      const thinkingMatch = messageText.match(/<Thinking:(On|Off)>/i);
+      if (thinkingMatch) {
+        tags.push({ type: 'thinking', value: thinkingMatch[1], messageIndex, applied: false });
+      }
+      const effortMatch = messageText.match(/<Effort:(Low|Medium|High)>/i);
+      if (effortMatch) {
+        tags.push({ type: 'effort', value: effortMatch[1], messageIndex, applied: false });
+      }
+    });
+    return tags;
+  }
+
+  /**
+   * Lists the reasoning hierarchy levels that are active for a request, highest priority first.
+   * Claude Code (5) is always last: it applies when no other level is active.
+   * @param {UnifiedChatRequest} request - Claude Code request
+   * @param {ReasoningTag[]} tags - Tags from _collectReasoningTags()
+   * @param {ModelOverrides} modelOverrides - options.models entry for the model
+   * @param {ModelConfig} config - Model configuration
+   * @returns {ReasoningLevel[]} Active levels
+   * @private
+   */
+  _listReasoningLevels (request, tags, modelOverrides, config) {
+    const lastTag = type => tags.filter(tag => tag.type === type).pop();
+    const thinkingTag = lastTag('thinking');
+    const effortTag = lastTag('effort');
+    const level = (priority, name, reasoning, effort = 'high') => ({ priority, name, reasoning, effort: reasoning ? effort : null });
+    const levels = [];
+
+    if (this.forcePermanentThinking) {
+      levels.push(level(0, 'force permanent thinking', true));
+    }
+    if (lastTag('ultrathink')) {
+      levels.push(level(1, 'ultrathink', true));
+    }
+    if (thinkingTag || effortTag) {
+      // <Effort> has higher priority than <Thinking:Off>
+      const enabled = thinkingTag ? thinkingTag.value.toLowerCase() === 'on' || !!effortTag : true;
+      levels.push(level(2, 'user tags', enabled, effortTag ? effortTag.value.toLowerCase() : 'high'));
+    }
+    if (this.globalOverrides.reasoning !== null) {
+      levels.push(level(3, 'global override', this.globalOverrides.reasoning));
+    }
+    if (modelOverrides.reasoning != null) {
+      levels.push(level(3.5, 'model override', modelOverrides.reasoning));
+    }
+    if (config.reasoning === true) {
+      levels.push(level(4, 'model config', true));
+    }
+    levels.push(request.reasoning
+      ? level(5, 'claude code', request.reasoning.enabled === true, request.reasoning.effort || null)
+      : level(5, 'claude code', null));
+    return levels;
+  }
+
+  /**
+   * Creates the tracker that times one streamed response.
+   * All times are milliseconds since the request left transformRequestIn().
+   * @param {number} requestId - Request number
+   * @param {string} model - Model of the request
+   * @param {number} sentAt - Date.now() when transformRequestIn() returned
+   * @returns {{onBytes: function(number, number): void, onChunk: function(number, Object): void, finish: function(number): LatencyMetrics}} Tracker
+   * @private
+   */
+  _createLatencyTracker (requestId, model, sentAt) {
+    const metrics = {
+      requestId,
+      model,
+      timeToHeaders: Date.now() - sentAt,
+      timeToFirstByte: null,
+      timeToFirstReasoning: null,
+      timeToFirstContent: null,
+      timeToFirstToolCall: null,
+      reasoningDuration: null,
+      toolCallDuration: null,
+      totalDuration: null,
+      chunks: 0,
+      bytes: 0,
+      chunksPerSecond: null,
+      bytesPerSecond: null
+    };
+    let lastReasoning = null;
+    let lastToolCall = null;
+
+    return {
+      onBytes: (now, byteLength) => {
+        if (metrics.timeToFirstByte === null) metrics.timeToFirstByte = now - sentAt;
+        metrics.bytes += byteLength;
+      },
+      onChunk: (now, chunk) => {
+        metrics.chunks++;
+        const delta = Array.isArray(chunk.choices) && chunk.choices[0] ? chunk.choices[0].delta || {} : {};
+        if (typeof delta.reasoning_content === 'string' && delta.reasoning_content.trim() !== '') {
+          if (metrics.timeToFirstReasoning === null) metrics.timeToFirstReasoning = now - sentAt;
+          lastReasoning = now - sentAt;
+        }
+        if (typeof delta.content === 'string' && delta.content !== '' && metrics.timeToFirstContent === null) {
+          metrics.timeToFirstContent = now - sentAt;
+        }
+        if (Array.isArray(delta.tool_calls) && delta.tool_calls.length > 0) {
+          if (metrics.timeToFirstToolCall === null) metrics.timeToFirstToolCall = now - sentAt;
+          lastToolCall = now - sentAt;
+        }
+      },
+      finish: (now) => {
+        metrics.totalDuration = now - sentAt;
+        if (metrics.timeToFirstReasoning !== null) metrics.reasoningDuration = lastReasoning - metrics.timeToFirstReasoning;
+        if (metrics.timeToFirstToolCall !== null) metrics.toolCallDuration = lastToolCall - metrics.timeToFirstToolCall;
+        if (metrics.timeToFirstByte !== null) {
+          // Throughput over the streaming phase (first byte → end)
+          const seconds = Math.max(metrics.totalDuration - metrics.timeToFirstByte, 1) / 1000;
+          metrics.chunksPerSecond = Math.round(metrics.chunks / seconds * 10) / 10;
+          metrics.bytesPerSecond = Math.round(metrics.bytes / seconds);
+        }
+        return metrics;
+      }
+    };
+  }
+
+  /**
+   * Times a streamed response in the background on a clone, so the original
+   * stream is not consumed. Reports the metrics through _reportLatency() when the stream ends.
+   * @param {Response} response - Original streaming Response (before wrapping)
+   * @param {number} requestId - Request number
+   * @param {RequestRecord|null} requestInfo - Request the response belongs to (model, send time)
+   * @private
+   */
+  _tapStreamLatency (response, requestId, requestInfo) {
+    if (!requestInfo) return;
+
+    let cloned;
+    try {
+      cloned = response.clone();
+    } catch (error) {
+      return; // Body already used or locked: nothing to time
+    }
+
+    const tracker = this._createLatencyTracker(requestId, requestInfo.model, requestInfo.sentAt);
+    (async () => {
+      const reader = cloned.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      try {
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+
+          const now = Date.now();
+          tracker.onBytes(now, value.byteLength);
+          buffer += decoder.decode(value, { stream: true });
+          const lines = buffer.split(/\r?\n/);
+          buffer = lines.pop();
+          for (const line of lines) {
+            const payload = line.startsWith('data:') ? line.substring(5).trim() : '';
+            if (!payload || payload === '[DONE]') continue;
+            try {
+              tracker.onChunk(now, JSON.parse(payload));
+            } catch (error) {
+              // Not JSON: counted in bytes only
+            }
+          }
+        }
+      } finally {
+        try {
+          await reader.cancel();
+        } catch (error) {
+          // Ignore cancellation error
+        }
+      }
+      this._reportLatency(this._recordLatency(tracker.finish(Date.now())));
+    })().catch(() => { /* Stream aborted: no metrics for this request */ });
+  }
+
+  /**
+   * Adds a request's metrics to the per-model session aggregates
+   * @param {LatencyMetrics} metrics - Metrics of one request
+   * @returns {LatencyMetrics} The same metrics
+   * @private
+   */
+  _recordLatency (metrics) {
+    const fields = ['timeToFirstByte', 'timeToFirstReasoning', 'timeToFirstContent', 'timeToFirstToolCall', 'reasoningDuration', 'toolCallDuration', 'totalDuration', 'bytesPerSecond'];
+    if (!this.latencyTotals.has(metrics.model)) {
+      this.latencyTotals.set(metrics.model, { requests: 0, fields: Object.fromEntries(fields.map(field => [field, { sum: 0, count: 0, max: null }])) });
+    }
+
+    const totals = this.latencyTotals.get(metrics.model);
+    totals.requests++;
+    for (const field of fields) {
+      const value = metrics[field];
+      if (value === null) continue;
+      const total = totals.fields[field];
+      total.sum += value;
+      total.count++;
+      total.max = total.max === null ? value : Math.max(total.max, value);
+    }
+    return metrics;
+  }
+
+  /**
+   * Per-model latency aggregates for this session
+   * @returns {Object<string, LatencyAggregate>} Aggregates by model (averages and maxima in ms, bytesPerSecond in bytes/s)
+   */
+  getLatencyStats () {
+    const stats = {};
+    for (const [model, totals] of this.latencyTotals) {
+      stats[model] = { requests: totals.requests };
+      for (const [field, total] of Object.entries(totals.fields)) {
+        stats[model][field] = {
+          avg: total.count > 0 ? Math.round(total.sum / total.count) : null,
+          max: total.max,
+          count: total.count
+        };
+      }
+    }
+    return stats;
+  }
+
+  /**
+   * Formats the per-request latency line and the model's session aggregate line
+   * @param {LatencyMetrics} metrics - Metrics of one request
+   * @returns {string[]} [request line, session line]
+   * @private
+   */
+  _formatLatencyLines (metrics) {
+    const ms = value => this._formatDuration(value);
+    const session = this.getLatencyStats()[metrics.model];
+    const kbPerSecond = value => value === null ? '-' : `${(value / 1024).toFixed(1)} KB/s`;
+
+    return [
+      `[LATENCY] Request #${metrics.requestId} ${metrics.model}: headers ${ms(metrics.timeToHeaders)} | first byte ${ms(metrics.timeToFirstByte)} | first reasoning ${ms(metrics.timeToFirstReasoning)} | first content ${ms(metrics.timeToFirstContent)} | first tool call ${ms(metrics.timeToFirstToolCall)} | reasoning ${ms(metrics.reasoningDuration)} | tool calls ${ms(metrics.toolCallDuration)} | total ${ms(metrics.totalDuration)} | ${metrics.chunks} chunks, ${(metrics.bytes / 1024).toFixed(1)} KB (${metrics.chunksPerSecond ?? '-'} chunks/s, ${kbPerSecond(metrics.bytesPerSecond)})`,
+      `[LATENCY SESSION] ${metrics.model}: ${session.requests} request(s) | first byte avg ${ms(session.timeToFirstByte.avg)} max ${ms(session.timeToFirstByte.max)} | first reasoning avg ${ms(session.timeToFirstReasoning.avg)} | reasoning avg ${ms(session.reasoningDuration.avg)} max ${ms(session.reasoningDuration.max)} | first content avg ${ms(session.timeToFirstContent.avg)} | total avg ${ms(session.totalDuration.avg)} | throughput avg ${kbPerSecond(session.bytesPerSecond.avg)}`
+    ];
+  }
+
+  /**
+   * Formats a duration for latency lines (820ms, 1.9s)
+   * @param {number|null} ms - Milliseconds
+   * @returns {string} Formatted duration ("-" if not measured)
+   * @private
+   */
+  _formatDuration (ms) {
+    if (ms === null || ms === undefined) return '-';
+    return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+  }
+
+  /**
+   * Creates a zeroed token usage bucket
+   * @returns {UsageBucket} Bucket
+   * @private
+   */
+  _createUsageBucket () {
+    return { requests: 0, promptTokens: 0, completionTokens: 0, cachedTokens: 0, reasoningTokens: 0, totalTokens: 0 };
+  }
+
+  /**
+   * Local calendar day used for the per-day usage totals
+   * @param {Date} [date] - Date (default: now)
+   * @returns {string} YYYY-MM-DD
+   * @private
+   */
+  _usageDay (date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Reads the usage state file
+   * @returns {UsageState|null} State (null if missing or unreadable)
+   * @private
+   */
+  _readUsageFile () {
+    try {
+      const state = JSON.parse(fs.readFileSync(this.usageFile, 'utf8'));
+      if (state && typeof state.sessions === 'object' && typeof state.days === 'object') return state;
+    } catch (error) {
+      // Missing or corrupt: start over
+    }
+    return null;
+  }
+
+  /**
+   * Writes a JSON file atomically (temporary file + rename): readers never see a partial file
+   * @param {string} filePath - Destination
+   * @param {Object} data - Content
+   * @returns {boolean} true if written
+   * @private
+   */
+  _writeJsonAtomic (filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tempPath, filePath);
+      return true;
+    } catch (error) {
+      try {
+        fs.unlinkSync(tempPath);
+      } catch (unlinkError) {
+        // Temporary file was never created
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Adds one response's usage to the session and day totals (total, per model, per hierarchy level)
+   * of the usage state file (see _flushUsage: written under a lock file shared by CCR processes).
+   * @param {RequestRecord|null} requestInfo - Request the response belongs to
+   * @param {Object} usage - OpenAI-style usage (prompt_tokens, completion_tokens, total_tokens, *_details)
+   * @returns {UsageBucket} Normalized usage of this response
+   * @private
+   */
+  _recordUsage (requestInfo, usage) {
+    const model = requestInfo?.model || 'unknown';
+    const level = requestInfo?.level || 'unknown';
+    const tokens = value => Number.isFinite(value) ? value : 0;
+    const entry = {
+      requests: 1,
+      promptTokens: tokens(usage.prompt_tokens),
+      completionTokens: tokens(usage.completion_tokens),
+      cachedTokens: tokens(usage.prompt_tokens_details?.cached_tokens ?? usage.cached_tokens),
+      reasoningTokens: tokens(usage.completion_tokens_details?.reasoning_tokens),
+      totalTokens: tokens(usage.total_tokens ?? (tokens(usage.prompt_tokens) + tokens(usage.completion_tokens)))
+    };
+
+    this.usagePending.push({ model, level, day: this._usageDay(), entry });
+    this._flushUsage();
+    this._writeState(requestInfo?.claudeSessionId || null, { usage: entry, usageRequestId: requestInfo?.requestId ?? null });
+    return entry;
+  }
+
+  /**
+   * Writes the pending usage entries to usageFile while holding [usageFile].lock (created exclusively).
+   * The file is re-read under the lock, so CCR processes sharing it never overwrite each other's
+   * updates. While another process holds the lock, retries every 50 ms; a lock older than
+   * 10 seconds is left over by a crashed process and removed.
+   * @private
+   */
+  _flushUsage () {
+    if (this.usagePending.length === 0 || this.usageRetryTimer) return;
+
+    const lockPath = `${this.usageFile}.lock`;
+    let lock = null;
+    try {
+      fs.mkdirSync(path.dirname(this.usageFile), { recursive: true });
+      lock = fs.openSync(lockPath, 'wx');
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        try {
+          if (Date.now() - fs.statSync(lockPath).mtimeMs > 10000) {
+            fs.unlinkSync(lockPath);
+            this._flushUsage();
+            return;
+          }
+        } catch (statError) {
+          // Released in the meantime: retry below
+        }
+        this.usageRetryTimer = setTimeout(() => {
+          this.usageRetryTimer = null;
+          this._flushUsage();
+        }, 50);
+        this.usageRetryTimer.unref();
+        return;
+      }
+      // Lock cannot be created (e.g. read-only directory): the write below fails the same way
+    }
+
+    try {
+      const now = new Date();
+      const state = this._readUsageFile() || this.usageState || { version: 1, sessions: {}, days: {} };
+      const session = state.sessions[this.sessionId] || (state.sessions[this.sessionId] = { startedAt: this.sessionStartedAt, pid: process.pid });
+
+      for (const { model, level, day, entry } of this.usagePending.splice(0)) {
+        const today = state.days[day] || (state.days[day] = {});
+        for (const scope of [session, today]) {
+          scope.totals = scope.totals || this._createUsageBucket();
+          scope.models = scope.models || {};
+          scope.levels = scope.levels || {};
+          scope.models[model] = scope.models[model] || this._createUsageBucket();
+          scope.levels[level] = scope.levels[level] || this._createUsageBucket();
+          for (const bucket of [scope.totals, scope.models[model], scope.levels[level]]) {
+            Object.keys(entry).forEach(key => { bucket[key] += entry[key]; });
+          }
+        }
+      }
+      session.updatedAt = now.toISOString();
+
+      // Keep usageHistoryDays of day totals and of sessions
+      const cutoff = new Date(now.getTime() - this.usageHistoryDays * 24 * 60 * 60 * 1000);
+      Object.keys(state.days).filter(key => key < this._usageDay(cutoff)).forEach(key => delete state.days[key]);
+      Object.keys(state.sessions).filter(key => (state.sessions[key].updatedAt || '') < cutoff.toISOString()).forEach(key => delete state.sessions[key]);
+
+      state.version = 1;
+      state.updatedAt = now.toISOString();
+      this.usageState = state;
+      this._writeJsonAtomic(this.usageFile, state);
+    } finally {
+      if (lock !== null) {
+        fs.closeSync(lock);
+        try {
+          fs.unlinkSync(lockPath);
+        } catch (error) {
+          // Removed as stale by another process
+        }
+      }
+    }
+  }
+
+  /**
+   * Token usage totals of this session and of today (total, per model, per hierarchy level)
+   * @returns {{session: UsageScope|null, today: UsageScope|null, file: string}} Usage totals
+   */
+  getUsageStats () {
+    const state = this.usageState || this._readUsageFile();
+    return {
+      session: state?.sessions[this.sessionId] || null,
+      today: state?.days[this._usageDay()] || null,
+      file: this.usageFile
+    };
+  }
+
+  /**
+   * Compares today's and this session's total tokens with tokenBudget. The usage file is
+   * re-read so the daily limit covers every CCR process sharing it. The scope closest
+   * to its limit decides the state.
+   * @returns {TokenBudgetStatus|null} Budget state without downgrades (null if no budget is configured)
+   * @private
+   */
+  _checkTokenBudget () {
+    if (!this.tokenBudget) return null;
+
+    const state = this._readUsageFile() || this.usageState;
+    const scopes = [
+      ['daily', this.tokenBudget.dailyTokens, state?.days[this._usageDay()]],
+      ['session', this.tokenBudget.sessionTokens, state?.sessions[this.sessionId]]
+    ];
+
+    let status = null;
+    for (const [scope, limit, usage] of scopes) {
+      if (!limit) continue;
+      const used = usage?.totals?.totalTokens ?? 0;
+      const ratio = used / limit;
+      if (!status || ratio > status.ratio) status = { scope, used, limit, ratio };
+    }
+
+    const { softThreshold, hardThreshold } = this.tokenBudget;
+    const reached = status.ratio >= hardThreshold ? 'hard' : status.ratio >= softThreshold ? 'soft' : 'ok';
+    return { state: reached, ...status, downgrades: [] };
+  }
+
+  /**
+   * Applies the token budget soft action to the reasoning field (body changed in place):
+   * reasoning disabled (thinking removed) or effort one step down (high → medium → low).
+   * Z.AI only reads thinking, so lower-effort has no effect on that provider.
+   * @param {ModifiedRequestBody} body - Body after the reasoning hierarchy
+   * @returns {{from: string, to: string}|null} Reasoning before and after (null if off or already low)
+   * @private
+   */
+  _downgradeReasoning (body) {
+    if (body.reasoning?.enabled !== true) return null;
+
+    const effort = body.reasoning.effort || 'high';
+    if (this.tokenBudget.softAction === 'disable-reasoning') {
+      body.reasoning = { enabled: false };
+      delete body.thinking;
+      return { from: `on/${effort}`, to: 'off' };
+    }
+
+    const lower = { high: 'medium', medium: 'low' }[effort];
+    if (!lower) return null;
+    body.reasoning = { ...body.reasoning, effort: lower };
+    return { from: `on/${effort}`, to: `on/${lower}` };
+  }
+
+  /**
+   * Creates the pass-through stream filter that reads usage from the final chunk
+   * and records it when the stream ends
+   * @param {RequestRecord|null} requestInfo - Request the response belongs to
+   * @returns {StreamFilter} Pass-through stream filter
+   * @private
+   */
+  _createUsageFilter (requestInfo) {
+    let usage = null;
+
+    return {
+      onChunk: (chunk) => {
+        if (chunk && chunk.usage) usage = chunk.usage;
+        return [chunk];
+      },
+      onEnd: () => {
+        if (usage) this._reportUsage(requestInfo, this._recordUsage(requestInfo, usage));
+        return [];
+      }
+    };
+  }
+
+  /**
+   * Checks if a value is a JSON (non-streaming) Response
+   * @param {*} response - Value received by transformResponseOut
+   * @returns {boolean} true if it is a Response with an application/json body
+   * @private
+   */
+  _isJsonResponse (response) {
+    try {
+      if (!response || !response.body || typeof response.clone !== 'function') return false;
+      return (response.headers.get('content-type') || '').includes('application/json');
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Reads usage from a non-streaming Response in the background (on a clone)
+   * @param {Response} response - JSON Response
+   * @param {RequestRecord|null} requestInfo - Request the response belongs to
+   * @private
+   */
+  _readResponseUsage (response, requestInfo) {
+    let cloned;
+    try {
+      cloned = response.clone();
+    } catch (error) {
+      return;
+    }
+    cloned.json().then(body => {
+      if (body && body.usage) this._reportUsage(requestInfo, this._recordUsage(requestInfo, body.usage));
+    }).catch(() => { /* Not JSON after all: nothing to record */ });
+  }
+
+  /**
+   * Extracts Claude Code's session id from request.metadata.user_id ("user_..._session_<uuid>")
+   * @param {UnifiedChatRequest} request - Claude Code request
+   * @returns {string|null} Session id (null if Claude Code did not send one)
+   * @private
+   */
+  _claudeSessionId (request) {
+    const userId = request?.metadata?.user_id;
+    const match = typeof userId === 'string' ? userId.match(/session_([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/i) : null;
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  /**
+   * Builds the statusline state of a transformed request (model, reasoning, level, tags, max_tokens, budget)
+   * @param {UnifiedChatRequest} request - Claude Code request
+   * @param {ModifiedRequestBody} body - Body sent to the provider
+   * @param {number} requestId - Request number
+   * @param {ReasoningDecision} decision - Reasoning hierarchy decision of the request
+   * @param {TokenBudgetStatus|null} budget - Token budget state of the request
+   * @returns {Object} Request fields of the state file
+   * @private
+   */
+  _createRequestState (request, body, requestId, decision, budget) {
+    const { tags, level } = decision;
+    const enabled = body.reasoning?.enabled === true;
+
+    // Most recent tag of each kind, as written by the user
+    const activeTags = ['ultrathink', 'thinking', 'effort']
+      .map(type => tags.filter(tag => tag.type === type).pop())
+      .filter(Boolean)
+      .map(tag => tag.type === 'ultrathink' ? 'ultrathink' : `${tag.type === 'thinking' ? 'Thinking' : 'Effort'}:${tag.value}`);
+
+    return {
+      requestId,
+      model: body.model,
+      requestedModel: request.model,
+      reasoning: { enabled, effort: enabled ? body.reasoning.effort || null : null },
+      level: { priority: level.priority, name: level.name },
+      tags: activeTags,
+      maxTokens: body.max_tokens ?? null,
+      budget: budget
+        ? { state: budget.state, scope: budget.scope, used: budget.used, limit: budget.limit, downgrades: budget.downgrades.map(downgrade => downgrade.action) }
+        : null
+    };
+  }
+
+  /**
+   * Updates the statusline state file of a Claude Code session (atomic write) and latest.json.
+   * File: [stateDirectory]/[Claude Code session id].json, or [transformer session id].json
+   * when Claude Code sends no session id. Format documented in the README (stable contract).
+   * @param {string|null} claudeSessionId - Claude Code session id
+   * @param {Object} update - Fields to update
+   * @private
+   */
+  _writeState (claudeSessionId, update) {
+    if (!this.writeState || this.explaining) return;
+
+    const key = claudeSessionId || this.sessionId;
+    const state = {
+      version: 1,
+      session: this.sessionId,
+      claudeSessionId: claudeSessionId || null,
+      pid: process.pid,
+      ...this.sessionStates.get(key),
+      ...update,
+      updatedAt: new Date().toISOString()
+    };
+    this.sessionStates.set(key, state);
+
+    if (!this.stateFilesPruned) {
+      this.stateFilesPruned = true;
+      this._pruneStateFiles();
+    }
+    this._writeJsonAtomic(path.join(this.stateDirectory, `${key}.json`), state);
+    this._writeJsonAtomic(path.join(this.stateDirectory, 'latest.json'), state);
+  }
+
+  /**
+   * Deletes state files of sessions not updated for 7 days (once per transformer instance)
+   * @private
+   */
+  _pruneStateFiles () {
+    const cutoff = Date.now() - 7 * 24 * 60 * 60 * 1000;
+    try {
+      for (const name of fs.readdirSync(this.stateDirectory)) {
+        if (!name.endsWith('.json') || name === 'latest.json') continue;
+        const filePath = path.join(this.stateDirectory, name);
+        if (fs.statSync(filePath).mtimeMs < cutoff) fs.unlinkSync(filePath);
+      }
+    } catch (error) {
+      // Directory not created yet
+    }
+  }
+
+  /**
+   * Checks if a value is a streaming (SSE) Response that can be wrapped
+   * @param {*} response - Value received by transformResponseOut
+   * @returns {boolean} true if it is a Response with a text/event-stream body
+   * @private
+   */
+  _isSseResponse (response) {
+    try {
+      if (!response || !response.body || typeof response.headers?.get !== 'function') return false;
+      const contentType = response.headers.get('content-type') || '';
+      return contentType.includes('text/event-stream');
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Creates zeroed counters shared by the stream filters of one response
+   * @returns {StreamFilterStats} Stream filter counters
+   * @private
+   */
+  _createStreamStats () {
+    return {
+      whitespaceDropped: 0,
+      whitespaceCoalesced: 0,
+      chunksRemoved: 0,
+      thinkingChunks: 0,
+      thinkingSignatures: 0,
+      thinkingLate: 0,
+      toolCalls: 0,
+      toolCallsRepaired: 0,
+      toolCallsFailed: 0,
+      toolCallsCoerced: 0,
+      toolCallsInvalid: 0,
+      toolCallDetails: []
+    };
+  }
+
+  /**
+   * Creates the filter that drops whitespace-only reasoning_content deltas.
+   * Whitespace between real reasoning chunks is coalesced into the next one (formatting kept);
+   * leading and trailing whitespace is dropped. Chunks left empty are removed,
+   * but role, content, tool_calls and finish_reason are never touched.
+   * @param {StreamFilterStats} stats - Counters updated by the filter
+   * @returns {StreamFilter} Stream filter
+   * @private
+   */
+  _createWhitespaceReasoningFilter (stats) {
+    /** @type {Map<number, {started: boolean, pending: string}>} */
+    const states = new Map();
+
+    const isEmptyValue = (value) => value === undefined || value === null || value === '';
+
+    return {
+      onChunk: (chunk) => {
+        if (!chunk || !Array.isArray(chunk.choices)) return [chunk];
+
+        let removable = chunk.choices.length > 0 && !chunk.usage;
+
+        for (const choice of chunk.choices) {
+          const index = choice.index ?? 0;
+          if (!states.has(index)) states.set(index, { started: false, pending: '' });
+          const state = states.get(index);
+          const delta = choice.delta;
+
+          if (delta && typeof delta.reasoning_content === 'string') {
+            if (delta.reasoning_content.trim() === '') {
+              // Whitespace-only: hold it (only meaningful between real reasoning chunks)
+              if (state.started) state.pending += delta.reasoning_content;
+              delete delta.reasoning_content;
+              stats.whitespaceDropped++;
+            } else {
+              if (state.pending) {
+                delta.reasoning_content = state.pending + delta.reasoning_content;
+                state.pending = '';
+                stats.whitespaceCoalesced++;
+              }
+              state.started = true;
+            }
+          } else if (delta && (!isEmptyValue(delta.content) || delta.tool_calls)) {
+            // Reasoning ended: trailing whitespace is discarded
+            state.pending = '';
+          }
+
+          const deltaEmpty = !delta || Object.values(delta).every(isEmptyValue);
+          if (!deltaEmpty || choice.finish_reason) {
+            removable = false;
+          }
+        }
+
+        if (removable) {
+          stats.chunksRemoved++;
+          return [];
+        }
+        return [chunk];
+      },
+      onEnd: () => []
+    };
+  }
+
+  /**
+   * Repairs common GLM mistakes in tool-call argument JSON:
+   * trailing commas, single quotes, unescaped control characters (newlines, tabs)
+   * and truncated output (unclosed strings, objects and arrays).
+   * @param {string} text - Raw arguments string
+   * @returns {JsonRepairResult} Repair result (original text returned when repair fails)
+   */
+  repairJson (text) {
+    const source = typeof text === 'string' ? text : '';
+
+    // GLM sends "" for tools without arguments
+    if (source.trim() === '') {
+      return { value: '{}', valid: true, repaired: false };
+    }
+
+    try {
+      JSON.parse(source);
+      return { value: source, valid: true, repaired: false };
+    } catch (error) {
+      // Fall through to repair
+    }
+
+    let output = '';
+    const closers = [];
+    let inString = false;
+    let quote = '';
+    let escaped = false;
+
+    for (const char of source) {
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+          if (quote === "'" && char === "'") {
+            output = output.slice(0, -1) + char; // \' is not a valid JSON escape
+          } else {
+            output += char;
+          }
+        } else if (char === '\\') {
+          escaped = true;
+          output += char;
+        } else if (char === quote) {
+          inString = false;
+          output += '"';
+        } else if (quote === "'" && char === '"') {
+          output += '\\"';
+        } else if (char === '\n') {
+          output += '\\n';
+        } else if (char === '\r') {
+          output += '\\r';
+        } else if (char === '\t') {
+          output += '\\t';
+        } else if (char.charCodeAt(0) < 0x20) {
+          output += `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`;
+        } else {
+          output += char;
+        }
+        continue;
+      }
+
+      if (char === '"' || char === "'") {
+        inString = true;
+        quote = char;
+        output += '"';
+      } else if (char === '{' || char === '[') {
+        closers.push(char === '{' ? '}' : ']');
+        output += char;
+      } else if (char === '}' || char === ']') {
+        output = output.replace(/,\s*$/, ''); // Trailing comma
+        if (closers[closers.length - 1] === char) closers.pop();
+        output += char;
+      } else {
+        output += char;
+      }
+    }
+
+    // Truncated output: close string, drop dangling comma/colon, close containers
+    if (inString) {
+      if (escaped) output = output.slice(0, -1);
+      output += '"';
+    }
+    output = output.replace(/,\s*$/, '');
+    if (/:\s*$/.test(output)) output += 'null';
+    while (closers.length > 0) {
+      output = output.replace(/,\s*$/, '');
+      output += closers.pop();
+    }
+
+    try {
+      JSON.parse(output);
+      return { value: output, valid: true, repaired: true };
+    } catch (error) {
+      return { value: source, valid: false, repaired: false };
+    }
+  }
+
+  /**
+   * Counts image blocks in a message (including images nested in tool results)
+   * @param {UnifiedMessage} message - Message to inspect
+   * @returns {number} Number of image blocks
+   * @private
+   */
+  _countMessageImages (message) {
+    const countBlocks = (content) => {
+      if (!Array.isArray(content)) return 0;
+      return content.reduce((count, block) => {
+        if (!block) return count;
+        if (block.type === 'image_url' || block.type === 'image') return count + 1;
+        if (block.type === 'tool_result') return count + countBlocks(block.content);
+        return count;
+      }, 0);
+    };
+
+    return countBlocks(message?.content);
+  }
+
+  /**
+   * Picks the model for the request: reroutes to visionModel when the most recent
+   * user/tool messages (visionLookbackMessages) contain images and the requested model
+   * is text-only (vision=false). Stateless: requests without recent images keep their original model.
+   * Recent images are counted even without autoVisionReroute (the token budget reroute checks them).
+   * @param {UnifiedChatRequest} request - Claude Code request
+   * @returns {VisionRouteResult} Selected model and reroute details
+   * @private
+   */
+  _resolveVisionRoute (request) {
+    const requestedModel = request.model || 'UNKNOWN';
+    const result = { model: requestedModel, rerouted: false, from: requestedModel, imageCount: 0 };
+
+    if (!Array.isArray(request.messages)) {
+      return result;
+    }
+
+    let inspected = 0;
+    for (let i = request.messages.length - 1; i >= 0 && inspected < this.visionLookbackMessages; i--) {
+      const message = request.messages[i];
+      if (message.role !== 'user' && message.role !== 'tool') continue;
+      inspected++;
+      result.imageCount += this._countMessageImages(message);
+    }
+
+    // Only known text-only models (vision=false) are rerouted
+    if (this.autoVisionReroute && this.visionModel && result.imageCount > 0 && requestedModel !== this.visionModel && this.getModelConfiguration(requestedModel).vision === false) {
+      result.model = this.visionModel;
+      result.rerouted = true;
+    }
+
+    return result;
+  }
+
+  /**
+   * Validates image blocks against the model's vision capability and Z.AI limits.
+   * - vision=false: every image is replaced with a text placeholder naming what was removed
+   * - vision=true: images with unsupported MIME type or above maxImageBytes are replaced,
+   *   and only the most recent maxImages of the remaining images are kept
+   * - vision unknown (null): images are left untouched
+   * @param {ModifiedRequestBody} body - Request body to modify
+   * @param {ModelConfig} config - Model configuration (vision, maxImages, maxImageBytes)
+   * @param {string} modelName - Model name (used in placeholders)
+   * @returns {ImageDecision[]} One decision per image block
+   * @private
+   */
+  _processImages (body, config, modelName) {
+    const decisions = [];
+
+    if (config.vision == null || !Array.isArray(body.messages)) {
+      return decisions;
+    }
+
+    // Describes an image block: MIME type and decoded size (data URLs only)
+    const describe = (block) => {
+      const url = block.image_url?.url || block.source?.data || '';
+      const dataMatch = /^data:([^;,]+)[^,]*,(.*)$/s.exec(url);
+      let mime = block.media_type || block.source?.media_type || (dataMatch ? dataMatch[1] : null);
+      let bytes = null;
+      const base64 = dataMatch ? dataMatch[2] : block.source?.type === 'base64' ? block.source.data : null;
+      if (base64) {
+        const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+        bytes = Math.floor(base64.length * 3 / 4) - padding;
+      }
+      if (mime) mime = mime.toLowerCase();
+      return { mime, bytes };
+    };
+
+    const formatBytes = (bytes) => {
+      if (bytes == null) return 'unknown size';
+      if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+      return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+    };
+
+    // Why the model's vision capability, MIME type or size rules out an image (null = accepted)
+    const filterReason = (mime, bytes) => {
+      if (config.vision === false) return `model ${modelName} does not accept images`;
+      if (mime && !this.imageMimeTypes.includes(mime)) return `unsupported MIME type (allowed: ${this.imageMimeTypes.join(', ')})`;
+      if (bytes != null && config.maxImageBytes && bytes > config.maxImageBytes) return `exceeds ${formatBytes(config.maxImageBytes)} limit`;
+      return null;
+    };
+
+    // Accepted images (to keep only the most recent maxImages of them)
+    const countAccepted = (content) => {
+      if (!Array.isArray(content)) return 0;
+      return content.reduce((count, block) => {
+        if (!block) return count;
+        if (block.type === 'tool_result') return count + countAccepted(block.content);
+        if (block.type !== 'image_url' && block.type !== 'image') return count;
+        const { mime, bytes } = describe(block);
+        return filterReason(mime, bytes) ? count : count + 1;
+      }, 0);
+    };
+    const acceptedImages = body.messages.reduce((sum, message) => sum + countAccepted(message?.content), 0);
+    const maxImages = config.maxImages ?? Infinity;
+    let acceptedOrdinal = 0;
+
+    const processBlocks = (content, messageIndex) => {
+      if (!Array.isArray(content)) return content;
+      let changed = false;
+
+      const newContent = content.map(block => {
+        if (!block) return block;
+
+        if (block.type === 'tool_result' && Array.isArray(block.content)) {
+          const nested = processBlocks(block.content, messageIndex);
+          if (nested !== block.content) {
+            changed = true;
+            return { ...block, content: nested };
+          }
+          return block;
+        }
+
+        if (block.type !== 'image_url' && block.type !== 'image') return block;
+
+        const { mime, bytes } = describe(block);
+        let reason = filterReason(mime, bytes);
+
+        if (!reason) {
+          acceptedOrdinal++;
+          if (acceptedImages - acceptedOrdinal >= maxImages) {
+            reason = `exceeds ${maxImages} image limit (older image)`;
+          }
+        }
+
+        decisions.push({ message: messageIndex, action: reason ? 'removed' : 'kept', reason, mime, bytes });
+
+        if (!reason) return block;
+
+        changed = true;
+        return { type: 'text', text: `[Image removed by zai transformer: ${mime || 'unknown type'}, ${formatBytes(bytes)} - ${reason}]` };
+      });
+
+      return changed ? newContent : content;
+    };
+
+    let messages = null;
+    body.messages.forEach((message, i) => {
+      const content = processBlocks(message.content, i);
+      if (content !== message.content) {
+        if (!messages) messages = [...body.messages];
+        messages[i] = { ...message, content };
+      }
+    });
+
+    if (messages) {
+      body.messages = messages;
+    }
+
+    return decisions;
+  }
+
+  /**
+   * Rewrites a JSON Schema into the subset Z.AI function calling handles reliably.
+   * - Strips unsupported keywords ($schema, format, additionalProperties, ...)
+   * - Converts const to a single-value enum
+   * - Flattens simple unions (nullable X → X, same-type branches → one type, single allOf → merged)
+   * - Optionally caps description lengths
+   * @param {Object} schema - JSON Schema to sanitize (not modified)
+   * @param {number|null} maxDescriptionLength - Description length cap (null = no cap)
+   * @param {string} path - JSON path of schema (for reporting)
+   * @param {string[]} changes - Collected changes (diff lines)
+   * @returns {Object} Sanitized schema
+   * @private
+   */
+  _sanitizeSchema (schema, maxDescriptionLength, path, changes) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return schema;
+
+    const unsupportedKeywords = [
+      '$schema', '$id', '$comment', 'format', 'additionalProperties', 'patternProperties',
+      'propertyNames', 'unevaluatedProperties', 'examples', 'contentEncoding',
+      'contentMediaType', 'readOnly', 'writeOnly', 'deprecated'
+    ];
+
+    let result = {};
+    for (const [key, value] of Object.entries(schema)) {
+      if (unsupportedKeywords.includes(key)) {
+        changes.push(`- ${path}.${key}`);
+      } else if (key === 'const') {
+        result.enum = [value];
+        changes.push(`~ ${path}.const → enum`);
+      } else {
+        result[key] = value;
+      }
+    }
+
+    // Recurse into nested schemas
+    if (result.properties && typeof result.properties === 'object') {
+      const properties = {};
+      for (const [name, propertySchema] of Object.entries(result.properties)) {
+        properties[name] = this._sanitizeSchema(propertySchema, maxDescriptionLength, `${path}.properties.${name}`, changes);
+      }
+      result.properties = properties;
+    }
+    if (result.items && typeof result.items === 'object') {
+      result.items = this._sanitizeSchema(result.items, maxDescriptionLength, `${path}.items`, changes);
+    }
+
+    // Single-branch allOf → merge into parent
+    if (Array.isArray(result.allOf) && result.allOf.length === 1) {
+      const { allOf, ...rest } = result;
+      result = { ...this._sanitizeSchema(allOf[0], maxDescriptionLength, `${path}.allOf[0]`, changes), ...rest };
+      changes.push(`~ ${path}.allOf (single branch) → merged`);
+    }
+
+    // Simple unions
+    for (const unionKey of ['anyOf', 'oneOf']) {
+      if (!Array.isArray(result[unionKey])) continue;
+
+      // Flatten nested unions and sanitize branches
+      let branches = [];
+      result[unionKey].forEach((branch, i) => {
+        const sanitized = this._sanitizeSchema(branch, maxDescriptionLength, `${path}.${unionKey}[${i}]`, changes);
+        const nested = sanitized && (sanitized.anyOf || sanitized.oneOf);
+        if (Array.isArray(nested) && Object.keys(sanitized).length === 1) {
+          branches.push(...nested);
+          changes.push(`~ ${path}.${unionKey}[${i}] nested union → flattened`);
+        } else {
+          branches.push(sanitized);
+        }
+      });
+
+      // Nullable: drop null branches when something else remains
+      const nonNull = branches.filter(branch => !(branch && branch.type === 'null' && Object.keys(branch).length === 1));
+      if (nonNull.length > 0 && nonNull.length < branches.length) {
+        changes.push(`~ ${path}.${unionKey} null branch → removed`);
+        branches = nonNull;
+      }
+
+      const isSimple = (branch) => branch && typeof branch.type === 'string' &&
+        Object.keys(branch).every(key => key === 'type' || key === 'enum' || key === 'description');
+      const sameType = branches.every(branch => isSimple(branch) && branch.type === branches[0].type);
+
+      const { [unionKey]: _union, ...rest } = result;
+      if (branches.length === 1) {
+        result = { ...branches[0], ...rest };
+        changes.push(`~ ${path}.${unionKey} → ${branches[0].type || 'schema'}`);
+      } else if (sameType) {
+        const merged = { type: branches[0].type };
+        if (branches.every(branch => Array.isArray(branch.enum))) {
+          merged.enum = [...new Set(branches.flatMap(branch => branch.enum))];
+        }
+        result = { ...merged, ...rest };
+        changes.push(`~ ${path}.${unionKey} → ${merged.type}`);
+      } else {
+        result = { ...rest, [unionKey]: branches };
+      }
+    }
+
+    if (maxDescriptionLength && typeof result.description === 'string' && result.description.length > maxDescriptionLength) {
+      changes.push(`✂ ${path}.description ${result.description.length} → ${maxDescriptionLength} chars`);
+      result.description = `${result.description.substring(0, maxDescriptionLength - 1)}…`;
+    }
+
+    return result;
+  }
+
+  /**
+   * Sanitizes tool definitions for the model (see _sanitizeSchema)
+   * @param {UnifiedTool[]} tools - Request tools (not modified)
+   * @param {ModelConfig} config - Model configuration (sanitizeToolSchemas, maxToolDescriptionLength)
+   * @returns {ToolSanitizationResult} Sanitized tools and per-tool changes
+   * @private
+   */
+  _sanitizeTools (tools, config) {
+    const result = { tools, changes: [] };
+
+    if (!config.sanitizeToolSchemas || !Array.isArray(tools) || tools.length === 0) {
+      return result;
+    }
+
+    const maxLength = config.maxToolDescriptionLength || null;
+
+    result.tools = tools.map((tool, i) => {
+      if (!tool || !tool.function) return tool;
+
+      const name = tool.function.name || `tool_${i}`;
+      const changes = [];
+      const definition = { ...tool.function };
+
+      if (definition.parameters) {
+        definition.parameters = this._sanitizeSchema(definition.parameters, maxLength, '$', changes);
+      }
+
+      if (maxLength && typeof definition.description === 'string' && definition.description.length > maxLength) {
+        changes.push(`✂ description ${definition.description.length} → ${maxLength} chars`);
+        definition.description = `${definition.description.substring(0, maxLength - 1)}…`;
+      }
+
+      if (changes.length === 0) return tool;
+
+      result.changes.push({ name, changes });
+      return { ...tool, function: definition };
+    });
+
+    return result;
+  }
+
+  /**
+   * Coerces a value against a JSON Schema (obvious type mismatches only).
+   * - "5" → 5 (number/integer), "true"/"false" → boolean, "null" → null
+   * - numbers/booleans → string, JSON strings → object/array
+   * - enum values matched case-insensitively
+   * - Unknown properties dropped when additionalProperties is false
+   * Problems that cannot be coerced (missing required, wrong type, bad enum) are reported as errors.
+   * @param {*} value - Value to coerce
+   * @param {Object} schema - JSON Schema
+   * @param {string} path - JSON path of value (for reporting)
+   * @param {{changes: string[], errors: string[]}} report - Collected changes and errors
+   * @returns {*} Coerced value
+   * @private
+   */
+  _coerceToSchema (value, schema, path, report) {
+    if (!schema || typeof schema !== 'object') return value;
+
+    // Unions: keep the first branch that accepts the value without errors
+    const union = schema.anyOf || schema.oneOf;
+    if (Array.isArray(union) && union.length > 0) {
+      for (const branch of union) {
+        const branchReport = { changes: [], errors: [] };
+        const coerced = this._coerceToSchema(value, branch, path, branchReport);
+        if (branchReport.errors.length === 0) {
+          report.changes.push(...branchReport.changes);
+          return coerced;
+        }
+      }
+      report.errors.push(`${path}: does not match any allowed schema`);
+      return value;
+    }
+
+    const types = Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : [];
+    const typeOf = (v) => v === null ? 'null' : Array.isArray(v) ? 'array' : Number.isInteger(v) ? 'integer' : typeof v;
+    const matches = (v, type) => type === typeOf(v) || (type === 'number' && typeof v === 'number');
+    let result = value;
+
+    if (types.length > 0 && !types.some(type => matches(result, type))) {
+      let coerced;
+      let found = false;
+
+      for (const type of types) {
+        if ((type === 'number' || type === 'integer') && typeof result === 'string' && /^\s*-?\d+(\.\d+)?([eE][+-]?\d+)?\s*$/.test(result)) {
+          coerced = Number(result);
+          found = type === 'number' || Number.isInteger(coerced);
+        } else if (type === 'boolean' && typeof result === 'string' && /^(true|false)$/i.test(result.trim())) {
+          coerced = result.trim().toLowerCase() === 'true';
+          found = true;
+        } else if (type === 'null' && result === 'null') {
+          coerced = null;
+          found = true;
+        } else if (type === 'string' && (typeof result === 'number' || typeof result === 'boolean')) {
+          coerced = String(result);
+          found = true;
+        } else if ((type === 'object' || type === 'array') && typeof result === 'string') {
+          try {
+            const parsed = JSON.parse(result);
+            if (matches(parsed, type)) {
+              coerced = parsed;
+              found = true;
+            }
+          } catch (error) {
+            // Not JSON
+          }
+        }
+        if (found) break;
+      }
+
+      if (found) {
+        report.changes.push(`${path}: ${JSON.stringify(result)} → ${JSON.stringify(coerced)}`);
+        result = coerced;
+      } else {
+        report.errors.push(`${path}: expected ${types.join('|')}, got ${typeOf(result)}`);
+        return result;
+      }
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.includes(result)) {
+      const match = typeof result === 'string'
+        ? schema.enum.find(option => typeof option === 'string' && option.toLowerCase() === result.toLowerCase())
+        : undefined;
+      if (match !== undefined) {
+        report.changes.push(`${path}: ${JSON.stringify(result)} → ${JSON.stringify(match)}`);
+        result = match;
+      } else {
+        report.errors.push(`${path}: ${JSON.stringify(result)} not in enum`);
+      }
+    }
+
+    if (Array.isArray(result) && schema.items && typeof schema.items === 'object') {
+      result = result.map((item, i) => this._coerceToSchema(item, schema.items, `${path}[${i}]`, report));
+    }
+
+    if (result && typeof result === 'object' && !Array.isArray(result) && (schema.properties || schema.required || schema.additionalProperties !== undefined)) {
+      const properties = schema.properties || {};
+      const coercedObject = {};
+
+      for (const [key, propertyValue] of Object.entries(result)) {
+        if (properties[key]) {
+          coercedObject[key] = this._coerceToSchema(propertyValue, properties[key], `${path}.${key}`, report);
+        } else if (schema.additionalProperties === false) {
+          report.changes.push(`${path}.${key}: dropped (additionalProperties: false)`);
+        } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+          coercedObject[key] = this._coerceToSchema(propertyValue, schema.additionalProperties, `${path}.${key}`, report);
+        } else {
+          coercedObject[key] = propertyValue;
+        }
+      }
+
+      for (const key of schema.required || []) {
+        if (!(key in coercedObject)) {
+          report.errors.push(`${path}.${key}: required property missing`);
+        }
+      }
+
+      result = coercedObject;
+    }
+
+    return result;
+  }
+
+  /**
+   * Validates tool-call arguments against the tool's JSON Schema and coerces obvious mismatches
+   * @param {string} argumentsJson - Valid JSON arguments
+   * @param {Object} [schema] - Tool parameters JSON Schema (skipped if missing)
+   * @returns {ToolArgumentValidation} Coerced arguments with changes and errors
+   */
+  validateToolArguments (argumentsJson, schema) {
+    const report = { changes: [], errors: [] };
+
+    if (!schema) {
+      return { value: argumentsJson, changes: report.changes, errors: report.errors };
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(argumentsJson);
+    } catch (error) {
+      report.errors.push(`$: invalid JSON (${error.message})`);
+      return { value: argumentsJson, changes: report.changes, errors: report.errors };
+    }
+
+    const coerced = this._coerceToSchema(parsed, schema, '$', report);
+    return {
+      value: report.changes.length > 0 ? JSON.stringify(coerced) : argumentsJson,
+      changes: report.changes,
+      errors: report.errors
+    };
+  }
+
+  /**
+   * Stores the record of a transformed request under CCR's HTTP request object
+   * @param {TransformerContext} [context] - Context received by transformRequestIn
+   * @param {RequestRecord} record - Request record
+   * @private
+   */
+  _storeRequestRecord (context, record) {
+    if (context && context.req && typeof context.req === 'object') {
+      this.requestRecords.set(context.req, record);
+    }
+    this.lastRequestRecord = record;
+  }
+
+  /**
+   * Finds the record of the request a response belongs to.
+   * Without a CCR context (older CCR versions, direct calls) the last request is used.
+   * @param {TransformerContext} [context] - Context received by transformResponseOut
+   * @returns {RequestRecord|null} Request record (null if the request was not transformed here)
+   * @private
+   */
+  _getRequestRecord (context) {
+    if (context && context.req && typeof context.req === 'object') {
+      return this.requestRecords.get(context.req) || null;
+    }
+    return this.lastRequestRecord;
+  }
+
+  /**
+   * Collects tool parameter schemas by function name (OpenAI and Anthropic tool shapes)
+   * @param {UnifiedTool[]} [tools] - Request tools
+   * @returns {Map<string, Object>} Schemas indexed by tool name
+   * @private
+   */
+  _collectToolSchemas (tools) {
+    const schemas = new Map();
+
+    if (Array.isArray(tools)) {
+      for (const tool of tools) {
+        const definition = tool?.function || tool;
+        const schema = definition?.parameters || definition?.input_schema;
+        if (definition?.name && schema) {
+          schemas.set(definition.name, schema);
+        }
+      }
+    }
+
+    return schemas;
+  }
+
+  /**
+   * Creates the filter that buffers streamed tool-call arguments and repairs them.
+   * Call headers (id, type, name) pass through immediately; argument fragments are
+   * buffered per call index, validated/repaired and re-emitted (one chunk per call)
+   * as soon as a chunk starts the next call, otherwise right before the chunk carrying
+   * finish_reason (or at end of stream). Parallel calls thus keep their header/arguments order.
+   * When toolSchemaValidation is on, arguments are also checked against the request's tool schemas.
+   * @param {StreamFilterStats} stats - Counters updated by the filter
+   * @param {Map<string, Object>} toolSchemas - Tool parameter schemas of the matching request
+   * @returns {StreamFilter} Stream filter
+   * @private
+   */
+  _createToolCallRepairFilter (stats, toolSchemas) {
+    /** @type {Map<number, {name: string, arguments: string}>} */
+    const calls = new Map();
+    /** @type {Set<number>} Calls whose arguments were already emitted */
+    const emitted = new Set();
+    let lastChunk = null;
+    let choiceIndex = 0;
+
+    const isEmptyValue = (value) => value === undefined || value === null || value === '';
+
+    // Emits one chunk per buffered call with the final (repaired) arguments,
+    // except the calls listed in keep (still streaming)
+    const flush = (base, keep = new Set()) => {
+      const { usage, choices, ...rest } = base || {};
+      const output = [];
+
+      for (const [index, call] of calls) {
+        if (keep.has(index)) continue;
+
+        let result;
+        if (this.repairToolCalls) {
+          result = this.repairJson(call.arguments);
+        } else {
+          try {
+            JSON.parse(call.arguments || '{}');
+            result = { value: call.arguments, valid: true, repaired: false };
+          } catch (error) {
+            result = { value: call.arguments, valid: false, repaired: false };
+          }
+        }
+
+        let validation = { value: result.value, changes: [], errors: [] };
+        if (result.valid && this.toolSchemaValidation) {
+          validation = this.validateToolArguments(result.value, toolSchemas?.get(call.name));
+        }
+
+        let status = 'valid';
+        if (!result.valid) status = 'failed';
+        else if (validation.errors.length > 0) status = 'invalid';
+        else if (validation.changes.length > 0) status = 'coerced';
+        else if (result.repaired) status = 'repaired';
+
+        stats.toolCalls++;
+        if (result.repaired) stats.toolCallsRepaired++;
+        if (!result.valid) stats.toolCallsFailed++;
+        if (validation.changes.length > 0) stats.toolCallsCoerced++;
+        if (validation.errors.length > 0) stats.toolCallsInvalid++;
+        stats.toolCallDetails.push({
+          index,
+          name: call.name,
+          status,
+          arguments: validation.value,
+          changes: validation.changes,
+          errors: validation.errors
+        });
+
+        output.push({
+          ...rest,
+          choices: [{
+            index: choiceIndex,
+            delta: { tool_calls: [{ index, function: { arguments: validation.value } }] },
+            finish_reason: null
+          }]
+        });
+        calls.delete(index);
+        emitted.add(index);
+      }
+
+      return output;
+    };
+
+    return {
+      onChunk: (chunk) => {
+        if (!chunk || !Array.isArray(chunk.choices) || chunk.choices.length === 0) return [chunk];
+
+        const choice = chunk.choices[0];
+        const delta = choice.delta;
+        lastChunk = chunk;
+        choiceIndex = choice.index ?? 0;
+        const output = [];
+
+        if (delta && Array.isArray(delta.tool_calls)) {
+          // A chunk starting a new call completes the buffered ones it does not continue
+          const indexes = new Set(delta.tool_calls.map(toolCall => toolCall.index ?? 0));
+          if ([...indexes].some(index => !calls.has(index) && !emitted.has(index))) {
+            output.push(...flush(chunk, indexes));
+          }
+
+          delta.tool_calls = delta.tool_calls
+            .map(toolCall => {
+              const index = toolCall.index ?? 0;
+              // Late fragment of a call already emitted: pass it through unchanged
+              if (emitted.has(index)) return toolCall;
+
+              if (!calls.has(index)) calls.set(index, { name: '', arguments: '' });
+              const call = calls.get(index);
+
+              if (toolCall.function?.name) call.name += toolCall.function.name;
+              if (typeof toolCall.function?.arguments === 'string') {
+                call.arguments += toolCall.function.arguments;
+              }
+
+              // Keep the header (id, type, name), strip the argument fragment
+              const header = { ...toolCall };
+              if (toolCall.function) {
+                header.function = { ...toolCall.function };
+                delete header.function.arguments;
+                if (Object.keys(header.function).length === 0) delete header.function;
+              }
+              return header;
+            })
+            .filter(header => Object.keys(header).some(key => key !== 'index'));
+
+          if (delta.tool_calls.length === 0) {
+            delete delta.tool_calls;
+          }
+        }
+
+        if (choice.finish_reason && calls.size > 0) {
+          // Call headers carried by the finish_reason chunk go before the repaired arguments
+          if (delta?.tool_calls) {
+            const { usage, ...rest } = chunk;
+            output.push({ ...rest, choices: [{ ...choice, finish_reason: null }] });
+            choice.delta = {};
+          }
+          output.push(...flush(chunk));
+        }
+
+        // finish_reason chunk goes after the repaired arguments
+        const deltaEmpty = !choice.delta || Object.values(choice.delta).every(isEmptyValue);
+        if (!deltaEmpty || choice.finish_reason || chunk.usage) {
+          output.push(chunk);
+        }
+
+        return output;
+      },
+      onEnd: () => calls.size > 0 ? flush(lastChunk) : []
+    };
+  }
+
+  /**
+   * Creates the filter that converts Z.AI reasoning_content into Anthropic-style thinking deltas
+   * (same chunk format as CCR's `reasoning` transformer, so it replaces it in the `use` chain).
+   * - Each reasoning_content delta becomes delta.thinking.content
+   * - When reasoning ends (first content/tool_calls/finish_reason) a signed closing chunk is emitted
+   * - If the stream ends while still reasoning, the signed chunk is flushed at end of stream
+   * - Chunks after the thinking block get choice index + 1 (separate content block)
+   * - reasoning_content arriving after the block was closed is dropped (stats.thinkingLate)
+   * @param {StreamFilterStats} stats - Counters updated by the filter
+   * @returns {StreamFilter} Stream filter
+   * @private
+   */
+  _createThinkingFilter (stats) {
+    let reasoning = '';
+    let complete = false;
+    let lastChunk = null;
+
+    const isEmptyValue = (value) => value === undefined || value === null || value === '';
+
+    // Closing chunk: full thinking text + signature (ends the thinking block)
+    const signatureChunk = (base) => {
+      const { usage, choices, ...rest } = base || {};
+      complete = true;
+      stats.thinkingSignatures++;
+      return {
+        ...rest,
+        choices: [{
+          index: choices?.[0]?.index ?? 0,
+          delta: { content: null, thinking: { content: reasoning, signature: Date.now().toString() } },
+          finish_reason: null
+        }]
+      };
+    };
+
+    return {
+      onChunk: (chunk) => {
+        if (!chunk || !Array.isArray(chunk.choices) || chunk.choices.length === 0) return [chunk];
+
+        const output = [];
+        const choice = chunk.choices[0];
+        const delta = choice.delta || {};
+        lastChunk = chunk;
+
+        if (typeof delta.reasoning_content === 'string' && delta.reasoning_content !== '') {
+          if (complete) {
+            // Reasoning after the thinking block was closed is dropped (only counted):
+            // the Anthropic format cannot reopen a signed block
+            stats.thinkingLate++;
+          } else {
+            reasoning += delta.reasoning_content;
+            const thinkingDelta = { ...delta, thinking: { content: delta.reasoning_content } };
+            delete thinkingDelta.reasoning_content;
+            delete thinkingDelta.content;
+            delete thinkingDelta.tool_calls;
+            const { usage, ...rest } = chunk;
+            output.push({ ...rest, choices: [{ ...choice, delta: thinkingDelta, finish_reason: null }] });
+            stats.thinkingChunks++;
+          }
+        }
+
+        if (delta && 'reasoning_content' in delta) {
+          delete delta.reasoning_content;
+        }
+        // role was already emitted with the thinking delta
+        if (output.length > 0 && delta.role) {
+          delete delta.role;
+        }
+
+        const hasPayload = !isEmptyValue(delta.content) || !!delta.tool_calls;
+        if (reasoning && !complete && (hasPayload || choice.finish_reason)) {
+          output.push(signatureChunk(chunk));
+        }
+
+        const deltaEmpty = Object.values(delta).every(isEmptyValue);
+        if (!deltaEmpty || choice.finish_reason || chunk.usage) {
+          if (complete) {
+            choice.index = (choice.index ?? 0) + 1;
+          }
+          output.push(chunk);
+        }
+
+        return output;
+      },
+      onEnd: () => {
+        // Stream ended while still reasoning (e.g. max_tokens hit): close the thinking block
+        if (reasoning && !complete) {
+          return [signatureChunk(lastChunk)];
+        }
+        return [];
+      }
+    };
+  }
+
+  /**
+   * Builds the list of stream filters enabled by the options
+   * @param {StreamFilterStats} stats - Counters shared by all filters
+   * @param {Map<string, Object>} [toolSchemas] - Tool parameter schemas of the matching request
+   * @returns {StreamFilter[]} Filters applied in order
+   * @private
+   */
+  _createResponseFilters (stats, toolSchemas) {
+    const filters = [];
+
+    if (this.filterWhitespaceReasoning) {
+      filters.push(this._createWhitespaceReasoningFilter(stats));
+    }
+
+    if (this.repairToolCalls || this.toolSchemaValidation) {
+      filters.push(this._createToolCallRepairFilter(stats, toolSchemas));
+    }
+
+    // Runs after the whitespace filter so empty chunks never become thinking deltas
+    if (this.emitThinking) {
+      filters.push(this._createThinkingFilter(stats));
+    }
+
+    return filters;
+  }
+
+  /**
+   * Wraps an SSE Response so every parsed `data:` chunk passes through the stream filters.
+   * Filters may drop, modify or emit extra chunks; order is preserved and
+   * onEnd() output is emitted before [DONE] (or when the stream closes).
+   * @param {Response} response - Original streaming Response
+   * @param {StreamFilter[]} filters - Filters applied in order
+   * @returns {Response} New Response with the filtered stream
+   * @private
+   */
+  _wrapSseResponse (response, filters) {
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let ended = false;
+
+    const emit = (controller, chunks) => {
+      for (const chunk of chunks) {
+        controller.enqueue(encoder.encode(`data: ${JSON.stringify(chunk)}\n\n`));
+      }
+    };
+
+    const runFilters = (chunk) => filters.reduce((chunks, filter) => chunks.flatMap(c => filter.onChunk(c)), [chunk]);
+
+    // Flushes every filter; output of filter N still passes through filters N+1..
+    const finish = (controller) => {
+      if (ended) return;
+      ended = true;
+      let pending = [];
+      for (const filter of filters) {
+        pending = pending.flatMap(c => filter.onChunk(c));
+        pending.push(...filter.onEnd());
+      }
+      emit(controller, pending);
+    };
+
+    const processLine = (line, controller) => {
+      if (line.trim() === '') return; // Event separators are regenerated on emit
+
+      if (!line.startsWith('data:')) {
+        controller.enqueue(encoder.encode(`${line}\n`));
+        return;
+      }
+
+      const payload = line.substring(5).trim();
+      if (payload === '[DONE]') {
+        finish(controller);
+        controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+        return;
+      }
+
+      let chunk;
+      try {
+        chunk = JSON.parse(payload);
+      } catch (error) {
+        // Not JSON: pass through untouched
+        controller.enqueue(encoder.encode(`${line}\n\n`));
+        return;
+      }
+      emit(controller, runFilters(chunk));
+    };
+
+    const transform = new TransformStream({
+      transform (value, controller) {
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        lines.forEach(line => processLine(line, controller));
+      },
+      flush (controller) {
+        buffer += decoder.decode();
+        if (buffer) processLine(buffer, controller);
+        finish(controller);
+      }
+    });
+
+    return new Response(response.body.pipeThrough(transform), {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers
+    });
+  }
+}
+
+module.exports = { ZaiTransformerCore, GlmTokenEstimator };
@@ -17,6 +17,8 @@
 //      • GLM 4.5:     96K  (98,304 tokens)
 //      • GLM 4.5-air: 96K  (98,304 tokens)
 //      • GLM 4.5v:    16K  (16,384 tokens)
+//    - Context clamp: max_tokens is lowered so estimated prompt + output fits
+//      the model's contextWindow (never below minOutputTokens)
 //
 // 2. SAMPLING CONTROL (Guaranteed)
 //    - Sets do_sample=true to ensure temperature and top_p always work
@@ -73,12 +75,13 @@
 //   Priority 1 (Highest): Ultrathink → reasoning=true, effort=high (overrides all below)
 //   Priority 2: Custom Tags (<Thinking>/<Effort>) → Direct user control
 //   Priority 3: Global Override (overrideReasoning) → Applied to all models
+//   Priority 3.5: Model Override (options.models[model].reasoning) → Applied to one model
 //   Priority 4: Model Configuration (config.reasoning) → Hardcoded per model (reasoning=true by default)
-//   Priority 5: Claude Code → Only active when NO user conditions (0-3) AND model reasoning=false
+//   Priority 5: Claude Code → Only active when NO user conditions (0-3.5) AND model reasoning=false
 //
 //   NOTE: With default config (reasoning=true for all models), Priority 4 applies model defaults.
 //         Priority 5 (Claude Code's native toggle) only works when:
-//         - No user conditions (Levels 0-3) are active AND
+//         - No user conditions (Levels 0-3.5) are active AND
 //         - Model has reasoning=false in configuration
 //
 // KEYWORD SYSTEM (Independent):
@@ -87,16 +90,81 @@
 //   - Works with any reasoning priority level (1-5)
 //
 // DEBUG FEATURES:
-// - Complete logging to ~/.claude-code-router/logs/zai-transformer-[timestamp].log
+// - Complete logging to [logDirectory]/zai-transformer-[timestamp].log (default: ~/.claude-code-router/logs)
 // - Automatic rotation when file reaches size limit (default: 10 MB)
-// - Rotated files named: zai-transformer-[timestamp]-part[N].log
+// - Rotated files named: zai-transformer-[timestamp]-part[N].log (gzipped with compressRotatedLogs)
+// - Retention (maxLogFiles, maxLogAgeDays, maxTotalLogBytes) applied at startup and after each rotation
+// - Secrets (API keys, bearer tokens, JWTs, AWS keys, PEM private keys, redactPatterns) are
+//   redacted before anything reaches the console or the log file
+// - captureFullStream: reads the whole response and logs the rebuilt message (reasoning, content,
+//   tool calls with parsed arguments, finish_reason, usage); saveRawStream adds a .sse sidecar file
+// - saveFixtures: writes each request (Stage 1 input + Stage 2 output) to a .fixture.json file
+//   that zai-replay.js runs offline through transformRequestIn with any options
 // - Records all decisions and transformations
+// - logFormat: "jsonl" writes zai-transformer-[timestamp].jsonl instead: one JSON record per stage
+//   (request id, model, tags, winning level, sampling values, keywords, message counts, stream summary)
 // - Symbols: [SUCCESS], [ERROR], [WARNING], [INFO], [ENHANCEMENT],
 //            [OMISSION], [NO CHANGES], [TRANSLATION], [APPLIED], [THINKING], [DO_SAMPLE]
 //
-// CCR TYPE DEFINITIONS:
-// Based on: https://github.com/musistudio/llms/blob/main/src/types/llm.ts
-//           https://github.com/musistudio/llms/blob/main/src/types/transformer.ts
+// SHARED CORE (zai-core.js, must sit next to this file):
+//   - ZaiTransformerCore holds the logic both transformers share; this file adds the
+//     constructor, transformRequestIn/transformResponseOut and its diagnostics
+//   - CCR type definitions live there too, based on:
+//     https://github.com/musistudio/llms/blob/main/src/types/llm.ts
+//     https://github.com/musistudio/llms/blob/main/src/types/transformer.ts
+//
+// OPTION VALIDATION (constructor):
+//   - Types and ranges (temperature 0-2, top_p 0-1, max_tokens <= model limit)
+//   - Unknown keys reported with "did you mean" suggestions
+//   - Invalid values are ignored (defaults apply); strictOptions: true refuses to start
+//
+// MODEL NAME RESOLUTION (getModelConfiguration):
+//   - Case-insensitive: "GLM-4.6" → glm-4.6
+//   - Aliases: options.modelAliases = { "glm": "glm-4.6" }
+//   - Strips provider prefix, variant and date suffixes: "zai/glm-4.6:thinking", "glm-4.6-20251001" → glm-4.6
+//   - Family fallback: "glm-4.5-flash" → glm-4.5 (longest configured prefix)
+//   - Otherwise Unknown defaults (reasoning=false)
+//
+// PER-MODEL OVERRIDES (options.models, Level 3.5):
+//   - options.models["glm-4.5-air"] = { reasoning: false, temperature: 0.3, ... }
+//   - Fields: maxTokens, temperature, topP, reasoning, keywordDetection
+//   - Below Global Override (3), above Model Config (4)
+//
+// EXTERNAL MODEL CONFIGURATIONS (modelConfigPath):
+//   - JSON or YAML file merged over the built-in model table (partial entries allowed)
+//   - Watched for changes: edits apply without restarting CCR
+//   - Invalid file → last valid table is kept and the error is reported
+//
+// VISION REROUTING (autoVisionReroute, opt-in, default: false):
+//   - Images in recent user messages → request is sent to visionModel (glm-4.6v)
+//     with that model's maxTokens, temperature and reasoning
+//   - Requests without recent images keep the original model
+//   - Image validation (per-model vision, maxImages, maxImageBytes): images the model
+//     cannot accept are replaced with a text placeholder naming what was removed
+//
+// TOOL SCHEMA SANITIZATION (Per-model: sanitizeToolSchemas, maxToolDescriptionLength):
+//   - Strips keywords GLM handles poorly ($schema, format, additionalProperties, ...)
+//   - Flattens simple unions and optionally caps description lengths
+//
+// TOKEN ESTIMATION:
+//   - GlmTokenEstimator approximates GLM tokenization per block (text, images, tool schemas)
+//   - Exposed as estimateTokens(request); used for the context clamp
+//
+// HISTORY COMPACTION (Opt-in: autoCompact):
+//   - When the prompt exceeds contextWindow - minOutputTokens, shrinks old tool_result
+//     payloads, drops old thinking blocks and collapses stale system-reminders
+//   - The most recent compactProtectedMessages messages are never touched
+//
+// STREAM FILTERS (transformResponseOut):
+//   - Streaming responses are wrapped and each SSE chunk passes through filters
+//   - Whitespace-only reasoning_content chunks are dropped or coalesced
+//     (filterWhitespaceReasoning, default: true) → no empty "Thought for 1s" blocks
+//   - Optional native thinking conversion (emitThinking): reasoning_content → signed
+//     thinking deltas, so "use": ["zai"] alone displays thinking in Claude Code
+//   - Tool-call arguments are buffered per call, validated and repaired
+//     (repairToolCalls, default: true) before the tool call completes
+//   - Arguments are checked against the request's tool schemas and obvious type
+//     mismatches are coerced (toolSchemaValidation, default: true)
 //
 // REFERENCES:
 // - CCR Transformer: https://github.com/musistudio/claude-code-router
@@ -106,251 +174,34 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
 
-/**
- * Cache control settings for messages and content blocks
- * @typedef {Object} CacheControl
- * @property {string} type - Cache control type (e.g., "ephemeral")
- */
-
-/**
- * Image URL container
- * @typedef {Object} ImageUrl
- * @property {string} url - The actual image URL (can be data URL or http/https)
- */
-
-/**
- * Function call details
- * @typedef {Object} FunctionCallDetails
- * @property {string} name - Name of the function to call
- * @property {string} arguments - JSON string of function arguments
- */
-
-/**
- * Thinking/reasoning content block from model
- * @typedef {Object} ThinkingBlock
- * @property {string} content - The thinking/reasoning text
- * @property {string} [signature] - Optional signature for thinking verification
- */
-
-/**
- * Function parameters JSON Schema
- * @typedef {Object} FunctionParameters
- * @property {"object"} type - Always "object" for parameters root
- * @property {Object.<string, any>} properties - Parameter definitions
- * @property {string[]} [required] - List of required parameter names
- * @property {boolean} [additionalProperties] - Allow additional properties
- * @property {string} [$schema] - JSON Schema version
- */
-
-/**
- * Function definition
- * @typedef {Object} FunctionDefinition
- * @property {string} name - Function name (must be unique)
- * @property {string} description - Description of what the function does
- * @property {FunctionParameters} parameters - JSON Schema for function parameters
- */
-
-/**
- * Reasoning configuration
- * @typedef {Object} ReasoningConfig
- * @property {ThinkLevel} [effort] - Reasoning effort level (OpenAI-style)
- * @property {number} [max_tokens] - Maximum tokens for reasoning (Anthropic-style)
- * @property {boolean} [enabled] - Whether reasoning is enabled
- */
-
-/**
- * Transformer configuration item (object form)
- * @typedef {Object} TransformerConfigItem
- * @property {string} name - Transformer name
- * @property {Object} [options] - Transformer options
- */
-
-/**
- * Transformer configuration
- * @typedef {Object} TransformerConfig
- * @property {string|string[]|TransformerConfigItem[]} use - Transformer name(s) or configuration(s)
- */
-
-/**
- * Global overrides configuration
- * @typedef {Object} GlobalOverrides
- * @property {number|null} maxTokens - Override max_tokens for all models (takes precedence over model config)
- * @property {number|null} temperature - Override temperature for all models
- * @property {number|null} topP - Override top_p for all models
- * @property {boolean|null} reasoning - Override reasoning on/off for all models
- * @property {boolean|null} keywordDetection - Override automatic prompt enhancement on/off for all models
- */
-
-/**
- * Text content block in a message
- * @typedef {Object} TextContent
- * @property {"text"} type - Content type identifier
- * @property {string} text - The actual text content
- * @property {CacheControl} [cache_control] - Optional cache control settings
- */
-
-/**
- * Image content block in a message
- * @typedef {Object} ImageContent
- * @property {"image_url"} type - Content type identifier for images
- * @property {ImageUrl} image_url - Image URL container
- * @property {string} media_type - MIME type of the image (e.g., "image/png", "image/jpeg")
- */
-
-/**
- * Union type for message content blocks
- * @typedef {TextContent | ImageContent} MessageContent
- */
-
-/**
- * Tool/function call representation
- * @typedef {Object} ToolCall
- * @property {string} id - Unique identifier for this tool call
- * @property {"function"} type - Always "function" for function calls
- * @property {FunctionCallDetails} function - Function call details
- */
-
-/**
- * Unified message format compatible with multiple LLM providers
- * @typedef {Object} UnifiedMessage
- * @property {"user"|"assistant"|"system"|"tool"} role - Message role in conversation
- * @property {string|null|MessageContent[]} content - Message content (string, null, or structured blocks)
- * @property {ToolCall[]} [tool_calls] - Tool/function calls made by assistant (OpenAI format - reserved for future compatibility)
- * @property {string} [tool_call_id] - ID of tool call this message is responding to for role="tool" (OpenAI format - reserved for future compatibility)
- * @property {CacheControl} [cache_control] - Cache control settings for this message
- * @property {ThinkingBlock} [thinking] - Reasoning/thinking content from model
- */
-
-/**
- * Tool/function definition for LLM
- * @typedef {Object} UnifiedTool
- * @property {"function"} type - Always "function" for function tools
- * @property {FunctionDefinition} function - Function definition
- */
-
-/**
- * Reasoning effort level (OpenAI o1-style)
- * @typedef {"low"|"medium"|"high"} ThinkLevel
- */
-
-/**
- * @typedef {Object} UnifiedChatRequest
- * @property {UnifiedMessage[]} messages - Array of conversation messages
- * @property {string} model - LLM model name
- * @property {number} [max_tokens] - Maximum tokens in response
- * @property {number} [temperature] - Temperature for generation (0.0 - 2.0)
- * @property {number} [top_p] - Top-P nucleus sampling (0.0 - 1.0)
- * @property {boolean} [stream] - Whether response should be streamed
- * @property {UnifiedTool[]} [tools] - Available tools for the model
- * @property {"auto"|"none"|"required"|string|UnifiedTool} [tool_choice] - Tool selection strategy
- * @property {ReasoningConfig} [reasoning] - Reasoning configuration
- * @property {ThinkingConfiguration} [thinking] - Thinking configuration (provider-specific)
- */
-
-/**
- * @typedef {Object} LLMProvider
- * @property {string} name - Provider name
- * @property {string} baseUrl - API base URL
- * @property {string} apiKey - API key
- * @property {string[]} models - Available models
- * @property {TransformerConfig} [transformer] - Transformer configuration
- */
-
-/**
- * @typedef {Object} TransformerContext
- * @property {*} [key] - Additional context for transformer
- */
-
-/**
- * Standard Fetch API Response (also available in Node.js 18+)
- * @typedef {Object} Response
- * @property {boolean} ok - Indicates if response was successful (status 200-299)
- * @property {number} status - HTTP status code
- * @property {string} statusText - HTTP status message
- * @property {Headers} headers - Response headers
- * @property {boolean} redirected - Indicates if response is result of redirect
- * @property {string} type - Response type (basic, cors, etc.)
- * @property {string} url - Response URL
- * @property {function(): Promise<ArrayBuffer>} arrayBuffer - Read body as ArrayBuffer
- * @property {function(): Promise<Blob>} blob - Read body as Blob
- * @property {function(): Promise<FormData>} formData - Read body as FormData
- * @property {function(): Promise<any>} json - Read body as JSON
- * @property {function(): Promise<string>} text - Read body as text
- * @property {ReadableStream} [body] - Body stream
- * @property {boolean} bodyUsed - Indicates if body has been read
- */
-
-/**
- * Model-specific configuration
- * @typedef {Object} ModelConfig
- * @property {number} maxTokens - Maximum output tokens
- * @property {number|null} contextWindow - Maximum input tokens (context)
- * @property {number|null} temperature - Randomness control (0.0-2.0)
- * @property {number|null} topP - Nucleus sampling (0.0-1.0)
- * @property {boolean} reasoning - Whether model supports native reasoning (model decides when to use it)
- * @property {boolean} keywordDetection - Enable automatic prompt enhancement when analytical keywords are detected
- * @property {string} provider - Model provider (Z.AI only)
- */
-
-/**
- * Request body to be modified by reasoning formatter
- * @typedef {Object} RequestBody
- * @property {*} [key] - Dynamic properties for the request body
- */
-
-/**
- * Function that applies provider-specific reasoning format
- * @typedef {function(RequestBody, string): void} ReasoningFormatter
- * @param {RequestBody} body - Request body to modify
- * @param {string} modelName - Model name
- */
-
-/**
- * Dictionary of model configurations indexed by model name
- * @typedef {Record<string, ModelConfig>} ModelConfigurationMap
- */
-
-/**
- * Dictionary of reasoning formatters indexed by provider
- * @typedef {Record<string, ReasoningFormatter>} ReasoningFormatterMap
- */
+// Shared logic and types (ZaiTransformerCore, GlmTokenEstimator, CCR/model typedefs).
+// zai-core.js must sit next to this file in the plugins directory.
+const { ZaiTransformerCore, GlmTokenEstimator } = require('./zai-core.js');
 
 /**
- * Thinking/reasoning configuration for provider
- * @typedef {Object} ThinkingConfiguration
- * @property {string} type - Thinking type (e.g., "enabled")
- * @property {*} [key] - Additional provider-specific properties
+ * Assistant message rebuilt from a whole SSE stream (captureFullStream)
+ * @typedef {Object} CapturedMessage
+ * @property {string|null} role - Role from the first delta
+ * @property {string} content - Concatenated content
+ * @property {string} reasoning - Concatenated reasoning_content (full reasoning text)
+ * @property {Array<{index: number, id: string|null, name: string|null, arguments: string, parsedArguments: Object|null, argumentsStatus: "valid"|"repairable"|"invalid"}>} toolCalls - Tool calls with parsed arguments
+ * @property {string|null} finishReason - Last finish_reason
+ * @property {Object|null} usage - Usage from the final chunk
+ * @property {number} chunks - Network chunks read
+ * @property {number} events - SSE data events parsed
+ * @property {number} bytes - Bytes read
+ * @property {number} parseErrors - data: lines that were not valid JSON
  */
 
 /**
- * Delta content in streaming response
- * @typedef {Object} StreamDelta
- * @property {string} [role] - Message role
- * @property {string} [content] - Content chunk
- * @property {string} [reasoning_content] - Reasoning/thinking content chunk
- * @property {string} [finish_reason] - Reason for completion
- */
-
-/**
- * Choice in streaming response
- * @typedef {Object} StreamChoice
- * @property {StreamDelta} delta - Delta content
- * @property {number} index - Choice index
- */
-
-/**
- * Modified request body to send to provider
- * @typedef {Object} ModifiedRequestBody
- * @property {string} model - Model name
- * @property {number} max_tokens - Maximum tokens
- * @property {number} [temperature] - Temperature setting
- * @property {number} [top_p] - Top-P setting
- * @property {boolean} [do_sample] - Sampling control
- * @property {UnifiedMessage[]} messages - Messages array
- * @property {ThinkingConfiguration} [thinking] - Thinking configuration
- * @property {StreamChoice[]} [choices] - Choices in response (for streaming)
- * @property {*} [key] - Additional dynamic properties
+ * Secret detector used by redact()
+ * @typedef {Object} RedactionPattern
+ * @property {string} name - Detector name, shown as [REDACTED:name]
+ * @property {RegExp} regex - Global regular expression
+ * @property {boolean} [keep] - Keep the first capture group (e.g. "Bearer ", "API_KEY=")
  */
 
 /**
@@ -373,24 +224,53 @@ const os = require('os');
  * @property {boolean} [overrideKeywordDetection] - Override keyword detection globally for all models
  * @property {string[]} [customKeywords] - Custom keywords to add or replace default keywords
  * @property {boolean} [overrideKeywords] - If true, ONLY use customKeywords (ignore defaults); if false, add to defaults
+ * @property {number} [minOutputTokens] - Minimum max_tokens kept when clamping against the context window (default: 4096)
+ * @property {TokenEstimatorOptions} [tokenEstimation] - Per-block cost overrides for the GLM token estimator
+ * @property {boolean} [autoCompact] - Compact old history when the request exceeds the context window (default: false)
+ * @property {number} [compactProtectedMessages] - Most recent messages never touched by compaction (default: 10)
+ * @property {number} [compactToolResultChars] - First-pass character limit for old tool_result payloads (default: 2000)
+ * @property {boolean} [filterWhitespaceReasoning] - Drop/coalesce whitespace-only reasoning_content stream chunks (default: true)
+ * @property {boolean} [emitThinking] - Convert reasoning_content into signed thinking deltas (replaces CCR's `reasoning` transformer, default: false)
+ * @property {boolean} [repairToolCalls] - Buffer streamed tool-call arguments and repair malformed JSON (default: true)
+ * @property {boolean} [toolSchemaValidation] - Validate/coerce tool-call arguments against the request's tool schemas (default: true)
+ * @property {boolean} [autoVisionReroute] - Switch to visionModel when recent messages contain images (default: false)
+ * @property {string} [visionModel] - Model used for requests with images (default: "glm-4.6v")
+ * @property {number} [visionLookbackMessages] - Recent user/tool messages inspected for images (default: 3)
+ * @property {string[]} [imageMimeTypes] - Image MIME types accepted by vision models (default: png, jpeg, jpg, webp)
+ * @property {string} [modelConfigPath] - JSON or YAML file merged over the built-in model configurations
+ * @property {boolean} [watchModelConfig] - Reload modelConfigPath when it changes (default: true)
+ * @property {number} [modelConfigWatchInterval] - Polling interval for modelConfigPath in ms (default: 2000)
+ * @property {Partial<TokenBudget>} [tokenBudget] - Daily/session token limits with soft (reasoning off) and hard (fallback model) thresholds
+ * @property {Object.<string, string>} [modelAliases] - Model name aliases, e.g. { "glm": "glm-4.6" } (case-insensitive)
+ * @property {Object.<string, ModelOverrides>} [models] - Per-model overrides (Level 3.5: below global overrides, above model config)
+ * @property {boolean} [strictOptions] - Refuse to start when an option is invalid or unknown (default: false)
+ * @property {boolean|"basic"|"verbose"} [debug] - Stage 1/2/3 diagnostics: true/"basic" = one line per stage, "verbose" = decision path (zai.js only)
+ * @property {Function|{info: Function}} [logger] - Diagnostics destination (default: CCR's logger, else console) (zai.js only)
  * @property {number} [maxLogSize] - Maximum log file size before rotation (debug only, default: 10 MB)
+ * @property {"text"|"jsonl"} [logFormat] - Log file format: "text" or "jsonl" (one JSON record per stage, debug only, default: "text")
+ * @property {string} [logDirectory] - Log directory (debug only, default: ~/.claude-code-router/logs)
+ * @property {number} [maxLogFiles] - Keep at most N zai-transformer-* log files (debug only, default: no limit)
+ * @property {number} [maxLogAgeDays] - Delete log files older than N days (debug only, default: no limit)
+ * @property {number} [maxTotalLogBytes] - Keep total log size under N bytes (debug only, default: no limit)
+ * @property {boolean} [compressRotatedLogs] - Gzip rotated log parts (debug only, default: false)
+ * @property {boolean} [redactSecrets] - Redact API keys, tokens, JWTs, AWS keys and private keys from logs (debug only, default: true)
+ * @property {string[]} [redactPatterns] - Extra regular expressions to redact (debug only)
+ * @property {boolean} [captureFullStream] - Read the whole response stream and log the rebuilt message (debug only, default: false)
+ * @property {number} [streamPreviewChunks] - Chunks shown one by one in the stream preview (debug only, default: 20)
+ * @property {boolean} [saveRawStream] - Save each response's raw SSE to a .sse sidecar file (debug only, requires captureFullStream)
+ * @property {boolean} [saveFixtures] - Save each request as a JSON fixture for zai-replay.js (debug only, default: false)
  * @property {*} [key] - Allows any additional option
  */
 
-/**
- * Transformer constructor with static name
- * @typedef {Object} TransformerConstructor
- * @property {string} [TransformerName] - Static transformer name (alternative to name property)
- */
-
 /**
  * Z.ai Transformer for Claude Code Router.
  * Translates Claude Code reasoning format to Z.AI-specific format.
  * 
  * @class
+ * @extends ZaiTransformerCore
  * @implements {CCRTransformer}
  */
-class ZaiTransformer {
+class ZaiTransformer extends ZaiTransformerCore {
   /**
    * Transformer name (required by CCR)
    * @type {string}
@@ -402,11 +282,20 @@ class ZaiTransformer {
    * @param {TransformerOptions} options - Configuration options
    */
   constructor (options) {
+    super();
+
     /**
-     * Configuration options
+     * Option validation result (types, ranges, unknown keys).
+     * Reported once the model table is loaded (see _checkOptionLimits).
+     * @type {OptionValidationResult}
+     */
+    this.optionValidation = this._validateOptions(options || {});
+
+    /**
+     * Configuration options (validated: unknown keys and invalid values removed)
      * @type {TransformerOptions}
      */
-    this.options = options || {};
+    this.options = this.optionValidation.options;
 
     /**
      * Default maximum output tokens (fallback for unknown models)
@@ -414,6 +303,108 @@ class ZaiTransformer {
      */
     this.defaultMaxTokens = 131072; // 128K default
 
+    /**
+     * Minimum output tokens kept when max_tokens is clamped against the context window.
+     * Prevents a nearly full context from producing an unusable max_tokens value.
+     * @type {number}
+     */
+    this.minOutputTokens = this.options.minOutputTokens ?? 4096;
+
+    /**
+     * GLM token estimator (messages, system, tools, images)
+     * @type {GlmTokenEstimator}
+     */
+    this.tokenEstimator = new GlmTokenEstimator(this.options.tokenEstimation);
+
+    /**
+     * Automatic history compaction (opt-in).
+     * When the estimated prompt exceeds contextWindow - minOutputTokens, old tool results,
+     * thinking blocks and system-reminders are shrunk until the request fits.
+     * @type {boolean}
+     */
+    this.autoCompact = this.options.autoCompact === true;
+
+    /**
+     * Number of most recent messages protected from compaction
+     * @type {number}
+     */
+    this.compactProtectedMessages = this.options.compactProtectedMessages ?? 10;
+
+    /**
+     * First-pass character limit for old tool_result payloads
+     * @type {number}
+     */
+    this.compactToolResultChars = this.options.compactToolResultChars ?? 2000;
+
+    /**
+     * Drop/coalesce whitespace-only reasoning_content chunks in streaming responses.
+     * Prevents empty "Thought for 1s" blocks in Claude Code.
+     * @type {boolean}
+     */
+    this.filterWhitespaceReasoning = this.options.filterWhitespaceReasoning !== false;
+
+    /**
+     * Convert reasoning_content into Anthropic-style thinking deltas (with signature).
+     * Enables full thinking display with a single "use": ["zai"] (no `reasoning` transformer needed).
+     * @type {boolean}
+     */
+    this.emitThinking = this.options.emitThinking === true;
+
+    /**
+     * Buffer streamed tool-call arguments per call and repair malformed GLM JSON
+     * (trailing commas, single quotes, unescaped newlines, truncated closing braces).
+     * @type {boolean}
+     */
+    this.repairToolCalls = this.options.repairToolCalls !== false;
+
+    /**
+     * Validate tool-call arguments against the request's tool JSON Schemas,
+     * coercing obvious type mismatches ("5" → 5, "true" → true) and dropping
+     * unknown properties when additionalProperties is false.
+     * @type {boolean}
+     */
+    this.toolSchemaValidation = this.options.toolSchemaValidation !== false;
+
+    /**
+     * Per-request records (request number, tool schemas) keyed by CCR's HTTP request object
+     * (context.req), which CCR passes to both transformRequestIn and transformResponseOut.
+     * Each response is matched to its own request, even when requests overlap (subagents).
+     * @type {WeakMap<Object, RequestRecord>}
+     */
+    this.requestRecords = new WeakMap();
+
+    /**
+     * Record of the last request, used for responses received without a CCR context
+     * @type {RequestRecord|null}
+     */
+    this.lastRequestRecord = null;
+
+    /**
+     * Automatic vision rerouting: requests whose recent user/tool messages contain
+     * images are sent to visionModel instead of a text-only model.
+     * Opt-in (default: false): it changes the upstream model of existing setups.
+     * @type {boolean}
+     */
+    this.autoVisionReroute = this.options.autoVisionReroute === true;
+
+    /**
+     * Model used for requests with images
+     * @type {string}
+     */
+    this.visionModel = this.options.visionModel || 'glm-4.6v';
+
+    /**
+     * Number of recent user/tool messages inspected for images
+     * @type {number}
+     */
+    this.visionLookbackMessages = this.options.visionLookbackMessages ?? 3;
+
+    /**
+     * Image MIME types accepted by vision models
+     * @type {string[]}
+     */
+    this.imageMimeTypes = this.options.imageMimeTypes || ['image/png', 'image/jpeg', 'image/jpg', 'image/webp'];
+
     /**
      * Force Permanent Thinking - MAXIMUM PRIORITY (Level 0)
      * When enabled, forces reasoning=true + effort=high on EVERY user message.
@@ -439,6 +430,21 @@ class ZaiTransformer {
       keywordDetection: this.options.overrideKeywordDetection != null ? this.options.overrideKeywordDetection : null
     };
 
+    /**
+     * Model name aliases (alias → model table name), matched case-insensitively.
+     * @type {Object.<string, string>}
+     */
+    this.modelAliases = Object.fromEntries(
+      Object.entries(this.options.modelAliases || {}).map(([alias, target]) => [alias.toLowerCase(), target])
+    );
+
+    /**
+     * Per-model overrides (Level 3.5) - options.models["glm-4.5-air"] = { reasoning: false, ... }.
+     * Below global overrides, above model configuration.
+     * @type {Object.<string, ModelOverrides>}
+     */
+    this.modelOverrides = this.options.models || {};
+
     /**
      * Log buffer for asynchronous writing (avoids blocking event loop)
      * Protected against memory leaks: auto-flushes at 1000 items or every 100ms
@@ -459,6 +465,82 @@ class ZaiTransformer {
      */
     this.maxLogSize = this.options.maxLogSize || 10 * 1024 * 1024; // 10 MB
 
+    /**
+     * Log file format: "text" (human-readable, default) or "jsonl" (one JSON record per stage).
+     * In jsonl mode the console still shows the text log; the file only contains records.
+     * @type {"text"|"jsonl"}
+     */
+    this.logFormat = this.options.logFormat === 'jsonl' ? 'jsonl' : 'text';
+
+    /**
+     * Log file extension for the current format
+     * @type {string}
+     */
+    this.logExtension = this.logFormat === 'jsonl' ? 'jsonl' : 'log';
+
+    /**
+     * Log retention, applied at startup and after each rotation (null = no limit).
+     * Only zai-transformer-* files in logDirectory are considered; the current file is never deleted.
+     * @type {{maxFiles: number|null, maxAgeDays: number|null, maxTotalBytes: number|null}}
+     */
+    this.logRetention = {
+      maxFiles: this.options.maxLogFiles ?? null,
+      maxAgeDays: this.options.maxLogAgeDays ?? null,
+      maxTotalBytes: this.options.maxTotalLogBytes ?? null
+    };
+
+    /**
+     * Gzip rotated parts (zai-transformer-[timestamp]-part[N].log.gz)
+     * @type {boolean}
+     */
+    this.compressRotatedLogs = this.options.compressRotatedLogs === true;
+
+    /**
+     * Secret redaction (options.redactSecrets, default: true): every log line and
+     * JSONL record passes through redact() before reaching the console or logBuffer
+     * @type {boolean}
+     */
+    this.redactSecrets = this.options.redactSecrets !== false;
+
+    /**
+     * Redaction detectors: built-in formats plus options.redactPatterns (user regexes)
+     * @type {RedactionPattern[]}
+     */
+    this.redactionPatterns = this._createRedactionPatterns(this.options.redactPatterns || []);
+
+    /**
+     * Number of secrets redacted this session
+     * @type {number}
+     */
+    this.redactionCount = 0;
+
+    /**
+     * Stream capture: false = preview of the first streamPreviewChunks chunks (then cancel),
+     * true = read the whole cloned stream and rebuild the final assistant message
+     * @type {boolean}
+     */
+    this.captureFullStream = this.options.captureFullStream === true;
+
+    /**
+     * Chunks shown one by one in the [STREAMING] block (default: 20)
+     * @type {number}
+     */
+    this.streamPreviewChunks = this.options.streamPreviewChunks ?? 20;
+
+    /**
+     * Save the raw SSE of each response to [logDirectory]/zai-transformer-[timestamp]-req[N].sse
+     * (secrets redacted). Requires captureFullStream.
+     * @type {boolean}
+     */
+    this.saveRawStream = this.options.saveRawStream === true;
+
+    /**
+     * Save each request to [logDirectory]/zai-transformer-[timestamp]-req[N].fixture.json
+     * (Stage 1 input + Stage 2 output, secrets redacted) for offline replay with zai-replay.js
+     * @type {boolean}
+     */
+    this.saveFixtures = this.options.saveFixtures === true;
+
     /**
      * Session start timestamp (for log file names)
      * @type {string}
@@ -478,6 +560,120 @@ class ZaiTransformer {
       */
     this.requestCounter = 0;
 
+    /**
+     * True while explain() runs transformRequestIn(): diagnostics are silenced
+     * @type {boolean}
+     */
+    this.explaining = false;
+
+    /**
+     * Time each streamed response (first byte, first reasoning/content/tool call,
+     * reasoning duration, throughput) on a clone of the stream (default: false)
+     * @type {boolean}
+     */
+    this.latencyMetrics = this.options.latencyMetrics === true;
+
+    /**
+     * Per-model latency totals for this session (see getLatencyStats)
+     * @type {Map<string, Object>}
+     */
+    this.latencyTotals = new Map();
+
+    /**
+     * Session id (usage accounting): start timestamp + process id
+     * @type {string}
+     */
+    this.sessionStartedAt = new Date().toISOString();
+    this.sessionId = `${this.sessionStartedAt.replace(/:/g, '-').replace(/\..+/, '')}-${process.pid}`;
+
+    /**
+     * Read usage (prompt, completion, cached tokens) from every response and keep
+     * totals per session, per day, per model and per hierarchy level (default: false, turned on by tokenBudget)
+     * @type {boolean}
+     */
+    this.trackUsage = this.options.trackUsage === true;
+
+    /**
+     * Usage state file (default: ~/.claude-code-router/zai-usage.json, ~ is expanded)
+     * @type {string}
+     */
+    this.usageFile = this.options.usageFile
+      ? path.resolve(this.options.usageFile.replace(/^~(?=$|[\\/])/, os.homedir()))
+      : path.join(os.homedir(), '.claude-code-router', 'zai-usage.json');
+
+    /**
+     * Days of day totals and sessions kept in the usage file (default: 31)
+     * @type {number}
+     */
+    this.usageHistoryDays = this.options.usageHistoryDays ?? 31;
+
+    /**
+     * Last usage state written (or read) by this instance
+     * @type {UsageState|null}
+     */
+    this.usageState = null;
+
+    /**
+     * Usage entries not yet written to usageFile (another process holds its lock)
+     * @type {Array<{model: string, level: string, day: string, entry: UsageBucket}>}
+     */
+    this.usagePending = [];
+
+    /**
+     * Retry timer of the usage file write while the lock is busy (null if none)
+     * @type {NodeJS.Timeout|null}
+     */
+    this.usageRetryTimer = null;
+
+    /**
+     * Write the statusline state file after every request and response (default: false)
+     * @type {boolean}
+     */
+    this.writeState = this.options.writeState === true;
+
+    /**
+     * Directory of the statusline state files (default: ~/.claude-code-router/zai-state, ~ is expanded)
+     * @type {string}
+     */
+    this.stateDirectory = this.options.stateDirectory
+      ? path.resolve(this.options.stateDirectory.replace(/^~(?=$|[\\/])/, os.homedir()))
+      : path.join(os.homedir(), '.claude-code-router', 'zai-state');
+
+    /**
+     * Last state written per Claude Code session (key: Claude Code or transformer session id)
+     * @type {Map<string, Object>}
+     */
+    this.sessionStates = new Map();
+
+    /**
+     * Whether old state files were already pruned by this instance
+     * @type {boolean}
+     */
+    this.stateFilesPruned = false;
+
+    /**
+     * Token budget: daily and/or per-session limits on the tracked usage (null if not configured).
+     * Past softThreshold reasoning is turned off (softAction), past hardThreshold requests
+     * are also rerouted to fallbackModel. Thresholds are fractions of the limit.
+     * @type {TokenBudget|null}
+     */
+    const budget = this.options.tokenBudget;
+    this.tokenBudget = budget && (budget.dailyTokens || budget.sessionTokens)
+      ? {
+          dailyTokens: budget.dailyTokens ?? null,
+          sessionTokens: budget.sessionTokens ?? null,
+          softThreshold: budget.softThreshold ?? 0.8,
+          hardThreshold: budget.hardThreshold ?? 1,
+          softAction: budget.softAction || 'disable-reasoning',
+          fallbackModel: budget.fallbackModel || 'glm-4.5-air'
+        }
+      : null;
+
+    // The budget is measured on the tracked usage
+    if (this.tokenBudget) {
+      this.trackUsage = true;
+    }
+
     /**
       * WeakSet to track which Response objects have been processed for stream reading
       * @type {WeakSet<Response>}
@@ -493,7 +689,8 @@ class ZaiTransformer {
 
     /**
      * Model configurations by provider.
-     * Defines maxTokens, contextWindow, temperature, topP, reasoning, keywordDetection, provider.
+     * Defines maxTokens, contextWindow, temperature, topP, reasoning, keywordDetection,
+     * vision, maxImages, maxImageBytes, sanitizeToolSchemas, maxToolDescriptionLength, provider.
      * @type {ModelConfigurationMap}
      */
     this.modelConfigurations = {
@@ -507,6 +704,11 @@ class ZaiTransformer {
         topP: 0.95,                     // Official value
         reasoning: true,                // Supports native reasoning (model decides when to use it)
         keywordDetection: true,         // Enable automatic prompt enhancement when analytical keywords detected
+        vision: false,                  // Text-only: images replaced with a placeholder
+        maxImages: null,
+        maxImageBytes: null,
+        sanitizeToolSchemas: true,      // Rewrite tool schemas into the subset Z.AI handles reliably
+        maxToolDescriptionLength: null, // No description length cap
         provider: 'Z.AI'
       },
 
@@ -518,6 +720,11 @@ class ZaiTransformer {
         topP: 0.95,                     // Official value
         reasoning: true,                // Supports native reasoning (model decides when to use it)
         keywordDetection: true,         // Enable automatic prompt enhancement when analytical keywords detected
+        vision: false,                  // Text-only: images replaced with a placeholder
+        maxImages: null,
+        maxImageBytes: null,
+        sanitizeToolSchemas: true,      // Rewrite tool schemas into the subset Z.AI handles reliably
+        maxToolDescriptionLength: null, // No description length cap
         provider: 'Z.AI'
       },
 
@@ -529,6 +736,11 @@ class ZaiTransformer {
         topP: 0.95,                     // Official value
         reasoning: true,                // Supports native reasoning (model decides when to use it)
         keywordDetection: true,         // Enable automatic prompt enhancement when analytical keywords detected
+        vision: false,                  // Text-only: images replaced with a placeholder
+        maxImages: null,
+        maxImageBytes: null,
+        sanitizeToolSchemas: true,      // Rewrite tool schemas into the subset Z.AI handles reliably
+        maxToolDescriptionLength: null, // No description length cap
         provider: 'Z.AI'
       },
 
@@ -540,6 +752,11 @@ class ZaiTransformer {
         topP: 0.95,                     // Official value
         reasoning: true,                // Supports native reasoning (model decides when to use it)
         keywordDetection: true,         // Enable automatic prompt enhancement when analytical keywords detected
+        vision: true,                   // Accepts image blocks
+        maxImages: 5,                   // Most recent images kept per request
+        maxImageBytes: 5 * 1024 * 1024, // 5 MB per image (decoded)
+        sanitizeToolSchemas: true,      // Rewrite tool schemas into the subset Z.AI handles reliably
+        maxToolDescriptionLength: null, // No description length cap
         provider: 'Z.AI'
       },
 
@@ -551,10 +768,42 @@ class ZaiTransformer {
         topP: 0.95,                     // Official value
         reasoning: true,                // Supports native reasoning (model decides when to use it)
         keywordDetection: true,         // Enable automatic prompt enhancement when analytical keywords detected
+        vision: true,                   // Accepts image blocks
+        maxImages: 5,                   // Most recent images kept per request
+        maxImageBytes: 5 * 1024 * 1024, // 5 MB per image (decoded)
+        sanitizeToolSchemas: true,      // Rewrite tool schemas into the subset Z.AI handles reliably
+        maxToolDescriptionLength: null, // No description length cap
         provider: 'Z.AI'
       }
     };
 
+    /**
+     * Built-in model table (base for options.modelConfigPath merges)
+     * @type {ModelConfigurationMap}
+     */
+    this.builtinModelConfigurations = this.modelConfigurations;
+
+    /**
+     * External model configuration file (JSON or YAML), merged over the built-in table
+     * and watched for changes (hot reload).
+     * @type {string|null}
+     */
+    this.modelConfigPath = this.options.modelConfigPath
+      ? path.resolve(this.options.modelConfigPath.replace(/^~(?=$|[\\/])/, os.homedir()))
+      : null;
+
+    /**
+     * Last model configuration file error (null if the last load succeeded)
+     * @type {string|null}
+     */
+    this.modelConfigError = null;
+
+    /**
+     * This instance's entry in the shared watcher of modelConfigPath (null if not watching)
+     * @type {WeakRef<Object>|null}
+     */
+    this.modelConfigWatchRef = null;
+
     /**
      * Reasoning formats by provider.
      * Z.AI uses thinking, format: {type: "enabled"}
@@ -619,26 +868,102 @@ class ZaiTransformer {
 
     this.keywords = overrideKeywords ? customKeywords : [...defaultKeywords, ...customKeywords];
 
+    /**
+     * Log directory (options.logDirectory, default: ~/.claude-code-router/logs)
+     * @type {string}
+     */
+    this.logDirectory = this.options.logDirectory
+      ? path.resolve(this.options.logDirectory.replace(/^~(?=$|[\\/])/, os.homedir()))
+      : path.join(os.homedir(), '.claude-code-router', 'logs');
+    if (!fs.existsSync(this.logDirectory)) {
+      fs.mkdirSync(this.logDirectory, { recursive: true });
+    }
+
     /**
      * Path to debug log file
      * Each session creates its own timestamped file:
-     * ~/.claude-code-router/logs/zai-transformer-[timestamp].log
+     * [logDirectory]/zai-transformer-[timestamp].log
      * 
      * Rotates automatically when reaching size limit (default: 10 MB)
-     * Rotated files: zai-transformer-[timestamp]-part[N].log
+     * Rotated files: zai-transformer-[timestamp]-part[N].log (.log.gz with compressRotatedLogs)
      * @type {string}
      */
-    const logsDirectory = path.join(os.homedir(), '.claude-code-router', 'logs');
-    if (!fs.existsSync(logsDirectory)) {
-      fs.mkdirSync(logsDirectory, { recursive: true });
-    }
-
-    // Each session has its own timestamped file from the start
-    this.logFile = path.join(logsDirectory, `zai-transformer-${this.sessionTimestamp}.log`);
+    this.logFile = path.join(this.logDirectory, `zai-transformer-${this.sessionTimestamp}.${this.logExtension}`);
 
     this.log('[START] Z.ai Transformer (Debug) initialized');
     this.log(`[CONFIG] Log file: ${this.logFile}`);
     this.log(`[CONFIG] Maximum size per file: ${(this.maxLogSize / 1024 / 1024).toFixed(1)} MB`);
+    this.log(`[CONFIG] Log format: ${this.logFormat}`);
+
+    // Delete old logs beyond the retention limits
+    this.applyLogRetention();
+
+    // Load external model configurations (if configured) and watch for changes
+    this.loadModelConfigurations();
+
+    // Report invalid/unknown options (strictOptions: refuse to start on errors)
+    this._checkOptionLimits(this.optionValidation);
+    this.logRecord('session', {
+      logFile: this.logFile,
+      modelConfigPath: this.modelConfigPath,
+      optionErrors: this.optionValidation.errors,
+      optionWarnings: this.optionValidation.warnings
+    });
+    this._reportOptionValidation();
+
+    this._watchModelConfigurations();
+  }
+
+  /**
+   * Builds the redaction detectors: built-in secret formats, then user regexes.
+   * Invalid user regexes are reported as option errors.
+   * @param {string[]} userPatterns - options.redactPatterns (regex sources, applied with the "g" flag)
+   * @returns {RedactionPattern[]} Detectors, applied in order
+   * @private
+   */
+  _createRedactionPatterns (userPatterns) {
+    // `keep` = leading capture group kept in the output (e.g. the "Bearer " prefix or a variable name)
+    const patterns = [
+      { name: 'private-key', regex: /-----BEGIN [A-Z ]*PRIVATE KEY-----(?:[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----|[A-Za-z0-9+/=\s\\]*)/g },
+      { name: 'jwt', regex: /\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+      { name: 'bearer', regex: /(\bBearer\s+)[A-Za-z0-9._~+/=-]{8,}/gi, keep: true },
+      { name: 'aws-access-key', regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+      { name: 'aws-secret', regex: /(aws_secret_access_key\s*[=:]\s*["']?)[A-Za-z0-9/+=]{40}/gi, keep: true },
+      { name: 'api-key', regex: /\b(?:sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}|gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,}|xox[abprs]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35}|(?:sk|rk)_(?:live|test)_[0-9a-zA-Z]{16,})/g },
+      { name: 'zai-key', regex: /\b[0-9a-f]{32}\.[A-Za-z0-9]{16}\b/g },
+      // .env style (uppercase names only, so "max_tokens: 131072" is not a secret)
+      { name: 'secret-assignment', regex: /(\b[A-Z0-9_]*(?:API_KEY|APIKEY|SECRET|TOKEN(?!S)|PASSWORD|PASSWD|PRIVATE_KEY)[A-Z0-9_]*\s*[=:]\s*["']?)(?!\[REDACTED:)[^\s"'\\]{6,}/g, keep: true },
+      { name: 'secret-field', regex: /(\\?"(?:api[_-]?key|apikey|authorization|x-api-key|access[_-]?token|refresh[_-]?token|client[_-]?secret|secret|password|token)\\?"\s*:\s*\\?")(?!\[REDACTED:)[^"\\]{4,}/gi, keep: true }
+    ];
+
+    userPatterns.forEach((source, index) => {
+      try {
+        patterns.push({ name: `custom-${index + 1}`, regex: new RegExp(source, 'g') });
+      } catch (error) {
+        this.optionValidation.errors.push(`redactPatterns[${index}]: invalid regular expression (${error.message}) - ignored`);
+      }
+    });
+
+    return patterns;
+  }
+
+  /**
+   * Replaces secrets in text with [REDACTED:<detector>]
+   * @param {string} text - Text to scrub
+   * @returns {string} Text without secrets
+   */
+  redact (text) {
+    if (!this.redactSecrets || !text) return text;
+
+    let result = text;
+    for (const { name, regex, keep } of this.redactionPatterns) {
+      regex.lastIndex = 0;
+      result = result.replace(regex, (match, prefix) => {
+        this.redactionCount++;
+        return `${keep && typeof prefix === 'string' ? prefix : ''}[REDACTED:${name}]`;
+      });
+    }
+    return result;
   }
 
   /**
@@ -653,12 +978,46 @@ class ZaiTransformer {
    * @param {string} message - Message to log
    */
   log (message) {
-    const line = `${message}\n`;
+    // explain() runs silently
+    if (this.explaining) return;
+
+    // Redact secrets before anything reaches the console or the buffer
+    const line = `${this.redact(String(message))}\n`;
     console.log(line.trimEnd());
 
+    // JSONL log files only contain records (see logRecord)
+    if (this.logFormat === 'jsonl') return;
+
     // Add to buffer instead of writing immediately
     this.logBuffer.push(line);
+    this._scheduleFlush();
+  }
+
+  /**
+   * Writes one JSON record to the log file (logFormat: "jsonl" only).
+   * Every record has type, time and session; stage records also carry requestId.
+   * Query with jq, e.g.: jq 'select(.type == "stage" and .stage == 2) | .level' *.jsonl
+   * @param {string} type - Record type ("session", "stage", "rotation")
+   * @param {Object} record - Record fields
+   */
+  logRecord (type, record) {
+    if (this.logFormat !== 'jsonl' || this.explaining) return;
+
+    let line;
+    try {
+      line = JSON.stringify({ type, time: new Date().toISOString(), session: this.sessionTimestamp, ...record });
+    } catch (error) {
+      line = JSON.stringify({ type, time: new Date().toISOString(), session: this.sessionTimestamp, error: `Record not serializable: ${error.message}` });
+    }
+    this.logBuffer.push(`${this.redact(line)}\n`);
+    this._scheduleFlush();
+  }
 
+  /**
+   * Schedules the asynchronous flush of the log buffer
+   * @private
+   */
+  _scheduleFlush () {
     // Force flush if buffer grows too large (prevent memory leaks)
     if (this.logBuffer.length > 1000) {
       this.flushLogs();
@@ -685,14 +1044,24 @@ class ZaiTransformer {
 
           // Create new name with session timestamp + rotation counter
           const baseName = `zai-transformer-${this.sessionTimestamp}-part${this.rotationCounter}`;
-          const rotatedPath = path.join(path.dirname(this.logFile), `${baseName}.log`);
+          const rotatedPath = path.join(path.dirname(this.logFile), `${baseName}.${this.logExtension}`);
 
           // Rename current log
           fs.renameSync(this.logFile, rotatedPath);
           const message = `   [LOG ROTATION] Size limit reached (${(stats.size / 1024 / 1024).toFixed(2)} MB) - Continuing in: ${path.basename(this.logFile)}`;
           console.log(message);
           // Create new file with continuation message (file was just renamed, so now it doesn't exist)
-          fs.writeFileSync(this.logFile, `${message}\n   [CONTINUATION] Log file part ${this.rotationCounter + 1}\n`);
+          const continuation = this.logFormat === 'jsonl'
+            ? `${JSON.stringify({ type: 'rotation', time: new Date().toISOString(), session: this.sessionTimestamp, part: this.rotationCounter + 1, previous: path.basename(rotatedPath) })}\n`
+            : `${message}\n   [CONTINUATION] Log file part ${this.rotationCounter + 1}\n`;
+          fs.writeFileSync(this.logFile, continuation);
+
+          // Compress the rotated part in the background, then apply retention
+          if (this.compressRotatedLogs) {
+            this._compressLogFile(rotatedPath);
+          } else {
+            this.applyLogRetention();
+          }
         }
       }
     } catch (error) {
@@ -701,6 +1070,83 @@ class ZaiTransformer {
     }
   }
 
+  /**
+   * Gzips a rotated log part (file.log → file.log.gz) without blocking the event loop,
+   * then applies log retention
+   * @param {string} filePath - Rotated log file
+   * @private
+   */
+  _compressLogFile (filePath) {
+    const gzPath = `${filePath}.gz`;
+    pipeline(fs.createReadStream(filePath), zlib.createGzip(), fs.createWriteStream(gzPath), (error) => {
+      if (error) {
+        console.error(`   [LOG COMPRESSION ERROR] ${path.basename(filePath)}: ${error.message}`);
+        fs.rm(gzPath, { force: true }, () => this.applyLogRetention());
+        return;
+      }
+      fs.unlink(filePath, () => this.applyLogRetention());
+    });
+  }
+
+  /**
+   * Deletes old zai-transformer-* logs in logDirectory beyond the retention limits
+   * (maxLogAgeDays, then maxLogFiles, then maxTotalLogBytes - oldest first).
+   * The current log file is never deleted and counts toward the limits.
+   * @returns {{deleted: string[], freedBytes: number}} Deleted file names and bytes freed
+   */
+  applyLogRetention () {
+    const result = { deleted: [], freedBytes: 0 };
+    const { maxFiles, maxAgeDays, maxTotalBytes } = this.logRetention;
+    if (maxFiles === null && maxAgeDays === null && maxTotalBytes === null) return result;
+
+    try {
+      const currentName = path.basename(this.logFile);
+      const files = fs.readdirSync(this.logDirectory)
+        .filter(name => /^zai-transformer-.+\.(log|jsonl|sse|fixture\.json)(\.gz)?$/.test(name) && name !== currentName)
+        .map(name => {
+          const stats = fs.statSync(path.join(this.logDirectory, name));
+          return { name, size: stats.size, mtimeMs: stats.mtimeMs };
+        })
+        .sort((a, b) => b.mtimeMs - a.mtimeMs); // Newest first
+
+      const keep = [];
+      const remove = [];
+      const minMtime = maxAgeDays !== null ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : -Infinity;
+      let totalBytes = fs.existsSync(this.logFile) ? fs.statSync(this.logFile).size : 0;
+
+      for (const file of files) {
+        const tooOld = file.mtimeMs < minMtime;
+        const tooMany = maxFiles !== null && keep.length + 1 >= maxFiles; // +1: current file
+        const tooBig = maxTotalBytes !== null && totalBytes + file.size > maxTotalBytes;
+        if (tooOld || tooMany || tooBig) {
+          remove.push(file);
+        } else {
+          keep.push(file);
+          totalBytes += file.size;
+        }
+      }
+
+      for (const file of remove) {
+        try {
+          fs.unlinkSync(path.join(this.logDirectory, file.name));
+          result.deleted.push(file.name);
+          result.freedBytes += file.size;
+        } catch (error) {
+          // File may be gone already (another CCR instance)
+        }
+      }
+    } catch (error) {
+      console.error(`   [LOG RETENTION ERROR] ${error.message}`);
+      return result;
+    }
+
+    if (result.deleted.length > 0) {
+      this.log(`[RETENTION] Deleted ${result.deleted.length} old log file(s), ${(result.freedBytes / 1024 / 1024).toFixed(2)} MB freed (maxLogFiles=${maxFiles ?? '-'}, maxLogAgeDays=${maxAgeDays ?? '-'}, maxTotalLogBytes=${maxTotalBytes ?? '-'})`);
+      this.logRecord('retention', { deleted: result.deleted, freedBytes: result.freedBytes });
+    }
+    return result;
+  }
+
   /**
    * Writes log buffer to file asynchronously
    * @private
@@ -782,77 +1228,221 @@ class ZaiTransformer {
   }
 
   /**
-   * Gets model-specific configuration
-   * @param {string} modelName - Model name
-   * @returns {ModelConfig} Model configuration or default values
+   * Schema of transformer options: type, range and nested fields.
+   * Types: boolean, number, integer, string, enum (allowed), logger, array (items), object (fields or values).
+   * @returns {Object.<string, OptionRule>} Rules by option name
+   * @private
    */
-  getModelConfiguration (modelName) {
-    const config = this.modelConfigurations[modelName];
-
-    if (!config) {
-      // If model not configured, use default values
-      return {
-        maxTokens: this.defaultMaxTokens,
-        contextWindow: null,
-        temperature: null,
-        topP: null,
-        reasoning: false,          // Default: does NOT support reasoning
-        keywordDetection: false,   // Default: keyword detection disabled
-        provider: 'Unknown'
-      };
+  _getOptionSchema () {
+    const modelOverrideFields = {
+      maxTokens: { type: 'integer', min: 1 },
+      temperature: { type: 'number', min: 0, max: 2 },
+      topP: { type: 'number', min: 0, max: 1 },
+      reasoning: { type: 'boolean' },
+      keywordDetection: { type: 'boolean' }
+    };
+
+    return {
+      forcePermanentThinking: { type: 'boolean' },
+      overrideMaxTokens: { type: 'integer', min: 0 },
+      overrideTemperature: { type: 'number', min: 0, max: 2 },
+      overrideTopP: { type: 'number', min: 0, max: 1 },
+      overrideReasoning: { type: 'boolean' },
+      overrideKeywordDetection: { type: 'boolean' },
+      customKeywords: { type: 'array', items: { type: 'string' } },
+      overrideKeywords: { type: 'boolean' },
+      minOutputTokens: { type: 'integer', min: 1 },
+      tokenEstimation: {
+        type: 'object',
+        fields: {
+          imageTokens: { type: 'number', min: 0 },
+          messageOverhead: { type: 'number', min: 0 },
+          toolOverhead: { type: 'number', min: 0 },
+          charsPerWordToken: { type: 'number', min: 1 }
+        }
+      },
+      autoCompact: { type: 'boolean' },
+      compactProtectedMessages: { type: 'integer', min: 0 },
+      compactToolResultChars: { type: 'integer', min: 0 },
+      filterWhitespaceReasoning: { type: 'boolean' },
+      emitThinking: { type: 'boolean' },
+      repairToolCalls: { type: 'boolean' },
+      toolSchemaValidation: { type: 'boolean' },
+      autoVisionReroute: { type: 'boolean' },
+      visionModel: { type: 'string' },
+      visionLookbackMessages: { type: 'integer', min: 1 },
+      imageMimeTypes: { type: 'array', items: { type: 'string' } },
+      modelConfigPath: { type: 'string' },
+      watchModelConfig: { type: 'boolean' },
+      latencyMetrics: { type: 'boolean' },
+      trackUsage: { type: 'boolean' },
+      usageFile: { type: 'string' },
+      usageHistoryDays: { type: 'integer', min: 1 },
+      writeState: { type: 'boolean' },
+      stateDirectory: { type: 'string' },
+      tokenBudget: {
+        type: 'object',
+        fields: {
+          dailyTokens: { type: 'integer', min: 1 },
+          sessionTokens: { type: 'integer', min: 1 },
+          softThreshold: { type: 'number', min: 0 },
+          hardThreshold: { type: 'number', min: 0 },
+          softAction: { type: 'enum', allowed: ['lower-effort', 'disable-reasoning'] },
+          fallbackModel: { type: 'string' }
+        }
+      },
+      modelConfigWatchInterval: { type: 'integer', min: 100 },
+      modelAliases: { type: 'object', values: { type: 'string' } },
+      models: { type: 'object', values: { type: 'object', fields: modelOverrideFields } },
+      strictOptions: { type: 'boolean' },
+      debug: { type: 'enum', allowed: [false, true, 'basic', 'verbose'] }, // zai.js only (same config.json works for both)
+      logger: { type: 'logger' }, // zai.js only (same config.json works for both)
+      maxLogSize: { type: 'integer', min: 1024 }, // Debug transformer only (same config.json works for both)
+      logFormat: { type: 'enum', allowed: ['text', 'jsonl'] }, // Debug transformer only
+      logDirectory: { type: 'string' }, // Debug transformer only
+      maxLogFiles: { type: 'integer', min: 1 }, // Debug transformer only
+      maxLogAgeDays: { type: 'number', min: 0 }, // Debug transformer only
+      maxTotalLogBytes: { type: 'integer', min: 1024 }, // Debug transformer only
+      compressRotatedLogs: { type: 'boolean' }, // Debug transformer only
+      redactSecrets: { type: 'boolean' }, // Debug transformer only
+      redactPatterns: { type: 'array', items: { type: 'string' } }, // Debug transformer only
+      captureFullStream: { type: 'boolean' }, // Debug transformer only
+      streamPreviewChunks: { type: 'integer', min: 0 }, // Debug transformer only
+      saveRawStream: { type: 'boolean' }, // Debug transformer only
+      saveFixtures: { type: 'boolean' } // Debug transformer only
+    };
+  }
+
+  /**
+   * Logs option validation problems.
+   * With strictOptions, any error stops the transformer from starting.
+   * @throws {Error} If strictOptions is true and an option is invalid
+   * @private
+   */
+  _reportOptionValidation () {
+    const { errors, warnings, strict } = this.optionValidation;
+    if (errors.length === 0 && warnings.length === 0) {
+      this.log(`[OPTIONS] All options valid${strict ? ' (strict)' : ''}`);
+      return;
+    }
+    this.log(`[OPTIONS] ${errors.length} error(s), ${warnings.length} warning(s)${strict ? ' (strict)' : ''}`);
+    for (const warning of warnings) {
+      this.log(`   [OPTION WARNING] ${warning}`);
     }
+    for (const error of errors) {
+      this.log(`   [OPTION ERROR] ${error}`);
+    }
+    if (strict && errors.length > 0) {
+      this.flushLogs();
+      throw new Error(`[zai-debug] ${errors.length} invalid option(s) with strictOptions enabled: ${errors.join('; ')}`);
+    }
+  }
 
-    return config;
+  /**
+   * Loads options.modelConfigPath and merges it over the built-in table.
+   * On error the last valid table is kept and the error is reported.
+   * @returns {boolean} true if the file was loaded (or no file is configured)
+   */
+  loadModelConfigurations () {
+    if (!this.modelConfigPath) return true;
+
+    try {
+      const text = fs.readFileSync(this.modelConfigPath, 'utf8');
+      const table = this._parseModelConfigFile(text, this.modelConfigPath);
+      this.modelConfigurations = this._mergeModelConfigurations(table);
+      this.modelConfigError = null;
+      this.log(`[CONFIG] Model configurations loaded from ${this.modelConfigPath} (${Object.keys(table).length} entries merged, ${Object.keys(this.modelConfigurations).length} models total)`);
+      return true;
+    } catch (error) {
+      this.modelConfigError = error.message;
+      this.log(`[ERROR] Invalid model configuration file "${this.modelConfigPath}": ${error.message} - keeping last valid configuration`);
+      return false;
+    } finally {
+      this.flushLogs();
+    }
   }
 
   /**
-   * Detects if text contains keywords requiring reasoning
-   * @param {string} text - Text to analyze
-   * @returns {boolean} true if keywords detected
+   * Stops watching modelConfigPath for this instance (scripts, tests, replaced instances).
+   * The file watcher itself stops once no instance uses it.
    */
-  detectReasoningNeeded (text) {
-    if (!text) return false;
+  close () {
+    super.close();
 
-    const lowerText = text.toLowerCase();
-    return this.keywords.some(keyword => lowerText.includes(keyword));
+    // Write pending log lines
+    this.flushLogs();
   }
 
   /**
-   * Extracts text content from a message (handles both string and array formats)
-   * @param {UnifiedMessage} message - Message to extract text from
-   * @returns {string} Extracted text or empty string
+   * Counts messages by role (for JSONL records)
+   * @param {UnifiedMessage[]} [messages] - Request messages
+   * @returns {Object.<string, number>} { total, user, assistant, ... }
    * @private
    */
-  _extractMessageText (message) {
-    if (typeof message.content === 'string') {
-      return message.content;
-    } else if (Array.isArray(message.content)) {
-      return message.content
-        .filter(c => c.type === 'text' && c.text)
-        .map(c => c.text)
-        .join(' ');
+  _countMessageRoles (messages) {
+    const counts = { total: 0 };
+    if (!Array.isArray(messages)) return counts;
+    for (const message of messages) {
+      const role = (message && message.role) || 'unknown';
+      counts.total++;
+      counts[role] = (counts[role] || 0) + 1;
     }
-    return '';
+    return counts;
   }
 
   /**
-   * Enhances prompt by adding reasoning instructions
-   * @param {string} content - Original prompt content
-   * @param {boolean} isUltrathink - If Ultrathink mode is active
-   * @returns {string} Enhanced content with reasoning instructions
+   * Copies everything zai-replay.js needs to run transformRequestIn offline.
+   * Provider keeps only name, baseUrl and models (never the API key);
+   * context keeps only primitive values (the HTTP request object is not serializable).
+   * @param {UnifiedChatRequest} request - Request received from Claude Code
+   * @param {LLMProvider} provider - LLM provider information
+   * @param {TransformerContext} context - Context
+   * @returns {{request: Object, provider: Object|null, context: Object}} Deep copy of the input
+   * @private
    */
-  modifyPromptForReasoning (content, isUltrathink = false) {
-    let reasoningInstruction;
+  _createFixtureInput (request, provider, context) {
+    const primitives = {};
+    this.safeKeys(context || {}).forEach(key => {
+      const value = context[key];
+      if (['string', 'number', 'boolean'].includes(typeof value)) primitives[key] = value;
+    });
 
-    if (isUltrathink) {
-      // Ultrathink active: intensive instructions with explanation and memory warning
-      reasoningInstruction = "\n\n[IMPORTANT: ULTRATHINK mode activated. (ULTRATHINK is the user's keyword requesting exceptionally thorough analysis from you as an AI model.) This means: DO NOT rely on your memory or assumptions - read and analyze everything carefully as if seeing it for the first time. Break down the problem step by step showing your complete reasoning, analyze each aspect meticulously by reading the actual current content (things may have changed since you last saw them), consider multiple perspectives and alternative approaches, verify logic coherence at each stage, and present well-founded conclusions with maximum level of detail based on what you actually read, not what you remember.]\n\n";
-    } else {
-      // Normal mode: standard instructions
-      reasoningInstruction = "\n\n[IMPORTANT: This question requires careful analysis. Think step by step and show your detailed reasoning before answering.]\n\n";
-    }
+    return {
+      request: JSON.parse(JSON.stringify(request)),
+      provider: provider ? { name: provider.name, baseUrl: provider.baseUrl, models: provider.models } : null,
+      context: primitives
+    };
+  }
+
+  /**
+   * Writes a request fixture (Stage 1 input + Stage 2 output) next to the log (secrets redacted)
+   * @param {number} requestId - Request number
+   * @param {{request: Object, provider: Object|null, context: Object}} input - Snapshot from _createFixtureInput()
+   * @param {ModifiedRequestBody} output - Body returned to CCR
+   * @private
+   */
+  _saveFixture (requestId, input, output) {
+    const { logger, ...options } = this.options; // Functions are not serializable
+    const fixture = {
+      fixtureVersion: 1,
+      transformer: 'zai-debug',
+      session: this.sessionTimestamp,
+      requestId,
+      time: new Date().toISOString(),
+      options,
+      provider: input.provider,
+      context: input.context,
+      request: input.request,
+      output
+    };
 
-    return reasoningInstruction + content;
+    const fixturePath = path.join(this.logDirectory, `zai-transformer-${this.sessionTimestamp}-req${requestId}.fixture.json`);
+    fs.writeFile(fixturePath, this.redact(JSON.stringify(fixture, null, 2)), (error) => {
+      if (error) {
+        console.error(`   [FIXTURE ERROR] ${error.message}`);
+      }
+    });
+    this.log(`   [FIXTURE] Saved to ${fixturePath} (replay: node zai-replay.js "${fixturePath}")`);
   }
 
   /**
@@ -861,7 +1451,7 @@ class ZaiTransformer {
    * 
    * @param {UnifiedChatRequest} request - Claude Code request
    * @param {LLMProvider} provider - LLM provider information
-   * @param {TransformerContext} context - Context (contains HTTP request)
+   * @param {TransformerContext} context - Context (contains HTTP request, links the response to this request)
    * @returns {Promise<ModifiedRequestBody>} Optimized body for provider
    */
   async transformRequestIn (request, provider, context) {
@@ -875,6 +1465,9 @@ class ZaiTransformer {
 
     const currentRequestId = this.requestCounter;
 
+    // Snapshot of the untouched input (transformations below modify messages in place)
+    const fixtureInput = this.saveFixtures && !this.explaining ? this._createFixtureInput(request, provider, context) : null;
+
     this.log('');
     this.log('╔═══════════════════════════════════════════════════════════════════════════════════════════════════╗');
     this.log(`   [STAGE 1/3] INPUT: Claude Code → CCR → transformRequestIn() [Request #${currentRequestId}]`);
@@ -929,6 +1522,9 @@ class ZaiTransformer {
     this.log(`   max_tokens: ${request.max_tokens !== undefined ? request.max_tokens : 'undefined'}`);
     this.log(`   stream: ${request.stream}`);
 
+    // Estimate prompt tokens (GLM estimator) for message previews and totals
+    const inputEstimate = this.estimateTokens(request);
+
     // Show message preview (roles and content length) - inline with other properties
     if (request.messages && request.messages.length > 0) {
       this.log(`   messages: ${request.messages.length} messages`);
@@ -951,7 +1547,7 @@ class ZaiTransformer {
 
         const contentLength = textContent.length;
         const preview = textContent.substring(0, 50).replace(/\n/g, ' ');
-        this.log(`    [${idx}] ${role}: ${contentLength} chars - "${preview}${contentLength > 50 ? '...' : ''}"`);
+        this.log(`    [${idx}] ${role}: ${contentLength} chars, ~${inputEstimate.perMessage[idx]} tokens - "${preview}${contentLength > 50 ? '...' : ''}"`);
       });
     } else {
       this.log(`   messages: undefined`);
@@ -972,6 +1568,21 @@ class ZaiTransformer {
 
     this.log(`   tool_choice: ${request.tool_choice !== undefined ? request.tool_choice : 'undefined'}`);
     this.log(`   reasoning: ${this.safeJSON(request.reasoning, 3, '   ') || 'undefined'}`);
+    this.log(`   [TOKENS] Estimated prompt: ~${inputEstimate.total} (messages ${inputEstimate.messages}, system ${inputEstimate.system}, tools ${inputEstimate.tools}, images ${inputEstimate.images} / ${inputEstimate.imageCount})`);
+
+    this.logRecord('stage', {
+      stage: 1,
+      requestId: currentRequestId,
+      provider: provider?.name || null,
+      model: request.model,
+      maxTokens: request.max_tokens ?? null,
+      stream: request.stream ?? null,
+      reasoning: request.reasoning ?? null,
+      messages: this._countMessageRoles(request.messages),
+      tools: Array.isArray(request.tools) ? request.tools.length : 0,
+      estimatedTokens: inputEstimate.total,
+      images: inputEstimate.imageCount
+    });
     this.log('');
 
     // Extra properties
@@ -984,149 +1595,179 @@ class ZaiTransformer {
       this.log(`   [EXTRAS]: ${this.safeJSON(unknownProperties, 3, '   ')}`);
     }
 
-    const modelName = request.model || 'UNKNOWN';
+    // Reroute to the vision model when recent messages contain images
+    // maxTokens, temperature and reasoning then come from the vision model's configuration
+    const visionRoute = this._resolveVisionRoute(request);
+    let modelName = visionRoute.model;
+
+    // Token budget past the hard threshold: reroute to the fallback model (replaces the vision model too),
+    // unless recent messages contain images and the fallback model has no vision (the images would be dropped)
+    const budget = this._checkTokenBudget();
+    if (budget) {
+      this.log(`   [BUDGET] ${budget.scope} ${budget.used}/${budget.limit} tokens (${Math.round(budget.ratio * 100)}%) - ${budget.state === 'ok' ? 'below the soft threshold' : `${budget.state} threshold reached`}`);
+    }
+    if (budget && budget.state === 'hard' && this.tokenBudget.fallbackModel !== modelName && visionRoute.imageCount > 0 &&
+      this.getModelConfiguration(this.tokenBudget.fallbackModel).vision !== true) {
+      this.log(`   [BUDGET] Reroute to ${this.tokenBudget.fallbackModel} skipped: ${visionRoute.imageCount} image(s) in recent messages and the fallback model has no vision`);
+      this.logRecord('budget', {
+        requestId: currentRequestId,
+        state: budget.state,
+        scope: budget.scope,
+        used: budget.used,
+        limit: budget.limit,
+        ratio: budget.ratio,
+        action: 'reroute',
+        threshold: 'hard',
+        from: modelName,
+        to: this.tokenBudget.fallbackModel,
+        skipped: 'images'
+      });
+    } else if (budget && budget.state === 'hard' && this.tokenBudget.fallbackModel !== modelName) {
+      const downgrade = { action: 'reroute', threshold: 'hard', from: modelName, to: this.tokenBudget.fallbackModel };
+      budget.downgrades.push(downgrade);
+      this._reportBudgetDowngrade(currentRequestId, budget, downgrade);
+      modelName = downgrade.to;
+    }
     const config = this.getModelConfiguration(modelName);
 
+    // Log how the model name was matched to the model table
+    const modelResolution = this.resolveModelName(modelName);
+    if (modelResolution.match === 'default') {
+      this.log(`   [MODEL RESOLUTION] "${modelName}" → no configuration found, using Unknown defaults (reasoning=false, maxTokens=${config.maxTokens}) - check the router entry or add options.modelAliases`);
+    } else if (modelResolution.match === 'exact') {
+      this.log(`   [MODEL RESOLUTION] "${modelName}" → "${modelResolution.resolved}" (exact)`);
+    } else {
+      this.log(`   [MODEL RESOLUTION] "${modelName}" → "${modelResolution.resolved}" (${modelResolution.match}: ${modelResolution.steps.join(' → ')})`);
+    }
+
+    // Remember tool schemas to validate tool-call arguments in the response
+    const toolSchemas = this._collectToolSchemas(request.tools);
+    const record = { requestId: currentRequestId, toolSchemas };
+    this._storeRequestRecord(context, record);
+    if (this.toolSchemaValidation && toolSchemas.size > 0) {
+      this.log(`   [TOOL SCHEMAS] ${toolSchemas.size} schema(s) stored for response validation`);
+    }
+
     // Create copy of request with optimized parameters
-    // Global override has the highest priority: globalOverrides.maxTokens ?? config.maxTokens ?? defaultMaxTokens
-    // Use nullish coalescing (??) to allow 0 as valid override value
-    const finalMaxTokens = this.globalOverrides.maxTokens ?? config.maxTokens;
+    // Layers: globalOverrides.maxTokens > options.models[model].maxTokens > config.maxTokens
+    const modelOverrides = this._getModelOverrides(modelName);
+    const maxTokensSetting = this._resolveSetting('maxTokens', modelOverrides, config);
+    const finalMaxTokens = maxTokensSetting.value;
+    if (Object.keys(modelOverrides).length > 0) {
+      this.log(`   [MODEL OVERRIDES] ${modelName}: ${JSON.stringify(modelOverrides)}`);
+    }
 
     const modifiedRequest = {
       ...request,
       max_tokens: finalMaxTokens
     };
 
+    if (modelName !== visionRoute.model) {
+      // Token budget reroute (logged above), the fallback model's configuration applies
+      modifiedRequest.model = modelName;
+    } else if (visionRoute.rerouted) {
+      modifiedRequest.model = modelName;
+      this.log(`   [VISION REROUTE] ${visionRoute.imageCount} image(s) in recent messages → model "${visionRoute.from}" → "${modelName}" (config from ${modelName})`);
+    } else if (visionRoute.imageCount > 0) {
+      this.log(`   [VISION] ${visionRoute.imageCount} image(s) in recent messages, model "${modelName}" kept`);
+    }
+
     // Log max_tokens setting (global override or model-specific)
-    if (this.globalOverrides.maxTokens) {
-      this.log(`   [GLOBAL OVERRIDE] max_tokens: ${this.globalOverrides.maxTokens} (overrides model default)`);
+    if (maxTokensSetting.source === 'global override') {
+      this.log(`   [GLOBAL OVERRIDE] max_tokens: ${finalMaxTokens} (overrides model default)`);
+    } else if (maxTokensSetting.source === 'model override') {
+      this.log(`   [MODEL OVERRIDE] max_tokens: ${finalMaxTokens} (options.models["${modelName}"])`);
     } else if (request.max_tokens !== config.maxTokens) {
       this.log(`   [OVERRIDE] Original max_tokens: ${request.max_tokens} → Override to ${finalMaxTokens}`);
     }
     // max_tokens already set in line 984, no need to reassign
 
-    // Detect custom tags in user messages
-    // Priority: Force Permanent Thinking (0) > Ultrathink (1) > User Tags (2) > Global Override (3) > Model Config (4) > Claude Code (5)
-    let ultrathinkDetected = false;
-    let thinkingTag = null; // 'On', 'Off'
-    let effortTag = null; // 'Low', 'Medium', 'High'
+    // Detect custom tags in user messages and resolve the reasoning hierarchy
+    // Priority: Force Permanent Thinking (0) > Ultrathink (1) > User Tags (2) > Global Override (3) > Model Override (3.5) > Model Config (4) > Claude Code (5)
+    // The decision is recorded for explain() and the statusline state file
+    record.reasoning = this._resolveReasoning(request, modelOverrides, config);
+    const { tags, level } = record.reasoning;
+    const lastTag = type => tags.filter(tag => tag.type === type).pop();
+    const ultrathinkDetected = tags.some(tag => tag.type === 'ultrathink');
+    const thinkingTag = lastTag('thinking')?.value ?? null; // 'On', 'Off' (most recent)
+    const effortTag = lastTag('effort')?.value ?? null; // 'Low', 'Medium', 'High' (most recent)
+    const detectedTags = tags.map(tag => ({ // { tag, message } for the JSONL record
+      tag: tag.type === 'ultrathink' ? 'Ultrathink' : `${tag.type === 'thinking' ? 'Thinking' : 'Effort'}:${tag.value}`,
+      message: tag.messageIndex
+    }));
 
     this.log('');
     this.log('   [CUSTOM TAGS] Searching for tags in user messages...');
 
     // Search for tags in ALL user messages (most recent takes precedence)
     if (request.messages && Array.isArray(request.messages)) {
-      for (let i = 0; i < request.messages.length; i++) {
-        const message = request.messages[i];
-        if (message.role === 'user') {
-          const messageText = this._extractMessageText(message);
-
-          // Skip system-reminders
-          if (messageText.trim().startsWith('<system-reminder>')) {
-            this.log(`   [SYSTEM] Message ${i} ignored (system-reminder)`);
-            continue;
-          }
-
-          // Detect Ultrathink (case insensitive)
-          if (/\bultrathink\b/i.test(messageText)) {
-            ultrathinkDetected = true;
-            this.log(`   [TAG DETECTED] Ultrathink found in message ${i} (will be KEPT in message)`);
-          }
-
-          // Detect Thinking tags (English only)
-          const thinkingMatch = messageText.match(/<Thinking:(On|Off)>/i);
-          if (thinkingMatch) {
-            thinkingTag = thinkingMatch[1]; // Capture: On, Off
-            this.log(`   [TAG DETECTED] <Thinking:${thinkingTag}> in message ${i}`);
-          }
-
-          // Detect Effort tags (English only)
-          const effortMatch = messageText.match(/<Effort:(Low|Medium|High)>/i);
-          if (effortMatch) {
-            effortTag = effortMatch[1]; // Capture: Low, Medium, High
-            this.log(`   [TAG DETECTED] <Effort:${effortTag}> in message ${i}`);
-          }
+      request.messages.forEach((message, i) => {
+        if (message.role === 'user' && this._extractMessageText(message).trim().startsWith('<system-reminder>')) {
+          this.log(`   [SYSTEM] Message ${i} ignored (system-reminder)`);
         }
-      }
+      });
     }
+    tags.forEach(tag => {
+      if (tag.type === 'ultrathink') {
+        this.log(`   [TAG DETECTED] Ultrathink found in message ${tag.messageIndex} (will be KEPT in message)`);
+      } else {
+        this.log(`   [TAG DETECTED] <${tag.type === 'thinking' ? 'Thinking' : 'Effort'}:${tag.value}> in message ${tag.messageIndex}`);
+      }
+    });
 
-    if (!ultrathinkDetected && !thinkingTag && !effortTag) {
+    if (tags.length === 0) {
       this.log('   [INFO] No custom tags detected in messages');
     }
 
-    // Determine effective reasoning based on priority
-    let effectiveReasoning = false;
-    let effortLevel = "high"; // Default
+    // Effective reasoning from the winning level
+    // Claude Code (5) only passes its own reasoning field through (see below)
+    let effectiveReasoning = level.priority < 5 && level.reasoning === true;
+    const effortLevel = level.effort || 'high';
 
     this.log('');
     this.log('   [REASONING] Determining effective configuration...');
 
     // 0. Force Permanent Thinking (MAXIMUM PRIORITY - Nuclear Option)
-    if (this.forcePermanentThinking) {
-      effectiveReasoning = true;
-      effortLevel = "high";
+    if (level.priority === 0) {
       this.log('   [PRIORITY 0] ⚠️  Force Permanent Thinking ACTIVE → reasoning=true, effort=high (MAXIMUM PRIORITY - overrides EVERYTHING)');
     }
     // 1. Ultrathink (highest priority, overrides EVERYTHING except forcePermanentThinking)
-    else if (ultrathinkDetected) {
-      effectiveReasoning = true;
-      effortLevel = "high";
+    else if (level.priority === 1) {
       this.log('   [PRIORITY 1] Ultrathink detected → reasoning=true, effort=high (highest priority)');
     }
     // 2. User Tags
-    else if (thinkingTag || effortTag) {
+    else if (level.priority === 2) {
       this.log('   [PRIORITY 2] User Tags detected:');
 
-      // If there's a Thinking tag
-      if (thinkingTag) {
-        const thinkingLower = thinkingTag.toLowerCase();
-        if (thinkingLower === 'off') {
-          // Thinking explicitly OFF
-          // HIERARCHY: Effort tag has HIGHER priority than Thinking:Off
-          // If effort tag present, it overrides Thinking:Off and enables reasoning
-          effectiveReasoning = !!effortTag;
-          if (effortTag) {
-            this.log(`   <Thinking:${thinkingTag}> but <Effort:${effortTag}> present → reasoning=true (Effort overrides Thinking:Off)`);
-          } else {
-            this.log(`   <Thinking:${thinkingTag}> → reasoning=false (explicitly disabled)`);
-          }
-        } else if (thinkingLower === 'on') {
-          // Thinking explicitly ON
-          effectiveReasoning = true;
-          this.log(`   <Thinking:${thinkingTag}> → reasoning=true`);
+      // HIERARCHY: Effort tag has HIGHER priority than Thinking:Off
+      if (thinkingTag && thinkingTag.toLowerCase() === 'off') {
+        if (effortTag) {
+          this.log(`   <Thinking:${thinkingTag}> but <Effort:${effortTag}> present → reasoning=true (Effort overrides Thinking:Off)`);
+        } else {
+          this.log(`   <Thinking:${thinkingTag}> → reasoning=false (explicitly disabled)`);
         }
-      }
-      // If NO thinking tag but there IS effort tag, assume reasoning ON
-      else if (effortTag) {
-        effectiveReasoning = true;
+      } else if (thinkingTag) {
+        this.log(`   <Thinking:${thinkingTag}> → reasoning=true`);
+      } else {
         this.log(`   <Effort:${effortTag}> without Thinking tag → reasoning=true (effort implies reasoning)`);
       }
 
-      // Map effort tag to standard values (if exists)
       if (effortTag) {
-        const effortLower = effortTag.toLowerCase();
-        if (effortLower === 'low') {
-          effortLevel = "low";
-        } else if (effortLower === 'medium') {
-          effortLevel = "medium";
-        } else if (effortLower === 'high') {
-          effortLevel = "high";
-        }
         this.log(`   Effort level mapped: ${effortTag} → ${effortLevel}`);
       } else {
         this.log(`   No Effort tag, using default: ${effortLevel}`);
       }
     }
     // 3. Global Override
-    else if (this.globalOverrides.reasoning !== null) {
-      effectiveReasoning = this.globalOverrides.reasoning;
-      effortLevel = "high";
+    else if (level.priority === 3) {
       this.log(`   [PRIORITY 3] Global Override: reasoning=${this.globalOverrides.reasoning} → reasoning=${effectiveReasoning}, effort=high`);
     }
+    // 3.5. Model Override (options.models)
+    else if (level.priority === 3.5) {
+      this.log(`   [PRIORITY 3.5] Model Override: options.models["${modelName}"].reasoning=${modelOverrides.reasoning} → reasoning=${effectiveReasoning}, effort=high`);
+    }
     // 4. Model Config
-    else if (config.reasoning === true) {
-      effectiveReasoning = true;
-      effortLevel = "high";
+    else if (level.priority === 4) {
       this.log(`   [PRIORITY 4] Model config: reasoning=${config.reasoning} → reasoning=true, effort=high`);
     } else {
       this.log(`   [DEFAULT] No tags, no global override, model config reasoning=${config.reasoning} → reasoning=false`);
@@ -1206,11 +1847,11 @@ class ZaiTransformer {
     // Separate user-initiated conditions from model configuration
     this.log('');
     this.log('   [REASONING FIELD] Adding reasoning field to request...');
-    const hasUserConditions = this.forcePermanentThinking || ultrathinkDetected || thinkingTag || effortTag || this.globalOverrides.reasoning !== null;
+    const hasUserConditions = level.priority < 4;
 
     if (hasUserConditions) {
-      // User explicitly set reasoning (Levels 0-3): override everything
-      this.log(`   [INFO] User conditions detected (Levels 0-3), overriding reasoning`);
+      // User explicitly set reasoning (Levels 0-3.5): override everything
+      this.log(`   [INFO] User conditions detected (Levels 0-3.5), overriding reasoning`);
       if (effectiveReasoning) {
         modifiedRequest.reasoning = {
           enabled: true,
@@ -1235,7 +1876,7 @@ class ZaiTransformer {
       }
     } else if (config.reasoning === true) {
       // No user conditions but model supports reasoning (Level 4): use model default
-      // effectiveReasoning is always true here (set in line 1113)
+      // effectiveReasoning is always true here (level 4 enables reasoning)
       this.log(`   [INFO] No user conditions, using model configuration (Level 4)`);
       modifiedRequest.reasoning = {
         enabled: true,
@@ -1274,14 +1915,28 @@ class ZaiTransformer {
       }
     }
 
-    // Add temperature (global override takes priority)
-    const finalTemperature = this.globalOverrides.temperature !== null ? this.globalOverrides.temperature : config.temperature;
+    // Token budget past the soft threshold: disable reasoning or lower effort
+    // Applies on top of every hierarchy level, forcePermanentThinking and Ultrathink included
+    if (budget && budget.state !== 'ok') {
+      const change = this._downgradeReasoning(modifiedRequest);
+      if (change) {
+        const downgrade = { action: this.tokenBudget.softAction, threshold: 'soft', ...change };
+        budget.downgrades.push(downgrade);
+        this._reportBudgetDowngrade(currentRequestId, budget, downgrade);
+        effectiveReasoning = modifiedRequest.reasoning.enabled; // No keyword enhancement without reasoning
+      }
+    }
+
+    // Add temperature (global override > model override > model config)
+    const temperatureSetting = this._resolveSetting('temperature', modelOverrides, config);
+    const finalTemperature = temperatureSetting.value;
     if (finalTemperature !== null) {
       modifiedRequest.temperature = finalTemperature;
     }
 
-    // Add topP (global override takes priority)
-    const finalTopP = this.globalOverrides.topP !== null ? this.globalOverrides.topP : config.topP;
+    // Add topP (global override > model override > model config)
+    const topPSetting = this._resolveSetting('topP', modelOverrides, config);
+    const finalTopP = topPSetting.value;
     if (finalTopP !== null) {
       modifiedRequest.top_p = finalTopP;
     }
@@ -1297,6 +1952,7 @@ class ZaiTransformer {
 
     let keywordsDetectedInConversation = false;
     let messageWithKeywords = -1; // Index of message containing keywords
+    let promptEnhanced = false;
 
     if (request.messages && Array.isArray(request.messages)) {
       for (let i = 0; i < request.messages.length; i++) {
@@ -1337,12 +1993,11 @@ class ZaiTransformer {
 
     // Apply prompt enhancement if keywords were detected
     if (request.messages && Array.isArray(request.messages) && keywordsDetectedInConversation) {
-      // Apply global override for keywordDetection if set
-      const finalKeywordDetection = this.globalOverrides.keywordDetection !== null
-        ? this.globalOverrides.keywordDetection
-        : config.keywordDetection;
+      // Apply global/model override for keywordDetection if set
+      const keywordSetting = this._resolveSetting('keywordDetection', modelOverrides, config);
+      const finalKeywordDetection = keywordSetting.value;
 
-      this.log(`   [CONFIGURATION] reasoning=${effectiveReasoning} | keywordDetection=${finalKeywordDetection}${this.globalOverrides.keywordDetection !== null ? ' (GLOBAL)' : ''}`);
+      this.log(`   [CONFIGURATION] reasoning=${effectiveReasoning} | keywordDetection=${finalKeywordDetection} (${keywordSetting.source})`);
 
       // Only enhance prompt if reasoning is active AND detection enabled
       if (effectiveReasoning && finalKeywordDetection) {
@@ -1364,16 +2019,8 @@ class ZaiTransformer {
               continue;
             }
 
-            // Create simple hash of message for identification
-            let messageHash = 0;
-            for (let j = 0; j < messageText.length; j++) {
-              const char = messageText.charCodeAt(j);
-              messageHash = ((messageHash << 5) - messageHash) + char;
-              messageHash = messageHash & messageHash; // Convert to 32bit integer
-            }
-            const hashHex = (messageHash >>> 0).toString(16).toUpperCase().padStart(8, '0');
-
-            this.log(`   [LAST USER MESSAGE] Message ${i} - Hash: ${hashHex}`);
+            // Hash of message for identification (same hash as zai.js verbose diagnostics)
+            this.log(`   [LAST USER MESSAGE] Message ${i} - Hash: ${this._hashText(messageText)}`);
             this.log(`   "${messageText.substring(0, 100).replace(/\n/g, '↕')}${messageText.length > 100 ? '...' : ''}"`);
 
             // Modify the prompt of the last valid message
@@ -1401,6 +2048,7 @@ class ZaiTransformer {
             }
 
             modifiedRequest.messages[i] = modifiedMessage;
+            promptEnhanced = true;
             this.log('   [COMPLETED] Reasoning instructions added to the last message prompt');
 
             // Already modified the last valid message, exit loop
@@ -1417,6 +2065,61 @@ class ZaiTransformer {
       }
     }
 
+    // Validate images against the model's vision capability and limits
+    const imageDecisions = this._processImages(modifiedRequest, config, modelName);
+    if (imageDecisions.length > 0) {
+      this.log('');
+      this.log(`   [IMAGES] ${imageDecisions.length} image(s) checked (vision=${config.vision}, maxImages=${config.maxImages ?? 'none'}, maxImageBytes=${config.maxImageBytes ?? 'none'})`);
+      imageDecisions.forEach(decision => {
+        const size = decision.bytes == null ? 'unknown size' : `${decision.bytes} bytes`;
+        if (decision.action === 'kept') {
+          this.log(`   [KEPT] Message ${decision.message}: ${decision.mime || 'unknown type'}, ${size}`);
+        } else {
+          this.log(`   [REMOVED] Message ${decision.message}: ${decision.mime || 'unknown type'}, ${size} - ${decision.reason}`);
+        }
+      });
+    }
+
+    // Sanitize tool schemas for Z.AI (per-model, original schemas kept for response validation)
+    const toolSanitization = this._sanitizeTools(request.tools, config);
+    if (toolSanitization.changes.length > 0) {
+      modifiedRequest.tools = toolSanitization.tools;
+    }
+    if (config.sanitizeToolSchemas && request.tools) {
+      this.log('');
+      this.log('   [TOOL SCHEMAS] Sanitizing tool definitions for Z.AI...');
+      if (toolSanitization.changes.length === 0) {
+        this.log('   [NO CHANGES] All tool schemas already compatible');
+      } else {
+        toolSanitization.changes.forEach(tool => {
+          this.log(`   [REWRITTEN] ${tool.name} (${tool.changes.length} change(s))`);
+          tool.changes.forEach(change => this.log(`    ${change}`));
+        });
+      }
+    }
+
+    // Compact old history if the request exceeds the context window (opt-in)
+    const compaction = this._compactHistory(modifiedRequest, config);
+    if (this.autoCompact) {
+      this.log('');
+      this.log('   [COMPACTION] Checking history against context window...');
+      if (compaction.applied) {
+        this.log(`   [COMPACTED] ~${compaction.beforeTokens} → ~${compaction.afterTokens} tokens (target ${compaction.targetTokens}, protected tail ${this.compactProtectedMessages} messages)`);
+        this.log(`    └─ Tool results shrunk: ${compaction.toolResultsShrunk} | Thinking blocks dropped: ${compaction.thinkingDropped} | System-reminders collapsed: ${compaction.remindersCollapsed} | Chars elided: ${compaction.charsElided}`);
+        if (!compaction.fits) {
+          this.log('   [WARNING] Still over target after compaction (protected tail too large)');
+        }
+      } else if (compaction.beforeTokens > 0 && !compaction.fits) {
+        this.log(`   [WARNING] ~${compaction.beforeTokens} tokens exceeds target ${compaction.targetTokens} but nothing compactable outside the protected tail`);
+      } else {
+        this.log('   [INFO] Request fits, no compaction needed');
+      }
+    }
+
+    // Clamp max_tokens so estimated prompt + output fits the context window
+    // Runs last so tag removal and prompt enhancement are already reflected
+    const contextClamp = this._clampMaxTokensToContext(modifiedRequest, config);
+
     this.log('╚═══════════════════════════════════════════════════════════════════════════════════════════════════╝');
 
     // ========================================
@@ -1432,11 +2135,29 @@ class ZaiTransformer {
     this.log('   [OUTPUT] Body to be sent to provider:');
     this.log(`   model: "${modifiedRequest.model}"`);
     this.log(`   max_tokens: ${modifiedRequest.max_tokens}`);
+    if (contextClamp.contextWindow) {
+      const contextSummary = `prompt ~${contextClamp.promptTokens} tokens, context window ${contextClamp.contextWindow}, available ${contextClamp.availableTokens}`;
+      if (contextClamp.clamped) {
+        this.log(`    └─ [CONTEXT CLAMP] ${contextClamp.originalMaxTokens} → ${contextClamp.finalMaxTokens} (${contextSummary}, floor ${this.minOutputTokens})`);
+      } else {
+        this.log(`    └─ [CONTEXT] Fits (${contextSummary})`);
+      }
+    } else {
+      this.log(`    └─ [CONTEXT] No contextWindow configured, clamp skipped`);
+    }
     this.log(`   temperature: ${modifiedRequest.temperature || 'undefined'}`);
     this.log(`   top_p: ${modifiedRequest.top_p || 'undefined'}`);
     this.log(`   do_sample: true`);
     this.log(`   stream: ${modifiedRequest.stream}`);
 
+    // Show which configuration layer supplied each final value
+    const reasoningSource = `${level.name} (${level.priority})`;
+    const keywordSource = this._resolveSetting('keywordDetection', modelOverrides, config).source;
+    this.log(`   [SOURCES] max_tokens: ${maxTokensSetting.source} | temperature: ${temperatureSetting.source} | top_p: ${topPSetting.source} | reasoning: ${reasoningSource} | keywordDetection: ${keywordSource}`);
+
+    // Estimate prompt tokens of the final body
+    const outputEstimate = this.estimateTokens(modifiedRequest);
+
     // Show message preview (roles and content length)
     if (modifiedRequest.messages && modifiedRequest.messages.length > 0) {
       this.log(`   messages: ${modifiedRequest.messages.length} messages`);
@@ -1458,7 +2179,7 @@ class ZaiTransformer {
 
         const contentLength = textContent.length;
         const preview = textContent.substring(0, 50).replace(/\n/g, ' ');
-        this.log(`    [${idx}] ${role}: ${contentLength} chars - "${preview}${contentLength > 50 ? '...' : ''}"`);
+        this.log(`    [${idx}] ${role}: ${contentLength} chars, ~${outputEstimate.perMessage[idx]} tokens - "${preview}${contentLength > 50 ? '...' : ''}"`);
       });
     } else {
       this.log(`   messages: undefined`);
@@ -1479,6 +2200,7 @@ class ZaiTransformer {
 
     this.log(`   tool_choice: ${modifiedRequest.tool_choice || 'undefined'}`);
     this.log(`   thinking: ${this.safeJSON(modifiedRequest.thinking, 3, '   ') || 'undefined'}`);
+    this.log(`   [TOKENS] Estimated prompt: ~${outputEstimate.total} (messages ${outputEstimate.messages}, system ${outputEstimate.system}, tools ${outputEstimate.tools}, images ${outputEstimate.images} / ${outputEstimate.imageCount})`);
 
     // Extra properties (show any other properties that might have been passed through or added)
     const knownOutputProperties = [
@@ -1505,21 +2227,331 @@ class ZaiTransformer {
     this.log('╚═══════════════════════════════════════════════════════════════════════════════════════════════════╝');
     this.log('');
 
+    this.logRecord('stage', {
+      stage: 2,
+      requestId: currentRequestId,
+      model: modifiedRequest.model,
+      requestedModel: request.model,
+      resolvedModel: modelResolution.resolved,
+      modelMatch: modelResolution.match,
+      visionReroute: visionRoute.rerouted,
+      tags: detectedTags,
+      level: reasoningSource,
+      reasoning: modifiedRequest.reasoning ?? null,
+      thinking: modifiedRequest.thinking ?? null,
+      sampling: {
+        maxTokens: modifiedRequest.max_tokens,
+        temperature: modifiedRequest.temperature ?? null,
+        topP: modifiedRequest.top_p ?? null
+      },
+      sources: {
+        maxTokens: contextClamp.clamped ? 'context clamp' : maxTokensSetting.source,
+        temperature: temperatureSetting.source,
+        topP: topPSetting.source,
+        keywordDetection: keywordSource
+      },
+      keywords: {
+        detected: keywordsDetectedInConversation,
+        message: messageWithKeywords >= 0 ? messageWithKeywords : null,
+        enhanced: promptEnhanced
+      },
+      messages: this._countMessageRoles(modifiedRequest.messages),
+      tools: Array.isArray(modifiedRequest.tools) ? modifiedRequest.tools.length : 0,
+      estimatedTokens: outputEstimate.total,
+      imagesRemoved: imageDecisions.filter(decision => decision.action === 'removed').length,
+      compacted: compaction.applied,
+      contextClamp: contextClamp.clamped ? { from: contextClamp.originalMaxTokens, to: contextClamp.finalMaxTokens } : null
+    });
+
+    if (fixtureInput) {
+      this._saveFixture(currentRequestId, fixtureInput, modifiedRequest);
+    }
+
+    // Read back by this request's response (latency metrics, usage accounting)
+    const claudeSessionId = this._claudeSessionId(request);
+    Object.assign(record, { model: modifiedRequest.model, level: reasoningSource, claudeSessionId, budget, sentAt: Date.now() });
+
+    // Statusline state file (usage is added when the response arrives)
+    this._writeState(claudeSessionId, this._createRequestState(request, modifiedRequest, currentRequestId, record.reasoning, budget));
+
     // Flush logs before returning (ensure they're written)
     this.flushLogs();
 
     return modifiedRequest;
   }
 
+  /**
+   * Logs a request's latency metrics and its model's session aggregates (text log and JSONL record)
+   * @param {LatencyMetrics} metrics - Metrics of one request
+   * @private
+   */
+  _reportLatency (metrics) {
+    this._formatLatencyLines(metrics).forEach(line => this.log(`   ${line}`));
+    this.logRecord('latency', { ...metrics, sessionStats: this.getLatencyStats()[metrics.model] });
+    this.flushLogs();
+  }
+
+  /**
+   * Logs one response's usage with the session and day totals (text log and JSONL record)
+   * @param {RequestRecord|null} requestInfo - Request the response belongs to
+   * @param {UsageBucket} usage - Usage of this response
+   * @private
+   */
+  _reportUsage (requestInfo, usage) {
+    const { session, today } = this.getUsageStats();
+    this.log(`   [USAGE] Request #${requestInfo?.requestId ?? '?'} ${requestInfo?.model || 'unknown'} [${requestInfo?.level || 'unknown'}]: prompt=${usage.promptTokens} (cached ${usage.cachedTokens}) | completion=${usage.completionTokens}${usage.reasoningTokens > 0 ? ` (reasoning ${usage.reasoningTokens})` : ''} | total=${usage.totalTokens}`);
+    this.log(`    └─ Session: ${session?.totals.totalTokens ?? 0} tokens in ${session?.totals.requests ?? 0} response(s) | Today: ${today?.totals.totalTokens ?? 0} tokens | ${this.usageFile}`);
+    this.logRecord('usage', {
+      requestId: requestInfo?.requestId ?? null,
+      model: requestInfo?.model || null,
+      level: requestInfo?.level || null,
+      usage,
+      sessionTotals: session?.totals || null,
+      todayTotals: today?.totals || null
+    });
+    this.flushLogs();
+  }
+
+  /**
+   * Logs a token budget downgrade (text log and JSONL record)
+   * @param {number} requestId - Request number
+   * @param {TokenBudgetStatus} budget - Budget state
+   * @param {BudgetDowngrade} downgrade - Applied downgrade
+   * @private
+   */
+  _reportBudgetDowngrade (requestId, budget, downgrade) {
+    const what = downgrade.action === 'reroute' ? 'model' : 'reasoning';
+    this.log(`   [BUDGET] ${budget.scope} ${budget.used}/${budget.limit} tokens (${Math.round(budget.ratio * 100)}%) past the ${downgrade.threshold} threshold (${downgrade.action}) → ${what} ${downgrade.from} → ${downgrade.to}`);
+    this.logRecord('budget', {
+      requestId,
+      state: budget.state,
+      scope: budget.scope,
+      used: budget.used,
+      limit: budget.limit,
+      ratio: budget.ratio,
+      ...downgrade
+    });
+  }
+
+  /**
+   * Creates the filter that writes the Stage 3 JSONL record: chunks by type,
+   * finish_reason, usage and the other filters' counters, once the stream ends.
+   * @param {StreamFilterStats} stats - Counters of the other filters
+   * @param {number} requestId - Request number (matches Stage 1/2 records)
+   * @param {number} status - HTTP status of the response
+   * @returns {StreamFilter} Pass-through stream filter
+   * @private
+   */
+  _createStreamSummaryFilter (stats, requestId, status) {
+    const chunks = { total: 0, reasoning: 0, content: 0, toolCalls: 0 };
+    let finishReason = null;
+    let usage = null;
+
+    return {
+      onChunk: (chunk) => {
+        chunks.total++;
+        const choice = chunk && Array.isArray(chunk.choices) ? chunk.choices[0] : null;
+        const delta = choice && choice.delta;
+        if (delta && delta.reasoning_content) chunks.reasoning++;
+        if (delta && delta.content) chunks.content++;
+        if (delta && Array.isArray(delta.tool_calls)) chunks.toolCalls++;
+        if (choice && choice.finish_reason) finishReason = choice.finish_reason;
+        if (chunk && chunk.usage) usage = chunk.usage;
+        return [chunk];
+      },
+      onEnd: () => {
+        const { toolCallDetails, ...filterStats } = stats;
+        // The thinking filter runs first and consumes reasoning_content: add back what it converted or dropped
+        chunks.reasoning += stats.thinkingChunks + stats.thinkingLate;
+        this.logRecord('stage', {
+          stage: 3,
+          requestId,
+          stream: true,
+          status,
+          chunks,
+          finishReason,
+          usage,
+          filters: filterStats,
+          toolCalls: toolCallDetails.map(detail => ({ index: detail.index, name: detail.name, status: detail.status }))
+        });
+        this.flushLogs();
+        return [];
+      }
+    };
+  }
+
+  /**
+   * Creates an accumulator that parses raw SSE text (across chunk boundaries)
+   * and rebuilds the final assistant message
+   * @returns {{push: function(string, number): void, finish: function(string=): CapturedMessage}} Accumulator
+   * @private
+   */
+  _createMessageAccumulator () {
+    const message = {
+      role: null,
+      content: '',
+      reasoning: '',
+      toolCalls: [],
+      finishReason: null,
+      usage: null,
+      chunks: 0,
+      events: 0,
+      bytes: 0,
+      parseErrors: 0
+    };
+    const toolCalls = new Map();
+    let pending = '';
+
+    const handleLine = (line) => {
+      if (!line.startsWith('data:')) return;
+      const data = line.slice(5).trim();
+      if (!data || data === '[DONE]') return;
+
+      let chunk;
+      try {
+        chunk = JSON.parse(data);
+      } catch (error) {
+        message.parseErrors++;
+        return;
+      }
+      message.events++;
+      if (chunk.usage) message.usage = chunk.usage;
+
+      const choice = Array.isArray(chunk.choices) ? chunk.choices[0] : null;
+      if (!choice) return;
+      if (choice.finish_reason) message.finishReason = choice.finish_reason;
+
+      const delta = choice.delta || {};
+      if (delta.role) message.role = delta.role;
+      if (typeof delta.content === 'string') message.content += delta.content;
+      if (typeof delta.reasoning_content === 'string') message.reasoning += delta.reasoning_content;
+      if (Array.isArray(delta.tool_calls)) {
+        for (const call of delta.tool_calls) {
+          const index = call.index ?? toolCalls.size;
+          if (!toolCalls.has(index)) {
+            toolCalls.set(index, { index, id: null, name: null, arguments: '' });
+          }
+          const entry = toolCalls.get(index);
+          if (call.id) entry.id = call.id;
+          if (call.function?.name) entry.name = call.function.name;
+          if (typeof call.function?.arguments === 'string') entry.arguments += call.function.arguments;
+        }
+      }
+    };
+
+    return {
+      push: (text, byteLength) => {
+        message.chunks++;
+        message.bytes += byteLength;
+        const lines = (pending + text).split('\n');
+        pending = lines.pop(); // Incomplete last line waits for the next chunk
+        lines.forEach(line => handleLine(line.replace(/\r$/, '')));
+      },
+      finish: (tail = '') => {
+        // Last line may have no trailing newline
+        (pending + tail).split('\n').forEach(line => handleLine(line.replace(/\r$/, '')));
+        pending = '';
+        message.toolCalls = [...toolCalls.values()].map(call => {
+          let parsedArguments = null;
+          let argumentsStatus = 'valid';
+          try {
+            parsedArguments = JSON.parse(call.arguments || '{}');
+          } catch (error) {
+            const repair = this.repairJson(call.arguments);
+            argumentsStatus = repair.valid ? 'repairable' : 'invalid';
+            parsedArguments = repair.valid ? JSON.parse(repair.value) : null;
+          }
+          return { ...call, parsedArguments, argumentsStatus };
+        });
+        return message;
+      }
+    };
+  }
+
+  /**
+   * Logs the message rebuilt from the whole stream (text log and JSONL record)
+   * @param {number} requestId - Request number
+   * @param {CapturedMessage} message - Rebuilt message
+   * @private
+   */
+  _logCapturedMessage (requestId, message) {
+    const block = (label, text) => {
+      if (!text) {
+        this.log(`   ${label}: (empty)`);
+        return;
+      }
+      this.log(`   ${label}: ${text.length} chars`);
+      text.split('\n').forEach(line => this.log(`    │ ${line}`));
+    };
+
+    this.log('');
+    this.log(`   [FINAL MESSAGE] Request #${requestId} - rebuilt from ${message.chunks} chunks / ${message.events} events (${(message.bytes / 1024).toFixed(1)} KB)${message.parseErrors > 0 ? `, ${message.parseErrors} unparseable event(s)` : ''}`);
+    this.log(`   role: ${message.role || 'undefined'}`);
+    this.log(`   finish_reason: ${message.finishReason || 'none'}`);
+    if (message.usage) {
+      this.log(`   usage: prompt=${message.usage.prompt_tokens ?? '?'} | completion=${message.usage.completion_tokens ?? '?'} | total=${message.usage.total_tokens ?? '?'}`);
+    } else {
+      this.log('   usage: not reported');
+    }
+    block('reasoning', message.reasoning);
+    block('content', message.content);
+    this.log(`   tool_calls: ${message.toolCalls.length}`);
+    const tags = { valid: '[PARSED]', repairable: '[REPAIRABLE]', invalid: '[INVALID JSON]' };
+    message.toolCalls.forEach(call => {
+      this.log(`    └─ ${tags[call.argumentsStatus]} #${call.index} ${call.name || 'unknown'} (id ${call.id || 'none'})`);
+      const shown = call.parsedArguments !== null ? this.safeJSON(call.parsedArguments, 6, '       ') : call.arguments;
+      this.log(`       ${shown}`);
+    });
+
+    this.logRecord('message', {
+      requestId,
+      role: message.role,
+      finishReason: message.finishReason,
+      usage: message.usage,
+      reasoning: message.reasoning,
+      content: message.content,
+      toolCalls: message.toolCalls.map(call => ({
+        index: call.index,
+        id: call.id,
+        name: call.name,
+        status: call.argumentsStatus,
+        arguments: call.parsedArguments ?? call.arguments
+      })),
+      chunks: message.chunks,
+      bytes: message.bytes
+    });
+  }
+
+  /**
+   * Writes the raw SSE of a response to a sidecar file next to the log (secrets redacted)
+   * @param {number} requestId - Request number
+   * @param {string} rawText - Raw SSE text
+   * @private
+   */
+  _saveRawStream (requestId, rawText) {
+    const sidecarPath = path.join(this.logDirectory, `zai-transformer-${this.sessionTimestamp}-req${requestId}.sse`);
+    fs.writeFile(sidecarPath, this.redact(rawText), (error) => {
+      if (error) {
+        console.error(`   [RAW STREAM ERROR] ${error.message}`);
+      }
+    });
+    this.log(`   [RAW STREAM] Saved to ${sidecarPath}`);
+  }
+
   /**
    * Transforms response before sending to Claude Code.
    * 
+   * Streaming responses are wrapped so the stream filters apply to every chunk.
+   * 
    * @param {Response} response - Response processed by CCR
-   * @returns {Promise<Response>} Unmodified response
+   * @param {TransformerContext} [context] - Context (CCR's HTTP request identifies the matching request)
+   * @returns {Promise<Response>} Filtered response (unmodified if not a stream)
    */
-  async transformResponseOut (response) {
+  async transformResponseOut (response, context) {
     // Get Request ID first (before logging) to show in header
-    const requestId = this.requestCounter; // Use current counter as this Response belongs to last Request
+    // The record links the response to its own request (overlapping requests, subagents)
+    const record = this._getRequestRecord(context);
+    const requestId = record ? record.requestId : this.requestCounter;
 
     this.log('');
     this.log('╔═══════════════════════════════════════════════════════════════════════════════════════════════════╗');
@@ -1569,7 +2601,7 @@ class ZaiTransformer {
       // READ REAL CHUNKS FROM STREAM
       this.log('');
       this.log('╔═══════════════════════════════════════════════════════════════════════════════════════════════════╗');
-      this.log('   [STREAMING] Reading first chunks from Response');
+      this.log(this.captureFullStream ? '   [STREAMING] Capturing full stream from Response' : '   [STREAMING] Reading first chunks from Response');
       this.log('   RAW stream content BEFORE CCR parses it');
       this.log('╚═══════════════════════════════════════════════════════════════════════════════════════════════════╝');
       this.log('');
@@ -1583,21 +2615,33 @@ class ZaiTransformer {
           const decoder = new TextDecoder();
 
           let chunksRead = 0;
-          const maxChunks = 20;
+          const maxChunks = this.streamPreviewChunks;
           const chunksToShow = []; // Buffer to accumulate chunks before showing
+          const accumulator = this.captureFullStream ? this._createMessageAccumulator() : null;
+          const rawParts = this.captureFullStream && this.saveRawStream ? [] : null;
+          let streamEnded = false;
 
           try {
-            // Read chunks asynchronously
-            while (chunksRead < maxChunks) {
+            // Read chunks asynchronously (whole stream in capture mode)
+            while (accumulator || chunksRead < maxChunks) {
               const { done, value } = await reader.read();
 
               if (done) {
                 chunksToShow.push(`   [STREAM] Ended after ${chunksRead} chunks`);
+                streamEnded = true;
                 break;
               }
 
               chunksRead++;
               const text = decoder.decode(value, { stream: true });
+              if (accumulator) {
+                accumulator.push(text, value.byteLength);
+                if (rawParts) rawParts.push(text);
+                if (chunksRead === maxChunks + 1) {
+                  chunksToShow.push(`   [STREAM] Preview limit of ${maxChunks} chunks reached - capturing the rest of the stream`);
+                }
+                if (chunksRead > maxChunks) continue; // Only the preview is shown chunk by chunk
+              }
 
               // Detect if contains reasoning_content or content
               const hasReasoning = text.includes('"reasoning_content"');
@@ -1656,8 +2700,8 @@ class ZaiTransformer {
               chunksToShow.push(`   [CHUNK ${chunksRead}] ${value.byteLength} bytes ${type}${usefulInfo}`);
             }
 
-            if (chunksRead >= maxChunks) {
-              chunksToShow.push(`   [STREAM] Limit of ${maxChunks} chunks reached (more data exists)`);
+            if (!streamEnded && chunksRead >= maxChunks) {
+              chunksToShow.push(`   [STREAM] Limit of ${maxChunks} chunks reached (more data exists, set captureFullStream to read everything)`);
             }
 
             chunksToShow.push(``);
@@ -1666,6 +2710,17 @@ class ZaiTransformer {
             // Show all accumulated chunks at once (atomic)
             chunksToShow.forEach(line => this.log(line));
 
+            // Capture mode: rebuilt final message (and raw SSE sidecar)
+            if (accumulator) {
+              // Flush bytes the decoder still holds (incomplete UTF-8 sequence at the end of the stream)
+              const tail = decoder.decode();
+              const message = accumulator.finish(tail);
+              this._logCapturedMessage(requestId, message);
+              if (rawParts) {
+                this._saveRawStream(requestId, rawParts.join('') + tail);
+              }
+            }
+
             // Close the streaming block
             this.log('╚═══════════════════════════════════════════════════════════════════════════════════════════════════╝');
             this.log('');
@@ -1686,6 +2741,65 @@ class ZaiTransformer {
         this.flushLogs();
       })().catch(() => { /* Ignore stream cancellation error */ }); // Execute in background, catch to silence unhandled rejection warnings
 
+      // Wrap streaming responses so the stream filters apply (clone above still reads the RAW stream)
+      if (this._isSseResponse(response)) {
+        // Clone before wrapping: the wrapper locks the original body
+        if (this.latencyMetrics) {
+          this._tapStreamLatency(response, requestId, record);
+        }
+
+        const stats = this._createStreamStats();
+        const filters = this._createResponseFilters(stats, record ? record.toolSchemas : new Map());
+        const hasStreamFilters = filters.length > 0;
+
+        // JSONL: whole-stream summary record (the text log only reads the first chunks)
+        if (this.logFormat === 'jsonl') {
+          filters.push(this._createStreamSummaryFilter(stats, requestId, response.status));
+        }
+
+        if (this.trackUsage) {
+          filters.push(this._createUsageFilter(record));
+        }
+
+        if (hasStreamFilters) {
+          // Reporter filter: logs counters once the stream ends
+          filters.push({
+            onChunk: (chunk) => [chunk],
+            onEnd: () => {
+              this.log(`   [STREAM FILTERS] Request #${requestId}: whitespace-only reasoning dropped=${stats.whitespaceDropped}, coalesced=${stats.whitespaceCoalesced}, chunks removed=${stats.chunksRemoved}`);
+              if ((this.repairToolCalls || this.toolSchemaValidation) && stats.toolCalls > 0) {
+                this.log(`   [TOOL CALLS] ${stats.toolCalls} validated | repaired=${stats.toolCallsRepaired} | failed=${stats.toolCallsFailed}`);
+                if (this.toolSchemaValidation) {
+                  this.log(`    └─ Schema validation: coerced=${stats.toolCallsCoerced} | invalid=${stats.toolCallsInvalid}`);
+                }
+                const tags = { failed: '[ERROR]', invalid: '[INVALID]', coerced: '[COERCED]', repaired: '[REPAIRED]', valid: '[VALID]' };
+                stats.toolCallDetails.forEach(detail => {
+                  this.log(`    └─ ${tags[detail.status]} #${detail.index} ${detail.name || 'unknown'}: ${detail.arguments.substring(0, 100).replace(/\n/g, '↵')}${detail.arguments.length > 100 ? '...' : ''}`);
+                  detail.changes.forEach(change => this.log(`       [COERCION] ${change}`));
+                  detail.errors.forEach(error => this.log(`       [SCHEMA ERROR] ${error}`));
+                });
+              }
+              if (this.emitThinking) {
+                this.log(`   [THINKING CONVERSION] thinking deltas=${stats.thinkingChunks}, signatures=${stats.thinkingSignatures}${stats.thinkingLate > 0 ? `, late reasoning chunks dropped=${stats.thinkingLate}` : ''}`);
+              }
+              this.flushLogs();
+              return [];
+            }
+          });
+        }
+
+        if (filters.length > 0) {
+          const wrapped = this._wrapSseResponse(response, filters);
+          this.processedResponses.add(wrapped);
+          return wrapped;
+        }
+      } else {
+        this.logRecord('stage', { stage: 3, requestId, stream: false, status: response.status });
+        if (this.trackUsage && this._isJsonResponse(response)) {
+          this._readResponseUsage(response, record);
+        }
+      }
+
       // Return Response immediately (don't wait for chunk reading)
       return response;
     }
@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+// ============================================================================
+// Z.AI TRANSFORMER - OFFLINE REPLAY
+// ============================================================================
+//
+// PURPOSE: Runs a request captured by zai-debug.js (saveFixtures) through
+//          transformRequestIn() again, without Claude Code and without Z.AI.
+//          Try option changes against real traffic and see what they change.
+//
+// FLOW: fixture.request → ZaiTransformer(options) → transformRequestIn() → body
+//       body is printed and compared with the captured Stage 2 output (fixture.output)
+//
+// USAGE:
+//   node zai-replay.js <fixture.json> [flags]
+//
+// FLAGS:
+//   --transformer <file>   Transformer to load (default: zai.js next to this script)
+//   --options '<json>'     Options merged over the options recorded in the fixture
+//   --options-file <file>  Same, read from a JSON file
+//   --no-fixture-options   Start from empty options instead of the recorded ones
+//   --no-body              Print only the diff
+//
+// EXIT CODES:
+//   0 = output identical to the captured Stage 2 body
+//   1 = differences found
+//   2 = usage or load error
+//
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+/**
+ * Options recorded by zai-debug.js that must not take effect during a replay
+ * (a replay should never write fixtures, raw streams, usage totals or statusline state, or prune the user's logs).
+ * tokenBudget is removed (undefined is accepted as "not set"): it would read today's usage file,
+ * so the same fixture could be downgraded differently from one replay to the next.
+ * Log retention limits are removed too; logDirectory is set to a temporary directory in main().
+ * @type {Object}
+ */
+const REPLAY_SAFE_OPTIONS = {
+  saveFixtures: false,
+  saveRawStream: false,
+  watchModelConfig: false,
+  writeState: false,
+  trackUsage: false,
+  tokenBudget: undefined,
+  maxLogFiles: undefined,
+  maxLogAgeDays: undefined,
+  maxTotalLogBytes: undefined
+};
+
+/**
+ * Longest value shown in a diff line before it is truncated
+ * @type {number}
+ */
+const MAX_DIFF_VALUE_LENGTH = 120;
+
+/**
+ * Parsed command line
+ * @typedef {Object} ReplayArguments
+ * @property {string} fixturePath - Fixture file
+ * @property {string} transformerPath - Transformer file to load
+ * @property {Object} options - Options from --options / --options-file
+ * @property {boolean} fixtureOptions - Merge the options recorded in the fixture
+ * @property {boolean} showBody - Print the resulting body
+ */
+
+/**
+ * One difference between the captured and the replayed body
+ * @typedef {Object} DiffEntry
+ * @property {"added"|"removed"|"changed"} kind - Type of change
+ * @property {string} path - Property path (e.g. messages[2].content)
+ * @property {*} [before] - Captured value
+ * @property {*} [after] - Replayed value
+ */
+
+/**
+ * Parses process arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {ReplayArguments} Parsed arguments
+ */
+function parseArguments (argv) {
+  const args = {
+    fixturePath: null,
+    transformerPath: path.join(__dirname, 'zai.js'),
+    options: {},
+    fixtureOptions: true,
+    showBody: true
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} requires a value`);
+      return argv[++i];
+    };
+
+    if (arg === '--transformer') {
+      args.transformerPath = path.resolve(next());
+    } else if (arg === '--options') {
+      Object.assign(args.options, parseJsonObject(next(), '--options'));
+    } else if (arg === '--options-file') {
+      const file = next();
+      Object.assign(args.options, parseJsonObject(fs.readFileSync(file, 'utf8'), file));
+    } else if (arg === '--no-fixture-options') {
+      args.fixtureOptions = false;
+    } else if (arg === '--no-body') {
+      args.showBody = false;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown flag ${arg}`);
+    } else if (!args.fixturePath) {
+      args.fixturePath = path.resolve(arg);
+    } else {
+      throw new Error(`Unexpected argument ${arg}`);
+    }
+  }
+
+  if (!args.fixturePath) throw new Error('Missing fixture file');
+  return args;
+}
+
+/**
+ * Parses a JSON object, with the source in the error message
+ * @param {string} text - JSON text
+ * @param {string} source - Flag or file name (for errors)
+ * @returns {Object} Parsed object
+ */
+function parseJsonObject (text, source) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${source} is not valid JSON: ${error.message}`);
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`${source} must be a JSON object`);
+  }
+  return value;
+}
+
+/**
+ * Compares two JSON values and lists the differences by property path
+ * @param {*} before - Captured value
+ * @param {*} after - Replayed value
+ * @param {string} [basePath] - Path of the current value
+ * @param {DiffEntry[]} [entries] - Accumulated differences
+ * @returns {DiffEntry[]} Differences
+ */
+function diffValues (before, after, basePath = '', entries = []) {
+  const isObject = value => value !== null && typeof value === 'object';
+
+  if (isObject(before) && isObject(after) && Array.isArray(before) === Array.isArray(after)) {
+    const keys = Array.isArray(before)
+      ? [...Array(Math.max(before.length, after.length)).keys()]
+      : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+    for (const key of keys) {
+      const childPath = Array.isArray(before) ? `${basePath}[${key}]` : basePath ? `${basePath}.${key}` : String(key);
+      if (!(key in before)) {
+        entries.push({ kind: 'added', path: childPath, after: after[key] });
+      } else if (!(key in after)) {
+        entries.push({ kind: 'removed', path: childPath, before: before[key] });
+      } else {
+        diffValues(before[key], after[key], childPath, entries);
+      }
+    }
+    return entries;
+  }
+
+  if (JSON.stringify(before) !== JSON.stringify(after)) {
+    entries.push({ kind: 'changed', path: basePath || '(body)', before, after });
+  }
+  return entries;
+}
+
+/**
+ * Formats a value for a diff line (single line, truncated)
+ * @param {*} value - Value to show
+ * @returns {string} Formatted value
+ */
+function formatValue (value) {
+  const text = value === undefined ? 'undefined' : JSON.stringify(value);
+  return text.length > MAX_DIFF_VALUE_LENGTH
+    ? `${text.substring(0, MAX_DIFF_VALUE_LENGTH)}... (${text.length} chars)`
+    : text;
+}
+
+/**
+ * Loads the fixture, replays it and prints the body and the diff
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main (argv) {
+  let args;
+  let fixture;
+  let ZaiTransformer;
+  try {
+    args = parseArguments(argv);
+    fixture = parseJsonObject(fs.readFileSync(args.fixturePath, 'utf8'), args.fixturePath);
+    if (!fixture.request) throw new Error(`${args.fixturePath} has no "request" (not a zai-debug fixture?)`);
+    ZaiTransformer = require(args.transformerPath);
+  } catch (error) {
+    console.error(`[zai-replay] ${error.message}`);
+    console.error('Usage: node zai-replay.js <fixture.json> [--transformer <file>] [--options \'<json>\'] [--options-file <file>] [--no-fixture-options] [--no-body]');
+    return 2;
+  }
+
+  // zai-debug.js logs go to a temporary directory, never next to the user's logs.
+  // It is removed at exit unless a log was written there.
+  const logDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'zai-replay-'));
+  process.once('exit', () => {
+    try {
+      fs.rmdirSync(logDirectory);
+    } catch (error) {
+      // Not empty: keep the replay log
+    }
+  });
+
+  const options = {
+    ...(args.fixtureOptions ? fixture.options : {}),
+    ...args.options,
+    ...REPLAY_SAFE_OPTIONS,
+    logDirectory
+  };
+
+  console.log(`[REPLAY] ${path.basename(args.fixturePath)} (session ${fixture.session || '?'}, request #${fixture.requestId ?? '?'})`);
+  console.log(`[REPLAY] Transformer: ${args.transformerPath}`);
+  console.log(`[REPLAY] Options: ${JSON.stringify(options)}`);
+
+  const transformer = new ZaiTransformer(options);
+  let output;
+  try {
+    output = await transformer.transformRequestIn(fixture.request, fixture.provider || null, fixture.context || {});
+  } finally {
+    // Stops timers and writes pending log lines
+    if (typeof transformer.close === 'function') transformer.close();
+  }
+
+  if (args.showBody) {
+    console.log('');
+    console.log('[OUTPUT] Body sent to the provider:');
+    console.log(JSON.stringify(output, null, 2));
+  }
+
+  console.log('');
+  if (!fixture.output) {
+    console.log('[DIFF] Fixture has no captured Stage 2 output - nothing to compare');
+    return 0;
+  }
+
+  // Round-trip through JSON so undefined properties compare like the captured file
+  const entries = diffValues(fixture.output, JSON.parse(JSON.stringify(output)));
+  if (entries.length === 0) {
+    console.log('[DIFF] No differences with the captured Stage 2 output');
+    return 0;
+  }
+
+  console.log(`[DIFF] ${entries.length} difference(s) with the captured Stage 2 output:`);
+  const symbols = { added: '+', removed: '-', changed: '~' };
+  entries.forEach(entry => {
+    if (entry.kind === 'changed') {
+      console.log(`  ${symbols.changed} ${entry.path}: ${formatValue(entry.before)} → ${formatValue(entry.after)}`);
+    } else {
+      console.log(`  ${symbols[entry.kind]} ${entry.path}: ${formatValue(entry.kind === 'added' ? entry.after : entry.before)}`);
+    }
+  });
+  return 1;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }).catch(error => {
+    console.error(`[zai-replay] Replay failed: ${error.stack || error.message}`);
+    process.exitCode = 2;
+  });
+}
+
+module.exports = { diffValues, main };
@@ -16,6 +16,8 @@
 //      • GLM 4.5:     96K  (98,304 tokens)
 //      • GLM 4.5-air: 96K  (98,304 tokens)
 //      • GLM 4.5v:    16K  (16,384 tokens)
+//    - Context clamp: max_tokens is lowered so estimated prompt + output fits
+//      the model's contextWindow (never below minOutputTokens)
 //
 // 2. SAMPLING CONTROL (Guaranteed)
 //    - Sets do_sample=true to ensure temperature and top_p always work
@@ -65,269 +67,92 @@
 //    - User Tags like <Thinking:Off>, <Effort:Low>, <Effort:Medium> are completely ignored
 //    - Nuclear option: Use only when you want thinking 100% of the time with no way to disable it
 //
-// HIERARCHY: Force Permanent Thinking (0) > Ultrathink (1) > Custom Tags (2) > Global Override (3) > Model Config (4) > Claude Code (5)
+// HIERARCHY: Force Permanent Thinking (0) > Ultrathink (1) > Custom Tags (2) > Global Override (3) > Model Override (3.5) > Model Config (4) > Claude Code (5)
 // NOTE: With default config (reasoning=true for all models), Level 4 applies model defaults.
 //       Level 5 (Claude Code's native toggle) only works when:
-//       - No user conditions (Levels 0-3) are active AND
+//       - No user conditions (Levels 0-3.5) are active AND
 //       - Model has reasoning=false in configuration
 // KEYWORDS: Requires reasoning=true + keywordDetection=true + keywords detected
 //
-// PRODUCTION: No debug logging, optimal performance
+// PRODUCTION: No debug logging by default (options.debug enables diagnostics), optimal performance
 //
-// CCR TYPE DEFINITIONS:
-// Based on: https://github.com/musistudio/llms/blob/main/src/types/llm.ts
-//           https://github.com/musistudio/llms/blob/main/src/types/transformer.ts
+// SHARED CORE (zai-core.js, must sit next to this file):
+//   - ZaiTransformerCore holds the logic both transformers share; this file adds the
+//     constructor, transformRequestIn/transformResponseOut and its diagnostics
+//   - CCR type definitions live there too, based on:
+//     https://github.com/musistudio/llms/blob/main/src/types/llm.ts
+//     https://github.com/musistudio/llms/blob/main/src/types/transformer.ts
+//
+// DIAGNOSTICS (options.debug):
+//   - true / "basic": one line per stage (Stage 1 input, Stage 2 output with sources, Stage 3 stream summary)
+//   - "verbose": adds the decision path (model resolution, tags, priority level, keywords, message hashes)
+//   - Written to options.logger, else CCR's logger, else the console (no log files: use zai-debug.js for that)
+//
+// OPTION VALIDATION (constructor):
+//   - Types and ranges (temperature 0-2, top_p 0-1, max_tokens <= model limit)
+//   - Unknown keys reported with "did you mean" suggestions
+//   - Invalid values are ignored (defaults apply); strictOptions: true refuses to start
+//
+// MODEL NAME RESOLUTION (getModelConfiguration):
+//   - Case-insensitive: "GLM-4.6" → glm-4.6
+//   - Aliases: options.modelAliases = { "glm": "glm-4.6" }
+//   - Strips provider prefix, variant and date suffixes: "zai/glm-4.6:thinking", "glm-4.6-20251001" → glm-4.6
+//   - Family fallback: "glm-4.5-flash" → glm-4.5 (longest configured prefix)
+//   - Otherwise Unknown defaults (reasoning=false)
+//
+// PER-MODEL OVERRIDES (options.models, Level 3.5):
+//   - options.models["glm-4.5-air"] = { reasoning: false, temperature: 0.3, ... }
+//   - Fields: maxTokens, temperature, topP, reasoning, keywordDetection
+//   - Below Global Override (3), above Model Config (4)
+//
+// EXTERNAL MODEL CONFIGURATIONS (modelConfigPath):
+//   - JSON or YAML file merged over the built-in model table (partial entries allowed)
+//   - Watched for changes: edits apply without restarting CCR
+//   - Invalid file → last valid table is kept and the error is reported
+//
+// VISION REROUTING (autoVisionReroute, opt-in, default: false):
+//   - Images in recent user messages → request is sent to visionModel (glm-4.6v)
+//     with that model's maxTokens, temperature and reasoning
+//   - Requests without recent images keep the original model
+//   - Image validation (per-model vision, maxImages, maxImageBytes): images the model
+//     cannot accept are replaced with a text placeholder naming what was removed
+//
+// TOOL SCHEMA SANITIZATION (Per-model: sanitizeToolSchemas, maxToolDescriptionLength):
+//   - Strips keywords GLM handles poorly ($schema, format, additionalProperties, ...)
+//   - Flattens simple unions and optionally caps description lengths
+//
+// TOKEN ESTIMATION:
+//   - GlmTokenEstimator approximates GLM tokenization per block (text, images, tool schemas)
+//   - Exposed as estimateTokens(request); used for the context clamp
+//
+// HISTORY COMPACTION (Opt-in: autoCompact):
+//   - When the prompt exceeds contextWindow - minOutputTokens, shrinks old tool_result
+//     payloads, drops old thinking blocks and collapses stale system-reminders
+//   - The most recent compactProtectedMessages messages are never touched
+//
+// STREAM FILTERS (transformResponseOut):
+//   - Streaming responses are wrapped and each SSE chunk passes through filters
+//   - Whitespace-only reasoning_content chunks are dropped or coalesced
+//     (filterWhitespaceReasoning, default: true) → no empty "Thought for 1s" blocks
+//   - Optional native thinking conversion (emitThinking): reasoning_content → signed
+//     thinking deltas, so "use": ["zai"] alone displays thinking in Claude Code
+//   - Tool-call arguments are buffered per call, validated and repaired
+//     (repairToolCalls, default: true) before the tool call completes
+//   - Arguments are checked against the request's tool schemas and obvious type
+//     mismatches are coerced (toolSchemaValidation, default: true)
 //
 // REFERENCES:
 // - CCR Transformer: https://github.com/musistudio/claude-code-router
 // - Z.AI Thinking: https://docs.z.ai/guides/overview/concept-param#thinking
 // ============================================================================
 
-/**
- * Cache control settings for messages and content blocks
- * @typedef {Object} CacheControl
- * @property {string} type - Cache control type (e.g., "ephemeral")
- */
-
-/**
- * Image URL container
- * @typedef {Object} ImageUrl
- * @property {string} url - The actual image URL (can be data URL or http/https)
- */
-
-/**
- * Function call details
- * @typedef {Object} FunctionCallDetails
- * @property {string} name - Name of the function to call
- * @property {string} arguments - JSON string of function arguments
- */
-
-/**
- * Thinking/reasoning content block from model
- * @typedef {Object} ThinkingBlock
- * @property {string} content - The thinking/reasoning text
- * @property {string} [signature] - Optional signature for thinking verification
- */
-
-/**
- * Function parameters JSON Schema
- * @typedef {Object} FunctionParameters
- * @property {"object"} type - Always "object" for parameters root
- * @property {Object.<string, any>} properties - Parameter definitions
- * @property {string[]} [required] - List of required parameter names
- * @property {boolean} [additionalProperties] - Allow additional properties
- * @property {string} [$schema] - JSON Schema version
- */
-
-/**
- * Function definition
- * @typedef {Object} FunctionDefinition
- * @property {string} name - Function name (must be unique)
- * @property {string} description - Description of what the function does
- * @property {FunctionParameters} parameters - JSON Schema for function parameters
- */
-
-/**
- * Reasoning configuration
- * @typedef {Object} ReasoningConfig
- * @property {ThinkLevel} [effort] - Reasoning effort level (OpenAI-style)
- * @property {number} [max_tokens] - Maximum tokens for reasoning (Anthropic-style)
- * @property {boolean} [enabled] - Whether reasoning is enabled
- */
-
-/**
- * Transformer configuration item (object form)
- * @typedef {Object} TransformerConfigItem
- * @property {string} name - Transformer name
- * @property {Object} [options] - Transformer options
- */
-
-/**
- * Transformer configuration
- * @typedef {Object} TransformerConfig
- * @property {string|string[]|TransformerConfigItem[]} use - Transformer name(s) or configuration(s)
- */
-
-/**
- * Global overrides configuration
- * @typedef {Object} GlobalOverrides
- * @property {number|null} maxTokens - Override max_tokens for all models (takes precedence over model config)
- * @property {number|null} temperature - Override temperature for all models
- * @property {number|null} topP - Override top_p for all models
- * @property {boolean|null} reasoning - Override reasoning on/off for all models
- * @property {boolean|null} keywordDetection - Override automatic prompt enhancement on/off for all models
- */
-
-/**
- * Text content block in a message
- * @typedef {Object} TextContent
- * @property {"text"} type - Content type identifier
- * @property {string} text - The actual text content
- * @property {CacheControl} [cache_control] - Optional cache control settings
- */
-
-/**
- * Image content block in a message
- * @typedef {Object} ImageContent
- * @property {"image_url"} type - Content type identifier for images
- * @property {ImageUrl} image_url - Image URL container
- * @property {string} media_type - MIME type of the image (e.g., "image/png", "image/jpeg")
- */
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
 
-/**
- * Union type for message content blocks
- * @typedef {TextContent | ImageContent} MessageContent
- */
-
-/**
- * Tool/function call representation
- * @typedef {Object} ToolCall
- * @property {string} id - Unique identifier for this tool call
- * @property {"function"} type - Always "function" for function calls
- * @property {FunctionCallDetails} function - Function call details
- */
-
-/**
- * Unified message format compatible with multiple LLM providers
- * @typedef {Object} UnifiedMessage
- * @property {"user"|"assistant"|"system"|"tool"} role - Message role in conversation
- * @property {string|null|MessageContent[]} content - Message content (string, null, or structured blocks)
- * @property {ToolCall[]} [tool_calls] - Tool/function calls made by assistant (OpenAI format - reserved for future compatibility)
- * @property {string} [tool_call_id] - ID of tool call this message is responding to for role="tool" (OpenAI format - reserved for future compatibility)
- * @property {CacheControl} [cache_control] - Cache control settings for this message
- * @property {ThinkingBlock} [thinking] - Reasoning/thinking content from model
- */
-
-/**
- * Tool/function definition for LLM
- * @typedef {Object} UnifiedTool
- * @property {"function"} type - Always "function" for function tools
- * @property {FunctionDefinition} function - Function definition
- */
-
-/**
- * Reasoning effort level (OpenAI o1-style)
- * @typedef {"low"|"medium"|"high"} ThinkLevel
- */
-
-/**
- * @typedef {Object} UnifiedChatRequest
- * @property {UnifiedMessage[]} messages - Array of conversation messages
- * @property {string} model - LLM model name
- * @property {number} [max_tokens] - Maximum tokens in response
- * @property {number} [temperature] - Temperature for generation (0.0 - 2.0)
- * @property {number} [top_p] - Top-P nucleus sampling (0.0 - 1.0)
- * @property {boolean} [stream] - Whether response should be streamed
- * @property {UnifiedTool[]} [tools] - Available tools for the model
- * @property {"auto"|"none"|"required"|string|UnifiedTool} [tool_choice] - Tool selection strategy
- * @property {ReasoningConfig} [reasoning] - Reasoning configuration
- * @property {ThinkingConfiguration} [thinking] - Thinking configuration (provider-specific)
- */
-
-/**
- * @typedef {Object} LLMProvider
- * @property {string} name - Provider name
- * @property {string} baseUrl - API base URL
- * @property {string} apiKey - API key
- * @property {string[]} models - Available models
- * @property {TransformerConfig} [transformer] - Transformer configuration
- */
-
-/**
- * @typedef {Object} TransformerContext
- * @property {*} [key] - Additional context for transformer
- */
-
-/**
- * Standard Fetch API Response (also available in Node.js 18+)
- * @typedef {Object} Response
- * @property {boolean} ok - Indicates if response was successful (status 200-299)
- * @property {number} status - HTTP status code
- * @property {string} statusText - HTTP status message
- * @property {Headers} headers - Response headers
- * @property {boolean} redirected - Indicates if response is result of redirect
- * @property {string} type - Response type (basic, cors, etc.)
- * @property {string} url - Response URL
- * @property {function(): Promise<ArrayBuffer>} arrayBuffer - Read body as ArrayBuffer
- * @property {function(): Promise<Blob>} blob - Read body as Blob
- * @property {function(): Promise<FormData>} formData - Read body as FormData
- * @property {function(): Promise<any>} json - Read body as JSON
- * @property {function(): Promise<string>} text - Read body as text
- * @property {ReadableStream} [body] - Body stream
- * @property {boolean} bodyUsed - Indicates if body has been read
- */
-
-/**
- * Model-specific configuration
- * @typedef {Object} ModelConfig
- * @property {number} maxTokens - Maximum output tokens
- * @property {number|null} contextWindow - Maximum input tokens (context)
- * @property {number|null} temperature - Randomness control (0.0-2.0)
- * @property {number|null} topP - Nucleus sampling (0.0-1.0)
- * @property {boolean} reasoning - Whether model supports native reasoning (model decides when to use it)
- * @property {boolean} keywordDetection - Enable automatic prompt enhancement when analytical keywords are detected
- * @property {string} provider - Model provider (Z.AI only)
- */
-
-/**
- * Request body to be modified by reasoning formatter
- * @typedef {Object} RequestBody
- * @property {*} [key] - Dynamic properties for the request body
- */
-
-/**
- * Function that applies provider-specific reasoning format
- * @typedef {function(RequestBody, string): void} ReasoningFormatter
- * @param {RequestBody} body - Request body to modify
- * @param {string} modelName - Model name
- */
-
-/**
- * Dictionary of model configurations indexed by model name
- * @typedef {Record<string, ModelConfig>} ModelConfigurationMap
- */
-
-/**
- * Dictionary of reasoning formatters indexed by provider
- * @typedef {Record<string, ReasoningFormatter>} ReasoningFormatterMap
- */
-
-/**
- * Thinking/reasoning configuration for provider
- * @typedef {Object} ThinkingConfiguration
- * @property {string} type - Thinking type (e.g., "enabled")
- * @property {*} [key] - Additional provider-specific properties
- */
-
-/**
- * Delta content in streaming response
- * @typedef {Object} StreamDelta
- * @property {string} [role] - Message role
- * @property {string} [content] - Content chunk
- * @property {string} [reasoning_content] - Reasoning/thinking content chunk
- * @property {string} [finish_reason] - Reason for completion
- */
-
-/**
- * Choice in streaming response
- * @typedef {Object} StreamChoice
- * @property {StreamDelta} delta - Delta content
- * @property {number} index - Choice index
- */
-
-/**
- * Modified request body to send to provider
- * @typedef {Object} ModifiedRequestBody
- * @property {string} model - Model name
- * @property {number} max_tokens - Maximum tokens
- * @property {number} [temperature] - Temperature setting
- * @property {number} [top_p] - Top-P setting
- * @property {boolean} [do_sample] - Sampling control
- * @property {UnifiedMessage[]} messages - Messages array
- * @property {ThinkingConfiguration} [thinking] - Thinking configuration
- * @property {StreamChoice[]} [choices] - Choices in response (for streaming)
- * @property {*} [key] - Additional dynamic properties
- */
+// Shared logic and types (ZaiTransformerCore, GlmTokenEstimator, CCR/model typedefs).
+// zai-core.js must sit next to this file in the plugins directory.
+const { ZaiTransformerCore, GlmTokenEstimator } = require('./zai-core.js');
 
 /**
  * CCR Transformer interface (based on @musistudio/llms)
@@ -349,23 +174,40 @@
  * @property {boolean} [overrideKeywordDetection] - Override keyword detection globally for all models
  * @property {string[]} [customKeywords] - Custom keywords to add or replace default keywords
  * @property {boolean} [overrideKeywords] - If true, ONLY use customKeywords (ignore defaults); if false, add to defaults
+ * @property {number} [minOutputTokens] - Minimum max_tokens kept when clamping against the context window (default: 4096)
+ * @property {TokenEstimatorOptions} [tokenEstimation] - Per-block cost overrides for the GLM token estimator
+ * @property {boolean} [autoCompact] - Compact old history when the request exceeds the context window (default: false)
+ * @property {number} [compactProtectedMessages] - Most recent messages never touched by compaction (default: 10)
+ * @property {number} [compactToolResultChars] - First-pass character limit for old tool_result payloads (default: 2000)
+ * @property {boolean} [filterWhitespaceReasoning] - Drop/coalesce whitespace-only reasoning_content stream chunks (default: true)
+ * @property {boolean} [emitThinking] - Convert reasoning_content into signed thinking deltas (replaces CCR's `reasoning` transformer, default: false)
+ * @property {boolean} [repairToolCalls] - Buffer streamed tool-call arguments and repair malformed JSON (default: true)
+ * @property {boolean} [toolSchemaValidation] - Validate/coerce tool-call arguments against the request's tool schemas (default: true)
+ * @property {boolean} [autoVisionReroute] - Switch to visionModel when recent messages contain images (default: false)
+ * @property {string} [visionModel] - Model used for requests with images (default: "glm-4.6v")
+ * @property {number} [visionLookbackMessages] - Recent user/tool messages inspected for images (default: 3)
+ * @property {string[]} [imageMimeTypes] - Image MIME types accepted by vision models (default: png, jpeg, jpg, webp)
+ * @property {string} [modelConfigPath] - JSON or YAML file merged over the built-in model configurations
+ * @property {boolean} [watchModelConfig] - Reload modelConfigPath when it changes (default: true)
+ * @property {number} [modelConfigWatchInterval] - Polling interval for modelConfigPath in ms (default: 2000)
+ * @property {Partial<TokenBudget>} [tokenBudget] - Daily/session token limits with soft (reasoning off) and hard (fallback model) thresholds
+ * @property {Object.<string, string>} [modelAliases] - Model name aliases, e.g. { "glm": "glm-4.6" } (case-insensitive)
+ * @property {Object.<string, ModelOverrides>} [models] - Per-model overrides (Level 3.5: below global overrides, above model config)
+ * @property {boolean} [strictOptions] - Refuse to start when an option is invalid or unknown (default: false)
+ * @property {boolean|"basic"|"verbose"} [debug] - Stage 1/2/3 diagnostics: true/"basic" = one line per stage, "verbose" = decision path
+ * @property {Function|{info: Function}} [logger] - Diagnostics destination (default: CCR's logger, else console)
  * @property {*} [key] - Allows any additional option
  */
 
-/**
- * Transformer constructor with static name
- * @typedef {Object} TransformerConstructor
- * @property {string} [TransformerName] - Static transformer name (alternative to name property)
- */
-
 /**
  * Z.ai Transformer for Claude Code Router.
  * Translates Claude Code reasoning format to Z.AI-specific format.
  * 
  * @class
+ * @extends ZaiTransformerCore
  * @implements {CCRTransformer}
  */
-class ZaiTransformer {
+class ZaiTransformer extends ZaiTransformerCore {
   /**
    * Transformer name (required by CCR)
    * @type {string}
@@ -377,11 +219,20 @@ class ZaiTransformer {
    * @param {TransformerOptions} options - Configuration options
    */
   constructor (options) {
+    super();
+
+    /**
+     * Option validation result (types, ranges, unknown keys).
+     * Reported once the model table is loaded (see _checkOptionLimits).
+     * @type {OptionValidationResult}
+     */
+    this.optionValidation = this._validateOptions(options || {});
+
     /**
-     * Configuration options
+     * Configuration options (validated: unknown keys and invalid values removed)
      * @type {TransformerOptions}
      */
-    this.options = options || {};
+    this.options = this.optionValidation.options;
 
     /**
      * Default maximum output tokens (fallback for unknown models)
@@ -389,6 +240,257 @@ class ZaiTransformer {
      */
     this.defaultMaxTokens = 131072; // 128K default
 
+    /**
+     * Model name aliases (alias → model table name), matched case-insensitively.
+     * @type {Object.<string, string>}
+     */
+    this.modelAliases = Object.fromEntries(
+      Object.entries(this.options.modelAliases || {}).map(([alias, target]) => [alias.toLowerCase(), target])
+    );
+
+    /**
+     * Per-model overrides (Level 3.5) - options.models["glm-4.5-air"] = { reasoning: false, ... }.
+     * Below global overrides, above model configuration.
+     * @type {Object.<string, ModelOverrides>}
+     */
+    this.modelOverrides = this.options.models || {};
+
+    /**
+     * Minimum output tokens kept when max_tokens is clamped against the context window.
+     * Prevents a nearly full context from producing an unusable max_tokens value.
+     * @type {number}
+     */
+    this.minOutputTokens = this.options.minOutputTokens ?? 4096;
+
+    /**
+     * GLM token estimator (messages, system, tools, images)
+     * @type {GlmTokenEstimator}
+     */
+    this.tokenEstimator = new GlmTokenEstimator(this.options.tokenEstimation);
+
+    /**
+     * Automatic history compaction (opt-in).
+     * When the estimated prompt exceeds contextWindow - minOutputTokens, old tool results,
+     * thinking blocks and system-reminders are shrunk until the request fits.
+     * @type {boolean}
+     */
+    this.autoCompact = this.options.autoCompact === true;
+
+    /**
+     * Number of most recent messages protected from compaction
+     * @type {number}
+     */
+    this.compactProtectedMessages = this.options.compactProtectedMessages ?? 10;
+
+    /**
+     * First-pass character limit for old tool_result payloads
+     * @type {number}
+     */
+    this.compactToolResultChars = this.options.compactToolResultChars ?? 2000;
+
+    /**
+     * Drop/coalesce whitespace-only reasoning_content chunks in streaming responses.
+     * Prevents empty "Thought for 1s" blocks in Claude Code.
+     * @type {boolean}
+     */
+    this.filterWhitespaceReasoning = this.options.filterWhitespaceReasoning !== false;
+
+    /**
+     * Convert reasoning_content into Anthropic-style thinking deltas (with signature).
+     * Enables full thinking display with a single "use": ["zai"] (no `reasoning` transformer needed).
+     * @type {boolean}
+     */
+    this.emitThinking = this.options.emitThinking === true;
+
+    /**
+     * Buffer streamed tool-call arguments per call and repair malformed GLM JSON
+     * (trailing commas, single quotes, unescaped newlines, truncated closing braces).
+     * @type {boolean}
+     */
+    this.repairToolCalls = this.options.repairToolCalls !== false;
+
+    /**
+     * Validate tool-call arguments against the request's tool JSON Schemas,
+     * coercing obvious type mismatches ("5" → 5, "true" → true) and dropping
+     * unknown properties when additionalProperties is false.
+     * @type {boolean}
+     */
+    this.toolSchemaValidation = this.options.toolSchemaValidation !== false;
+
+    /**
+     * Per-request records (request number, tool schemas) keyed by CCR's HTTP request object
+     * (context.req), which CCR passes to both transformRequestIn and transformResponseOut.
+     * Each response is matched to its own request, even when requests overlap (subagents).
+     * @type {WeakMap<Object, RequestRecord>}
+     */
+    this.requestRecords = new WeakMap();
+
+    /**
+     * Record of the last request, used for responses received without a CCR context
+     * @type {RequestRecord|null}
+     */
+    this.lastRequestRecord = null;
+
+    /**
+     * Automatic vision rerouting: requests whose recent user/tool messages contain
+     * images are sent to visionModel instead of a text-only model.
+     * Opt-in (default: false): it changes the upstream model of existing setups.
+     * @type {boolean}
+     */
+    this.autoVisionReroute = this.options.autoVisionReroute === true;
+
+    /**
+     * Model used for requests with images
+     * @type {string}
+     */
+    this.visionModel = this.options.visionModel || 'glm-4.6v';
+
+    /**
+     * Number of recent user/tool messages inspected for images
+     * @type {number}
+     */
+    this.visionLookbackMessages = this.options.visionLookbackMessages ?? 3;
+
+    /**
+     * Image MIME types accepted by vision models
+     * @type {string[]}
+     */
+    this.imageMimeTypes = this.options.imageMimeTypes || ['image/png', 'image/jpeg', 'image/jpg', 'image/webp'];
+
+    /**
+     * Responses already wrapped or read by this transformer (avoids double processing)
+     * @type {WeakSet<Response>}
+     */
+    this.wrappedResponses = new WeakSet();
+
+    /**
+     * Diagnostics level (options.debug): 0 = off, 1 = basic (one line per stage),
+     * 2 = verbose (decision path: tags, priority levels, keywords, message hashes).
+     * debug: true is the same as "basic".
+     * @type {number}
+     */
+    this.debugLevel = { true: 1, basic: 1, verbose: 2 }[String(this.options.debug)] || 0;
+
+    /**
+     * Request counter, used to match Stage 1/2/3 diagnostics of the same request
+     * @type {number}
+     */
+    this.requestCounter = 0;
+
+    /**
+     * True while explain() runs transformRequestIn(): diagnostics are silenced
+     * @type {boolean}
+     */
+    this.explaining = false;
+
+    /**
+     * Time each streamed response (first byte, first reasoning/content/tool call,
+     * reasoning duration, throughput) on a clone of the stream (default: false)
+     * @type {boolean}
+     */
+    this.latencyMetrics = this.options.latencyMetrics === true;
+
+    /**
+     * Per-model latency totals for this session (see getLatencyStats)
+     * @type {Map<string, Object>}
+     */
+    this.latencyTotals = new Map();
+
+    /**
+     * Session id (usage accounting): start timestamp + process id
+     * @type {string}
+     */
+    this.sessionStartedAt = new Date().toISOString();
+    this.sessionId = `${this.sessionStartedAt.replace(/:/g, '-').replace(/\..+/, '')}-${process.pid}`;
+
+    /**
+     * Read usage (prompt, completion, cached tokens) from every response and keep
+     * totals per session, per day, per model and per hierarchy level (default: false, turned on by tokenBudget)
+     * @type {boolean}
+     */
+    this.trackUsage = this.options.trackUsage === true;
+
+    /**
+     * Usage state file (default: ~/.claude-code-router/zai-usage.json, ~ is expanded)
+     * @type {string}
+     */
+    this.usageFile = this.options.usageFile
+      ? path.resolve(this.options.usageFile.replace(/^~(?=$|[\\/])/, os.homedir()))
+      : path.join(os.homedir(), '.claude-code-router', 'zai-usage.json');
+
+    /**
+     * Days of day totals and sessions kept in the usage file (default: 31)
+     * @type {number}
+     */
+    this.usageHistoryDays = this.options.usageHistoryDays ?? 31;
+
+    /**
+     * Last usage state written (or read) by this instance
+     * @type {UsageState|null}
+     */
+    this.usageState = null;
+
+    /**
+     * Usage entries not yet written to usageFile (another process holds its lock)
+     * @type {Array<{model: string, level: string, day: string, entry: UsageBucket}>}
+     */
+    this.usagePending = [];
+
+    /**
+     * Retry timer of the usage file write while the lock is busy (null if none)
+     * @type {NodeJS.Timeout|null}
+     */
+    this.usageRetryTimer = null;
+
+    /**
+     * Write the statusline state file after every request and response (default: false)
+     * @type {boolean}
+     */
+    this.writeState = this.options.writeState === true;
+
+    /**
+     * Directory of the statusline state files (default: ~/.claude-code-router/zai-state, ~ is expanded)
+     * @type {string}
+     */
+    this.stateDirectory = this.options.stateDirectory
+      ? path.resolve(this.options.stateDirectory.replace(/^~(?=$|[\\/])/, os.homedir()))
+      : path.join(os.homedir(), '.claude-code-router', 'zai-state');
+
+    /**
+     * Last state written per Claude Code session (key: Claude Code or transformer session id)
+     * @type {Map<string, Object>}
+     */
+    this.sessionStates = new Map();
+
+    /**
+     * Whether old state files were already pruned by this instance
+     * @type {boolean}
+     */
+    this.stateFilesPruned = false;
+
+    /**
+     * Token budget: daily and/or per-session limits on the tracked usage (null if not configured).
+     * Past softThreshold reasoning is turned off (softAction), past hardThreshold requests
+     * are also rerouted to fallbackModel. Thresholds are fractions of the limit.
+     * @type {TokenBudget|null}
+     */
+    const budget = this.options.tokenBudget;
+    this.tokenBudget = budget && (budget.dailyTokens || budget.sessionTokens)
+      ? {
+          dailyTokens: budget.dailyTokens ?? null,
+          sessionTokens: budget.sessionTokens ?? null,
+          softThreshold: budget.softThreshold ?? 0.8,
+          hardThreshold: budget.hardThreshold ?? 1,
+          softAction: budget.softAction || 'disable-reasoning',
+          fallbackModel: budget.fallbackModel || 'glm-4.5-air'
+        }
+      : null;
+
+    // The budget is measured on the tracked usage
+    if (this.tokenBudget) {
+      this.trackUsage = true;
+    }
+
     /**
      * Force Permanent Thinking - MAXIMUM PRIORITY (Level 0)
      * When enabled, forces reasoning=true + effort=high on EVERY user message.
@@ -416,7 +518,8 @@ class ZaiTransformer {
 
     /**
      * Model configurations by provider.
-     * Defines maxTokens, contextWindow, temperature, topP, reasoning, keywordDetection, provider.
+     * Defines maxTokens, contextWindow, temperature, topP, reasoning, keywordDetection,
+     * vision, maxImages, maxImageBytes, sanitizeToolSchemas, maxToolDescriptionLength, provider.
      * @type {ModelConfigurationMap}
      */
     this.modelConfigurations = {
@@ -430,6 +533,11 @@ class ZaiTransformer {
         topP: 0.95,                     // Official value
         reasoning: true,                // Supports native reasoning (model decides when to use it)
         keywordDetection: true,         // Enable automatic prompt enhancement when analytical keywords detected
+        vision: false,                  // Text-only: images replaced with a placeholder
+        maxImages: null,
+        maxImageBytes: null,
+        sanitizeToolSchemas: true,      // Rewrite tool schemas into the subset Z.AI handles reliably
+        maxToolDescriptionLength: null, // No description length cap
         provider: 'Z.AI'
       },
 
@@ -441,6 +549,11 @@ class ZaiTransformer {
         topP: 0.95,                     // Official value
         reasoning: true,                // Supports native reasoning (model decides when to use it)
         keywordDetection: true,         // Enable automatic prompt enhancement when analytical keywords detected
+        vision: false,                  // Text-only: images replaced with a placeholder
+        maxImages: null,
+        maxImageBytes: null,
+        sanitizeToolSchemas: true,      // Rewrite tool schemas into the subset Z.AI handles reliably
+        maxToolDescriptionLength: null, // No description length cap
         provider: 'Z.AI'
       },
 
@@ -452,6 +565,11 @@ class ZaiTransformer {
         topP: 0.95,                     // Official value
         reasoning: true,                // Supports native reasoning (model decides when to use it)
         keywordDetection: true,         // Enable automatic prompt enhancement when analytical keywords detected
+        vision: false,                  // Text-only: images replaced with a placeholder
+        maxImages: null,
+        maxImageBytes: null,
+        sanitizeToolSchemas: true,      // Rewrite tool schemas into the subset Z.AI handles reliably
+        maxToolDescriptionLength: null, // No description length cap
         provider: 'Z.AI'
       },
 
@@ -463,6 +581,11 @@ class ZaiTransformer {
         topP: 0.95,                     // Official value
         reasoning: true,                // Supports native reasoning (model decides when to use it)
         keywordDetection: true,         // Enable automatic prompt enhancement when analytical keywords detected
+        vision: true,                   // Accepts image blocks
+        maxImages: 5,                   // Most recent images kept per request
+        maxImageBytes: 5 * 1024 * 1024, // 5 MB per image (decoded)
+        sanitizeToolSchemas: true,      // Rewrite tool schemas into the subset Z.AI handles reliably
+        maxToolDescriptionLength: null, // No description length cap
         provider: 'Z.AI'
       },
 
@@ -474,10 +597,42 @@ class ZaiTransformer {
         topP: 0.95,                     // Official value
         reasoning: true,                // Supports native reasoning (model decides when to use it)
         keywordDetection: true,         // Enable automatic prompt enhancement when analytical keywords detected
+        vision: true,                   // Accepts image blocks
+        maxImages: 5,                   // Most recent images kept per request
+        maxImageBytes: 5 * 1024 * 1024, // 5 MB per image (decoded)
+        sanitizeToolSchemas: true,      // Rewrite tool schemas into the subset Z.AI handles reliably
+        maxToolDescriptionLength: null, // No description length cap
         provider: 'Z.AI'
       }
     };
 
+    /**
+     * Built-in model table (base for options.modelConfigPath merges)
+     * @type {ModelConfigurationMap}
+     */
+    this.builtinModelConfigurations = this.modelConfigurations;
+
+    /**
+     * External model configuration file (JSON or YAML), merged over the built-in table
+     * and watched for changes (hot reload).
+     * @type {string|null}
+     */
+    this.modelConfigPath = this.options.modelConfigPath
+      ? path.resolve(this.options.modelConfigPath.replace(/^~(?=$|[\\/])/, os.homedir()))
+      : null;
+
+    /**
+     * Last model configuration file error (null if the last load succeeded)
+     * @type {string|null}
+     */
+    this.modelConfigError = null;
+
+    /**
+     * This instance's entry in the shared watcher of modelConfigPath (null if not watching)
+     * @type {WeakRef<Object>|null}
+     */
+    this.modelConfigWatchRef = null;
+
     /**
      * Reasoning formats by provider.
      * Z.AI uses thinking, format: {type: "enabled"}
@@ -549,80 +704,202 @@ class ZaiTransformer {
      * @type {string[]}
      */
     this.keywords = overrideKeywords ? customKeywords : [...defaultKeywords, ...customKeywords];
-  }
 
-  /**
-   * Gets model-specific configuration
-   * @param {string} modelName - Model name
-   * @returns {ModelConfig} Model configuration or default values
-   */
-  getModelConfiguration (modelName) {
-    const config = this.modelConfigurations[modelName];
-
-    if (!config) {
-      // If model not configured, use default values
-      return {
-        maxTokens: this.defaultMaxTokens,
-        contextWindow: null,
-        temperature: null,
-        topP: null,
-        reasoning: false,          // Default: does NOT support reasoning
-        keywordDetection: false,   // Default: keyword detection disabled
-        provider: 'Unknown'
-      };
-    }
+    // Load external model configurations (if configured) and watch for changes
+    this.loadModelConfigurations();
+
+    // Report invalid/unknown options (strictOptions: refuse to start on errors)
+    this._checkOptionLimits(this.optionValidation);
+    this._reportOptionValidation();
 
-    return config;
+    this._watchModelConfigurations();
   }
 
   /**
-   * Detects if text contains keywords requiring reasoning
-   * @param {string} text - Text to analyze
-   * @returns {boolean} true if keywords detected
+   * Schema of transformer options: type, range and nested fields.
+   * Types: boolean, number, integer, string, enum (allowed), logger, array (items), object (fields or values).
+   * @returns {Object.<string, OptionRule>} Rules by option name
+   * @private
    */
-  detectReasoningNeeded (text) {
-    if (!text) return false;
+  _getOptionSchema () {
+    const modelOverrideFields = {
+      maxTokens: { type: 'integer', min: 1 },
+      temperature: { type: 'number', min: 0, max: 2 },
+      topP: { type: 'number', min: 0, max: 1 },
+      reasoning: { type: 'boolean' },
+      keywordDetection: { type: 'boolean' }
+    };
 
-    const lowerText = text.toLowerCase();
-    return this.keywords.some(keyword => lowerText.includes(keyword));
+    return {
+      forcePermanentThinking: { type: 'boolean' },
+      overrideMaxTokens: { type: 'integer', min: 0 },
+      overrideTemperature: { type: 'number', min: 0, max: 2 },
+      overrideTopP: { type: 'number', min: 0, max: 1 },
+      overrideReasoning: { type: 'boolean' },
+      overrideKeywordDetection: { type: 'boolean' },
+      customKeywords: { type: 'array', items: { type: 'string' } },
+      overrideKeywords: { type: 'boolean' },
+      minOutputTokens: { type: 'integer', min: 1 },
+      tokenEstimation: {
+        type: 'object',
+        fields: {
+          imageTokens: { type: 'number', min: 0 },
+          messageOverhead: { type: 'number', min: 0 },
+          toolOverhead: { type: 'number', min: 0 },
+          charsPerWordToken: { type: 'number', min: 1 }
+        }
+      },
+      autoCompact: { type: 'boolean' },
+      compactProtectedMessages: { type: 'integer', min: 0 },
+      compactToolResultChars: { type: 'integer', min: 0 },
+      filterWhitespaceReasoning: { type: 'boolean' },
+      emitThinking: { type: 'boolean' },
+      repairToolCalls: { type: 'boolean' },
+      toolSchemaValidation: { type: 'boolean' },
+      autoVisionReroute: { type: 'boolean' },
+      visionModel: { type: 'string' },
+      visionLookbackMessages: { type: 'integer', min: 1 },
+      imageMimeTypes: { type: 'array', items: { type: 'string' } },
+      modelConfigPath: { type: 'string' },
+      watchModelConfig: { type: 'boolean' },
+      latencyMetrics: { type: 'boolean' },
+      trackUsage: { type: 'boolean' },
+      usageFile: { type: 'string' },
+      usageHistoryDays: { type: 'integer', min: 1 },
+      writeState: { type: 'boolean' },
+      stateDirectory: { type: 'string' },
+      tokenBudget: {
+        type: 'object',
+        fields: {
+          dailyTokens: { type: 'integer', min: 1 },
+          sessionTokens: { type: 'integer', min: 1 },
+          softThreshold: { type: 'number', min: 0 },
+          hardThreshold: { type: 'number', min: 0 },
+          softAction: { type: 'enum', allowed: ['lower-effort', 'disable-reasoning'] },
+          fallbackModel: { type: 'string' }
+        }
+      },
+      modelConfigWatchInterval: { type: 'integer', min: 100 },
+      modelAliases: { type: 'object', values: { type: 'string' } },
+      models: { type: 'object', values: { type: 'object', fields: modelOverrideFields } },
+      strictOptions: { type: 'boolean' },
+      debug: { type: 'enum', allowed: [false, true, 'basic', 'verbose'] },
+      logger: { type: 'logger' },
+      maxLogSize: { type: 'integer', min: 1024 }, // Debug transformer only (same config.json works for both)
+      logFormat: { type: 'enum', allowed: ['text', 'jsonl'] }, // Debug transformer only
+      logDirectory: { type: 'string' }, // Debug transformer only
+      maxLogFiles: { type: 'integer', min: 1 }, // Debug transformer only
+      maxLogAgeDays: { type: 'number', min: 0 }, // Debug transformer only
+      maxTotalLogBytes: { type: 'integer', min: 1024 }, // Debug transformer only
+      compressRotatedLogs: { type: 'boolean' }, // Debug transformer only
+      redactSecrets: { type: 'boolean' }, // Debug transformer only
+      redactPatterns: { type: 'array', items: { type: 'string' } }, // Debug transformer only
+      captureFullStream: { type: 'boolean' }, // Debug transformer only
+      streamPreviewChunks: { type: 'integer', min: 0 }, // Debug transformer only
+      saveRawStream: { type: 'boolean' }, // Debug transformer only
+      saveFixtures: { type: 'boolean' } // Debug transformer only
+    };
   }
 
   /**
-   * Extracts text content from a message (handles both string and array formats)
-   * @param {UnifiedMessage} message - Message to extract text from
-   * @returns {string} Extracted text or empty string
+   * Reports option validation problems on stderr.
+   * With strictOptions, any error stops the transformer from starting.
+   * @throws {Error} If strictOptions is true and an option is invalid
    * @private
    */
-  _extractMessageText (message) {
-    if (typeof message.content === 'string') {
-      return message.content;
-    } else if (Array.isArray(message.content)) {
-      return message.content
-        .filter(c => c.type === 'text' && c.text)
-        .map(c => c.text)
-        .join(' ');
+  _reportOptionValidation () {
+    const { errors, warnings, strict } = this.optionValidation;
+    for (const warning of warnings) {
+      console.error(`[zai] Option warning: ${warning}`);
+    }
+    for (const error of errors) {
+      console.error(`[zai] Option error: ${error}`);
+    }
+    if (strict && errors.length > 0) {
+      throw new Error(`[zai] ${errors.length} invalid option(s) with strictOptions enabled: ${errors.join('; ')}`);
     }
-    return '';
   }
 
   /**
-   * Enhances prompt by adding reasoning instructions
-   * @param {string} content - Original prompt content
-   * @param {boolean} isUltrathink - If Ultrathink mode is active
-   * @returns {string} Enhanced content with reasoning instructions
+   * Loads options.modelConfigPath and merges it over the built-in table.
+   * On error the last valid table is kept and the error is reported.
+   * @returns {boolean} true if the file was loaded (or no file is configured)
    */
-  modifyPromptForReasoning (content, isUltrathink = false) {
-    let reasoningInstruction;
+  loadModelConfigurations () {
+    if (!this.modelConfigPath) return true;
+
+    try {
+      const text = fs.readFileSync(this.modelConfigPath, 'utf8');
+      const table = this._parseModelConfigFile(text, this.modelConfigPath);
+      this.modelConfigurations = this._mergeModelConfigurations(table);
+      this.modelConfigError = null;
+      return true;
+    } catch (error) {
+      this.modelConfigError = error.message;
+      console.error(`[zai] Invalid model configuration file "${this.modelConfigPath}": ${error.message} - keeping last valid configuration`);
+      return false;
+    }
+  }
 
-    if (isUltrathink) {
-      // Ultrathink active: intensive instructions with explanation and memory warning
-      reasoningInstruction = "\n\n[IMPORTANT: ULTRATHINK mode activated. (ULTRATHINK is the user's keyword requesting exceptionally thorough analysis from you as an AI model.) This means: DO NOT rely on your memory or assumptions - read and analyze everything carefully as if seeing it for the first time. Break down the problem step by step showing your complete reasoning, analyze each aspect meticulously by reading the actual current content (things may have changed since you last saw them), consider multiple perspectives and alternative approaches, verify logic coherence at each stage, and present well-founded conclusions with maximum level of detail based on what you actually read, not what you remember.]\n\n";
+  /**
+   * Emits a diagnostics line when options.debug is at least the given level.
+   * Destination: options.logger (function or object with info/log/debug),
+   * else the logger CCR assigns to this.logger, else the console.
+   * @param {number} level - 0 = always (latencyMetrics), 1 = basic, 2 = verbose
+   * @param {string} message - Diagnostics line
+   * @private
+   */
+  _debug (level, message) {
+    if (this.debugLevel < level || this.explaining) return;
+
+    const line = `[zai] ${message}`;
+    const logger = this.options.logger || this.logger || console;
+    if (typeof logger === 'function') {
+      logger(line);
+      return;
+    }
+    const method = ['info', 'log', 'debug'].find(name => typeof logger[name] === 'function');
+    if (method) {
+      logger[method](line);
     } else {
-      // Normal mode: standard instructions
-      reasoningInstruction = "\n\n[IMPORTANT: This question requires careful analysis. Think step by step and show your detailed reasoning before answering.]\n\n";
+      console.log(line);
     }
+  }
 
-    return reasoningInstruction + content;
+  /**
+   * Creates the Stage 3 diagnostics filter: counts chunks by type and logs
+   * a summary (plus the other filters' counters) when the stream ends.
+   * @param {StreamFilterStats} stats - Counters of the other filters
+   * @param {number} requestId - Request number (matches Stage 1/2 lines)
+   * @returns {StreamFilter} Pass-through stream filter
+   * @private
+   */
+  _createDebugSummaryFilter (stats, requestId) {
+    const summary = { chunks: 0, reasoning: 0, content: 0, toolCalls: 0, finishReason: null, usage: null };
+
+    return {
+      onChunk: (chunk) => {
+        summary.chunks++;
+        const choice = chunk && Array.isArray(chunk.choices) ? chunk.choices[0] : null;
+        const delta = choice && choice.delta;
+        if (delta && delta.reasoning_content) summary.reasoning++;
+        if (delta && delta.content) summary.content++;
+        if (delta && Array.isArray(delta.tool_calls)) summary.toolCalls++;
+        if (choice && choice.finish_reason) summary.finishReason = choice.finish_reason;
+        if (chunk && chunk.usage) summary.usage = chunk.usage;
+        return [chunk];
+      },
+      onEnd: () => {
+        const usage = summary.usage
+          ? ` | usage: prompt=${summary.usage.prompt_tokens ?? '?'} completion=${summary.usage.completion_tokens ?? '?'}`
+          : '';
+        // The thinking filter runs first and consumes reasoning_content: add back what it converted or dropped
+        const reasoning = summary.reasoning + stats.thinkingChunks + stats.thinkingLate;
+        this._debug(1, `[Request #${requestId}] [STAGE 3/3] STREAM chunks=${summary.chunks} (reasoning=${reasoning}, content=${summary.content}, tool_calls=${summary.toolCalls}) | finish_reason=${summary.finishReason || 'none'}${usage}`);
+        this._debug(2, `[Request #${requestId}]    [STREAM FILTERS] whitespace dropped=${stats.whitespaceDropped}, coalesced=${stats.whitespaceCoalesced}, chunks removed=${stats.chunksRemoved} | tool calls=${stats.toolCalls} (repaired=${stats.toolCallsRepaired}, failed=${stats.toolCallsFailed}, coerced=${stats.toolCallsCoerced}, invalid=${stats.toolCallsInvalid}) | thinking deltas=${stats.thinkingChunks}, late reasoning dropped=${stats.thinkingLate}`);
+        return [];
+      }
+    };
   }
 
   /**
@@ -631,117 +908,80 @@ class ZaiTransformer {
    * 
    * @param {UnifiedChatRequest} request - Claude Code request
    * @param {LLMProvider} [_provider] - LLM provider information (unused in production version)
-   * @param {TransformerContext} [_context] - Context (unused in production version)
+   * @param {TransformerContext} [context] - Context (CCR's HTTP request links the response to this request)
    * @returns {Promise<ModifiedRequestBody>} Optimized body for provider
    */
-  async transformRequestIn (request, _provider, _context) {
-    const modelName = request.model || 'UNKNOWN';
+  async transformRequestIn (request, _provider, context) {
+    // Request number for diagnostics (options.debug)
+    this.requestCounter = this.requestCounter >= Number.MAX_SAFE_INTEGER - 1000 ? 1 : this.requestCounter + 1;
+    const requestId = this.requestCounter;
+    const trace = (level, message) => this._debug(level, `[Request #${requestId}] ${message}`);
+
+    if (this.debugLevel > 0) {
+      const messageCount = Array.isArray(request.messages) ? request.messages.length : 0;
+      const toolCount = Array.isArray(request.tools) ? request.tools.length : 0;
+      trace(1, `[STAGE 1/3] INPUT model="${request.model}" messages=${messageCount} tools=${toolCount} max_tokens=${request.max_tokens} reasoning=${JSON.stringify(request.reasoning ?? null)} ~${this.estimateTokens(request).total} tokens`);
+    }
+
+    // Reroute to the vision model when recent messages contain images
+    // maxTokens, temperature and reasoning then come from the vision model's configuration
+    const visionRoute = this._resolveVisionRoute(request);
+    let modelName = visionRoute.model;
+
+    // Token budget past the hard threshold: reroute to the fallback model (replaces the vision model too),
+    // unless recent messages contain images and the fallback model has no vision (the images would be dropped)
+    const budget = this._checkTokenBudget();
+    if (budget && budget.state === 'hard' && this.tokenBudget.fallbackModel !== modelName && visionRoute.imageCount > 0 &&
+      this.getModelConfiguration(this.tokenBudget.fallbackModel).vision !== true) {
+      this._debug(0, `[Request #${requestId}] [BUDGET] ${budget.scope} ${budget.used}/${budget.limit} tokens (${Math.round(budget.ratio * 100)}%) past the hard threshold → reroute to ${this.tokenBudget.fallbackModel} skipped: ${visionRoute.imageCount} image(s) and no vision`);
+    } else if (budget && budget.state === 'hard' && this.tokenBudget.fallbackModel !== modelName) {
+      const downgrade = { action: 'reroute', threshold: 'hard', from: modelName, to: this.tokenBudget.fallbackModel };
+      budget.downgrades.push(downgrade);
+      this._reportBudgetDowngrade(requestId, budget, downgrade);
+      modelName = downgrade.to;
+    }
     const config = this.getModelConfiguration(modelName);
 
+    if (this.debugLevel > 0) {
+      // Unknown models are reported at every level: they silently disable reasoning
+      const resolution = this.resolveModelName(modelName);
+      trace(resolution.match === 'default' ? 1 : 2, `   [MODEL RESOLUTION] "${modelName}" → ${resolution.resolved ? `"${resolution.resolved}"` : 'Unknown defaults (reasoning=false)'} (${resolution.steps.join(' → ')})`);
+      if (visionRoute.rerouted) {
+        trace(2, `   [VISION REROUTE] ${visionRoute.imageCount} image(s) in recent messages → "${visionRoute.from}" → "${modelName}"`);
+      }
+    }
+
+    // Remember tool schemas to validate tool-call arguments in this request's response
+    const record = { requestId, toolSchemas: this._collectToolSchemas(request.tools) };
+    this._storeRequestRecord(context, record);
+
     // Apply max_tokens based on model configuration and global overrides
     // Claude Code has limitation of 32000/65537, we use actual model values
     // Global override has the highest priority
     // Use nullish coalescing (??) to allow 0 as valid override value
+    const modelOverrides = this._getModelOverrides(modelName);
     const modifiedRequest = {
       ...request,
-      max_tokens: this.globalOverrides.maxTokens ?? config.maxTokens
+      max_tokens: this._resolveSetting('maxTokens', modelOverrides, config).value
     };
 
-    // Detect custom tags in user messages
-    // Priority: Force Permanent Thinking (0) > Ultrathink (1) > User Tags (2) > Global Override (3) > Model Config (4) > Claude Code (5)
-    let ultrathinkDetected = false;
-    let thinkingTag = null; // 'On', 'Off'
-    let effortTag = null; // 'Low', 'Medium', 'High'
-
-    // Search for tags in ALL user messages (most recent takes precedence)
-    if (request.messages && Array.isArray(request.messages)) {
-      for (let i = 0; i < request.messages.length; i++) {
-        const message = request.messages[i];
-        if (message.role === 'user') {
-          const messageText = this._extractMessageText(message);
-
-          // Skip system-reminders
-          if (messageText.trim().startsWith('<system-reminder>')) {
-            continue;
-          }
-
-          // Detect Ultrathink (case insensitive)
-          if (/\bultrathink\b/i.test(messageText)) {
-            ultrathinkDetected = true;
-          }
-
-          // Detect Thinking tags (English only)
-          const thinkingMatch = messageText.match(/<Thinking:(On|Off)>/i);
-          if (thinkingMatch) {
-            thinkingTag = thinkingMatch[1]; // Capture: On, Off
-          }
-
-          // Detect Effort tags (English only)
-          const effortMatch = messageText.match(/<Effort:(Low|Medium|High)>/i);
-          if (effortMatch) {
-            effortTag = effortMatch[1]; // Capture: Low, Medium, High
-          }
-        }
-      }
+    if (visionRoute.rerouted || modelName !== visionRoute.model) {
+      modifiedRequest.model = modelName;
     }
 
-    // Determine effective reasoning based on priority
-    let effectiveReasoning = false;
-    let effortLevel = "high"; // Default
-
-    // 0. Force Permanent Thinking (MAXIMUM PRIORITY - Nuclear Option)
-    if (this.forcePermanentThinking) {
-      effectiveReasoning = true;
-      effortLevel = "high";
-    }
-    // 1. Ultrathink (highest priority, overrides EVERYTHING except forcePermanentThinking)
-    else if (ultrathinkDetected) {
-      effectiveReasoning = true;
-      effortLevel = "high";
-    }
-    // 2. User Tags
-    else if (thinkingTag || effortTag) {
-      // If there's a Thinking tag
-      if (thinkingTag) {
-        const thinkingLower = thinkingTag.toLowerCase();
-        if (thinkingLower === 'off') {
-          // Thinking explicitly OFF
-          // HIERARCHY: Effort tag has HIGHER priority than Thinking:Off
-          // If effort tag present, it overrides Thinking:Off and enables reasoning
-          effectiveReasoning = !!effortTag;
-        } else if (thinkingLower === 'on') {
-          // Thinking explicitly ON
-          effectiveReasoning = true;
-        }
-      }
-      // If NO thinking tag but there IS effort tag, assume reasoning ON
-      else if (effortTag) {
-        effectiveReasoning = true;
-      }
+    // Detect custom tags in user messages and resolve the reasoning hierarchy
+    // Priority: Force Permanent Thinking (0) > Ultrathink (1) > User Tags (2) > Global Override (3) > Model Override (3.5) > Model Config (4) > Claude Code (5)
+    // The decision is recorded for explain() and the statusline state file
+    record.reasoning = this._resolveReasoning(request, modelOverrides, config);
+    const { tags, level } = record.reasoning;
+    tags.forEach(tag => trace(2, `   [TAG DETECTED] ${tag.type === 'ultrathink' ? 'Ultrathink' : `<${tag.type === 'thinking' ? 'Thinking' : 'Effort'}:${tag.value}>`} in message ${tag.messageIndex}`));
+    const ultrathinkDetected = tags.some(tag => tag.type === 'ultrathink');
 
-      // Map effort tag to standard values (if exists)
-      if (effortTag) {
-        const effortLower = effortTag.toLowerCase();
-        if (effortLower === 'low') {
-          effortLevel = "low";
-        } else if (effortLower === 'medium') {
-          effortLevel = "medium";
-        } else if (effortLower === 'high') {
-          effortLevel = "high";
-        }
-      }
-      // If thinking ON but no effort, use default "high"
-    }
-    // 3. Global Override
-    else if (this.globalOverrides.reasoning !== null) {
-      effectiveReasoning = this.globalOverrides.reasoning;
-      effortLevel = "high";
-    }
-    // 4. Model Config
-    else if (config.reasoning === true) {
-      effectiveReasoning = true;
-      effortLevel = "high";
-    }
+    // Claude Code (5) only passes its own reasoning field through (see below)
+    let effectiveReasoning = level.priority < 5 && level.reasoning === true;
+    const effortLevel = level.effort || 'high';
+    const reasoningLevel = `${level.name} (${level.priority})`; // Winning hierarchy level (diagnostics)
+    trace(2, `   [PRIORITY] ${reasoningLevel} → reasoning=${effectiveReasoning}, effort=${effortLevel}`);
 
     // Remove tags from ALL user messages
     if (request.messages && Array.isArray(request.messages)) {
@@ -798,10 +1038,10 @@ class ZaiTransformer {
 
     // Add reasoning field with effort level to request
     // Separate user-initiated conditions from model configuration
-    const hasUserConditions = this.forcePermanentThinking || ultrathinkDetected || thinkingTag || effortTag || this.globalOverrides.reasoning !== null;
+    const hasUserConditions = level.priority < 4;
 
     if (hasUserConditions) {
-      // User explicitly set reasoning (Levels 0-3): override everything
+      // User explicitly set reasoning (Levels 0-3.5): override everything
       if (effectiveReasoning) {
         modifiedRequest.reasoning = {
           enabled: true,
@@ -820,7 +1060,7 @@ class ZaiTransformer {
       }
     } else if (config.reasoning === true) {
       // No user conditions but model supports reasoning (Level 4): use model default
-      // effectiveReasoning is always true here (set in line 731)
+      // effectiveReasoning is always true here (level 4 enables reasoning)
       modifiedRequest.reasoning = {
         enabled: true,
         effort: effortLevel
@@ -846,18 +1086,26 @@ class ZaiTransformer {
       }
     }
 
-    // Add temperature (global override has priority)
-    const finalTemperature = this.globalOverrides.temperature !== null
-      ? this.globalOverrides.temperature
-      : config.temperature;
+    // Token budget past the soft threshold: disable reasoning or lower effort
+    // Applies on top of every hierarchy level, forcePermanentThinking and Ultrathink included
+    if (budget && budget.state !== 'ok') {
+      const change = this._downgradeReasoning(modifiedRequest);
+      if (change) {
+        const downgrade = { action: this.tokenBudget.softAction, threshold: 'soft', ...change };
+        budget.downgrades.push(downgrade);
+        this._reportBudgetDowngrade(requestId, budget, downgrade);
+        effectiveReasoning = modifiedRequest.reasoning.enabled; // No keyword enhancement without reasoning
+      }
+    }
+
+    // Add temperature (global override > model override > model config)
+    const finalTemperature = this._resolveSetting('temperature', modelOverrides, config).value;
     if (finalTemperature !== null) {
       modifiedRequest.temperature = finalTemperature;
     }
 
-    // Add topP (global override has priority)
-    const finalTopP = this.globalOverrides.topP !== null
-      ? this.globalOverrides.topP
-      : config.topP;
+    // Add topP (global override > model override > model config)
+    const finalTopP = this._resolveSetting('topP', modelOverrides, config).value;
     if (finalTopP !== null) {
       modifiedRequest.top_p = finalTopP;
     }
@@ -886,6 +1134,7 @@ class ZaiTransformer {
           // Detect analytical keywords in any valid message
           if (this.detectReasoningNeeded(messageText)) {
             keywordsDetectedInConversation = true;
+            trace(2, `   [KEYWORDS] Detected in message ${i}`);
             break; // Already detected, no need to continue searching
           }
         }
@@ -893,11 +1142,10 @@ class ZaiTransformer {
     }
 
     // Apply prompt enhancement if keywords were detected
+    let promptEnhanced = false;
     if (request.messages && Array.isArray(request.messages) && keywordsDetectedInConversation) {
-      // Apply global override for keywordDetection if set
-      const finalKeywordDetection = this.globalOverrides.keywordDetection !== null
-        ? this.globalOverrides.keywordDetection
-        : config.keywordDetection;
+      // Apply global/model override for keywordDetection if set
+      const finalKeywordDetection = this._resolveSetting('keywordDetection', modelOverrides, config).value;
 
       // Only enhance prompt if reasoning is active AND detection enabled
       if (effectiveReasoning && finalKeywordDetection) {
@@ -940,6 +1188,10 @@ class ZaiTransformer {
             }
 
             modifiedRequest.messages[i] = modifiedMessage;
+            promptEnhanced = true;
+            if (this.debugLevel >= 2) {
+              trace(2, `   [ENHANCEMENT] Message ${i} enhanced (hash ${this._hashText(messageText)})`);
+            }
 
             // Already modified the last valid message, exit loop
             break;
@@ -948,17 +1200,132 @@ class ZaiTransformer {
       }
     }
 
+    // Validate images against the model's vision capability and limits
+    const imageDecisions = this._processImages(modifiedRequest, config, modelName);
+
+    // Sanitize tool schemas for Z.AI (per-model, original schemas kept for response validation)
+    const toolSanitization = this._sanitizeTools(request.tools, config);
+    if (toolSanitization.changes.length > 0) {
+      modifiedRequest.tools = toolSanitization.tools;
+    }
+
+    // Compact old history if the request exceeds the context window (opt-in)
+    const compaction = this._compactHistory(modifiedRequest, config);
+
+    // Clamp max_tokens so estimated prompt + output fits the context window
+    // Runs last so tag removal and prompt enhancement are already reflected
+    const contextClamp = this._clampMaxTokensToContext(modifiedRequest, config);
+
+    if (this.debugLevel > 0) {
+      const removedImages = imageDecisions.filter(decision => decision.action === 'removed').length;
+      if (removedImages > 0) {
+        trace(2, `   [IMAGES] ${removedImages} of ${imageDecisions.length} image(s) replaced by placeholders`);
+      }
+      if (toolSanitization.changes.length > 0) {
+        trace(2, `   [TOOL SCHEMAS] ${toolSanitization.changes.length} schema change(s) for Z.AI`);
+      }
+      if (compaction.applied) {
+        trace(2, `   [COMPACTION] ~${compaction.beforeTokens} → ~${compaction.afterTokens} tokens (tool results=${compaction.toolResultsShrunk}, thinking=${compaction.thinkingDropped}, reminders=${compaction.remindersCollapsed})`);
+      }
+      if (contextClamp.clamped) {
+        trace(2, `   [CONTEXT CLAMP] max_tokens ${contextClamp.originalMaxTokens} → ${contextClamp.finalMaxTokens} (prompt ~${contextClamp.promptTokens}, context window ${contextClamp.contextWindow})`);
+      }
+
+      const reasoning = modifiedRequest.reasoning
+        ? (modifiedRequest.reasoning.enabled ? `on/${modifiedRequest.reasoning.effort || 'default'}` : 'off')
+        : 'unset';
+      const maxTokensSource = contextClamp.clamped ? 'context clamp' : this._resolveSetting('maxTokens', modelOverrides, config).source;
+      trace(1, `[STAGE 2/3] OUTPUT model="${modifiedRequest.model}" max_tokens=${modifiedRequest.max_tokens} (${maxTokensSource}) temperature=${modifiedRequest.temperature ?? 'unset'} (${this._resolveSetting('temperature', modelOverrides, config).source}) top_p=${modifiedRequest.top_p ?? 'unset'} (${this._resolveSetting('topP', modelOverrides, config).source}) reasoning=${reasoning} [${reasoningLevel}] keyword enhancement=${promptEnhanced ? 'yes' : 'no'} messages=${(modifiedRequest.messages || []).length}`);
+    }
+
+    // Read back by this request's response (latency metrics, usage accounting)
+    const claudeSessionId = this._claudeSessionId(request);
+    Object.assign(record, { model: modifiedRequest.model, level: reasoningLevel, claudeSessionId, budget, sentAt: Date.now() });
+
+    // Statusline state file (usage is added when the response arrives)
+    this._writeState(claudeSessionId, this._createRequestState(request, modifiedRequest, requestId, record.reasoning, budget));
+
     return modifiedRequest;
   }
 
+  /**
+   * Logs a request's latency metrics and its model's session aggregates
+   * (same destination as the diagnostics, emitted even when options.debug is off)
+   * @param {LatencyMetrics} metrics - Metrics of one request
+   * @private
+   */
+  _reportLatency (metrics) {
+    this._formatLatencyLines(metrics).forEach(line => this._debug(0, line));
+  }
+
+  /**
+   * Reports one response's usage (diagnostics, basic level)
+   * @param {RequestRecord|null} requestInfo - Request the response belongs to
+   * @param {UsageBucket} usage - Usage of this response
+   * @private
+   */
+  _reportUsage (requestInfo, usage) {
+    const { session, today } = this.getUsageStats();
+    this._debug(1, `[Request #${requestInfo?.requestId ?? '?'}] [USAGE] ${requestInfo?.model || 'unknown'} [${requestInfo?.level || 'unknown'}] prompt=${usage.promptTokens} (cached ${usage.cachedTokens}) completion=${usage.completionTokens} total=${usage.totalTokens} | session total=${session?.totals.totalTokens ?? 0} | today total=${today?.totals.totalTokens ?? 0}`);
+  }
+
+  /**
+   * Reports a token budget downgrade (always logged, whatever the debug level)
+   * @param {number} requestId - Request number
+   * @param {TokenBudgetStatus} budget - Budget state
+   * @param {BudgetDowngrade} downgrade - Applied downgrade
+   * @private
+   */
+  _reportBudgetDowngrade (requestId, budget, downgrade) {
+    const what = downgrade.action === 'reroute' ? 'model' : 'reasoning';
+    this._debug(0, `[Request #${requestId}] [BUDGET] ${budget.scope} ${budget.used}/${budget.limit} tokens (${Math.round(budget.ratio * 100)}%) past the ${downgrade.threshold} threshold → ${what} ${downgrade.from} → ${downgrade.to}`);
+  }
+
   /**
    * Transforms response before sending to Claude Code.
+   * Streaming responses are wrapped so the stream filters apply to every chunk.
    * 
    * @param {Response} response - Response processed by CCR
-   * @returns {Promise<Response>} Unmodified response
+   * @param {TransformerContext} [context] - Context (CCR's HTTP request identifies the matching request)
+   * @returns {Promise<Response>} Filtered response (unmodified if not a stream)
    */
-  async transformResponseOut (response) {
-    return response;
+  async transformResponseOut (response, context) {
+    if (this.wrappedResponses.has(response)) {
+      return response;
+    }
+
+    const record = this._getRequestRecord(context);
+    const requestId = record ? record.requestId : this.requestCounter;
+
+    if (!this._isSseResponse(response)) {
+      // Non-streaming: usage is read from the JSON body (on a clone)
+      if (this.trackUsage && this._isJsonResponse(response)) {
+        this.wrappedResponses.add(response);
+        this._readResponseUsage(response, record);
+      }
+      return response;
+    }
+
+    // Clone before wrapping: the wrapper locks the original body
+    if (this.latencyMetrics) {
+      this._tapStreamLatency(response, requestId, record);
+    }
+
+    const stats = this._createStreamStats();
+    const filters = this._createResponseFilters(stats, record ? record.toolSchemas : new Map());
+    if (this.debugLevel > 0) {
+      filters.push(this._createDebugSummaryFilter(stats, requestId));
+    }
+    if (this.trackUsage) {
+      filters.push(this._createUsageFilter(record));
+    }
+    if (filters.length === 0) {
+      return response;
+    }
+
+    const wrapped = this._wrapSseResponse(response, filters);
+    this.wrappedResponses.add(wrapped);
+    return wrapped;
   }
 }
 